@@ -0,0 +1,144 @@
+/**
+ * Conversation Compactor for AI Avatar Chrome Extension
+ *
+ * Keeps long conversations under the model's context window. When the
+ * projected prompt crosses a fraction of the window, the older turns are
+ * summarized by the model into a single memory, and only the memory and the
+ * most recent turns are sent from then on. The system message with the page
+ * context is never summarized.
+ *
+ * The memory is stored on the last message it covers (`message.memory`), so
+ * the transcript keeps every turn, the popup can mark where compaction
+ * happened, and branches that leave the path before that message are not
+ * affected by it. Each compaction summarizes the previous memory together
+ * with the turns after it, so a path never needs more than its latest memory.
+ *
+ * @module ConversationCompactor
+ */
+
+class ConversationCompactor {
+  /**
+   * @param {RateLimiter} rateLimiter - Rate limiter used for token counting
+   * @param {Object} options - Compactor options
+   * @param {number} options.threshold - Fraction of the context window that triggers compaction
+   * @param {number} options.keepRecentMessages - Messages before the current one that are never summarized
+   * @param {number} options.maxSummaryTokens - Longest memory requested from the model
+   */
+  constructor(rateLimiter, options = {}) {
+    this.rateLimiter = rateLimiter;
+    this.threshold = options.threshold || 0.75;
+    this.keepRecentMessages = options.keepRecentMessages ?? 4;
+    this.maxSummaryTokens = options.maxSummaryTokens || 800;
+  }
+
+  /**
+   * Messages to send to the model: the system messages, the latest memory on
+   * the path, and the turns after it
+   * @param {Array<Object>} messages - Selected path, system message included
+   * @returns {Array<Object>}
+   */
+  getPromptMessages(messages) {
+    const system = messages.filter(message => message.role === 'system');
+    const dialogue = messages.filter(message => message.role !== 'system');
+    const memoryIndex = this.findMemoryIndex(dialogue);
+
+    if (memoryIndex === -1) {
+      return [...system, ...dialogue];
+    }
+
+    return [
+      ...system,
+      this.createMemoryMessage(dialogue[memoryIndex].memory),
+      ...dialogue.slice(memoryIndex + 1)
+    ];
+  }
+
+  /**
+   * Whether a prompt is close enough to the context window to compact
+   * @param {Array<Object>} promptMessages - Messages from getPromptMessages
+   * @param {number} contextWindow - Model context window in tokens
+   * @param {number} estimatedCompletion - Tokens reserved for the completion
+   * @param {number} threshold - Fraction of the window; defaults to the compactor's
+   * @returns {boolean}
+   */
+  needsCompaction(promptMessages, contextWindow, estimatedCompletion, threshold = this.threshold) {
+    const projected = this.rateLimiter.countTokens(JSON.stringify(promptMessages)) + estimatedCompletion;
+    return projected > contextWindow * threshold;
+  }
+
+  /**
+   * Summarize the turns between the latest memory and the recent messages
+   * into a new memory
+   * @param {Array<Object>} messages - Selected path, system message included
+   * @param {Function} summarize - async (transcript, previousSummary, targetTokens) => summary text
+   * @param {Object} options - Compaction options
+   * @param {number} options.contextWindow - Model context window, used to size the memory
+   * @param {string} options.model - Model writing the summary
+   * @returns {Promise<Object|null>} The new memory, or null if there are no older turns to summarize
+   */
+  async compact(messages, summarize, options = {}) {
+    const dialogue = messages.filter(message => message.role !== 'system');
+    const memoryIndex = this.findMemoryIndex(dialogue);
+    const previous = memoryIndex === -1 ? null : dialogue[memoryIndex].memory;
+    const start = memoryIndex + 1;
+
+    // Keep the current message and the recent ones verbatim, and end the
+    // summarized span on a reply so a question is never cut from its answer
+    let end = dialogue.length - 1 - this.keepRecentMessages;
+    while (end > start && dialogue[end - 1].role !== 'assistant') {
+      end--;
+    }
+    if (end <= start) {
+      return null;
+    }
+
+    const turns = dialogue.slice(start, end);
+    const transcript = turns
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+    const targetTokens = Math.min(
+      this.maxSummaryTokens,
+      Math.floor((options.contextWindow || this.maxSummaryTokens * 10) / 10)
+    );
+
+    const summary = await summarize(transcript, previous ? previous.summary : null, targetTokens);
+
+    const memory = {
+      summary,
+      summarizedCount: (previous ? previous.summarizedCount : 0) + turns.length,
+      model: options.model || null,
+      createdAt: Date.now()
+    };
+    dialogue[end - 1].memory = memory;
+
+    return memory;
+  }
+
+  /**
+   * The system message carrying a memory to the model
+   * @param {Object} memory - Memory from compact
+   * @returns {{role: string, content: string}}
+   */
+  createMemoryMessage(memory) {
+    return {
+      role: 'system',
+      content: `Summary of the earlier conversation (${memory.summarizedCount} older messages were condensed to fit the context window):\n\n${memory.summary}`
+    };
+  }
+
+  /**
+   * Index of the last message on the path that carries a memory
+   * @private
+   */
+  findMemoryIndex(dialogue) {
+    for (let i = dialogue.length - 1; i >= 0; i--) {
+      if (dialogue[i].memory) return i;
+    }
+    return -1;
+  }
+}
+
+// Export the ConversationCompactor class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationCompactor;
+}
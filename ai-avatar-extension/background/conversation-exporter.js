@@ -0,0 +1,227 @@
+/**
+ * Conversation Exporter for AI Avatar Chrome Extension
+ *
+ * Turns a conversation record (see ConversationStore.toRecord) into a
+ * downloadable document:
+ * - Markdown with a page header, for tickets and wikis
+ * - JSON with token usage per turn, for analysis
+ * - A self-contained HTML transcript with inline styles and no scripts
+ *
+ * @module ConversationExporter
+ */
+
+class ConversationExporter {
+  constructor() {
+    this.formats = {
+      markdown: { extension: 'md', mimeType: 'text/markdown' },
+      json: { extension: 'json', mimeType: 'application/json' },
+      html: { extension: 'html', mimeType: 'text/html' }
+    };
+  }
+
+  /**
+   * Export a conversation record
+   * @param {Object} record - Conversation record
+   * @param {string} format - 'markdown', 'json' or 'html'
+   * @returns {{filename: string, mimeType: string, content: string}}
+   */
+  export(record, format) {
+    const config = this.formats[format];
+    if (!config) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const content = format === 'markdown'
+      ? this.toMarkdown(record)
+      : format === 'json'
+        ? this.toJSON(record)
+        : this.toHTML(record);
+
+    return {
+      filename: `${this.createFilename(record)}.${config.extension}`,
+      mimeType: config.mimeType,
+      content
+    };
+  }
+
+  /**
+   * Markdown transcript with a page title/URL header and the page summary
+   * @param {Object} record - Conversation record
+   * @returns {string}
+   */
+  toMarkdown(record) {
+    const lines = [
+      `# ${record.title || record.url}`,
+      '',
+      `- **URL:** ${record.url}`,
+      ...this.getSummaryLines(record).map(([label, value]) => `- **${label}:** ${value}`),
+      '',
+      '---',
+      ''
+    ];
+
+    for (const message of record.messages) {
+      const speaker = message.role === 'user' ? 'You' : 'AI Avatar';
+      const time = message.timestamp ? ` (${this.formatDate(message.timestamp)})` : '';
+      lines.push(`### ${speaker}${time}`, '', message.content, '');
+    }
+
+    return lines.join('\n').trim() + '\n';
+  }
+
+  /**
+   * Machine-readable export with token usage per turn
+   * @param {Object} record - Conversation record
+   * @returns {string}
+   */
+  toJSON(record) {
+    return JSON.stringify({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      conversation: {
+        id: record.id,
+        title: record.title,
+        url: record.url,
+        model: record.model,
+        page: record.pageSummary,
+        createdAt: this.toISOString(record.createdAt),
+        updatedAt: this.toISOString(record.updatedAt),
+        usage: record.usage
+      },
+      turns: record.messages.map(message => ({
+        role: message.role,
+        content: message.content,
+        timestamp: this.toISOString(message.timestamp),
+        model: message.model || null,
+        usage: message.usage || null
+      }))
+    }, null, 2);
+  }
+
+  /**
+   * Self-contained HTML transcript. All conversation and page text is escaped.
+   * @param {Object} record - Conversation record
+   * @returns {string}
+   */
+  toHTML(record) {
+    const escape = (text) => this.escapeHtml(text);
+    const title = record.title || record.url;
+
+    const summary = [['URL', `<a href="${escape(record.url)}">${escape(record.url)}</a>`]]
+      .concat(this.getSummaryLines(record).map(([label, value]) => [label, escape(value)]))
+      .map(([label, value]) => `<dt>${escape(label)}</dt><dd>${value}</dd>`)
+      .join('\n        ');
+
+    const messages = record.messages.map(message => {
+      const isUser = message.role === 'user';
+      const meta = [
+        message.timestamp ? this.formatDate(message.timestamp) : null,
+        message.model || null,
+        message.usage ? `${message.usage.totalTokens} tokens` : null
+      ].filter(Boolean).join(' · ');
+
+      return `<article class="message ${isUser ? 'user' : 'assistant'}">
+        <header>${isUser ? 'You' : 'AI Avatar'}${meta ? ` <span class="meta">${escape(meta)}</span>` : ''}</header>
+        <div class="content">${escape(message.content)}</div>
+      </article>`;
+    }).join('\n      ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 32px auto; padding: 0 16px; color: #2d3748; line-height: 1.5; }
+        h1 { font-size: 22px; margin-bottom: 8px; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; font-size: 14px; color: #4a5568; }
+        dt { font-weight: 600; }
+        dd { margin: 0; overflow-wrap: anywhere; }
+        a { color: #667eea; }
+        .message { margin: 16px 0; padding: 12px 16px; border-radius: 12px; }
+        .message.user { background: #667eea; color: white; margin-left: 15%; }
+        .message.assistant { background: #f7fafc; border: 1px solid #e2e8f0; margin-right: 15%; }
+        .message header { font-weight: 600; font-size: 13px; margin-bottom: 6px; }
+        .meta { font-weight: 400; opacity: 0.75; }
+        .content { white-space: pre-wrap; overflow-wrap: anywhere; }
+    </style>
+</head>
+<body>
+    <h1>${escape(title)}</h1>
+    <dl>
+        ${summary}
+    </dl>
+    <main>
+      ${messages}
+    </main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Label/value pairs describing the page and the conversation
+   * @private
+   */
+  getSummaryLines(record) {
+    const page = record.pageSummary || {};
+    const lines = [];
+
+    if (page.description) lines.push(['Summary', page.description]);
+    if (page.contentType) lines.push(['Content Type', page.contentType]);
+    if (page.wordCount) lines.push(['Words', String(page.wordCount)]);
+    if (page.language) lines.push(['Language', page.language]);
+    if (record.createdAt) lines.push(['Started', this.formatDate(record.createdAt)]);
+    if (record.usage) {
+      lines.push(['Tokens', `${record.usage.totalTokens} (≈ $${record.usage.cost.toFixed(4)})`]);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Build a filename from the page title and date
+   * @private
+   */
+  createFilename(record) {
+    const slug = (record.title || 'conversation')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60) || 'conversation';
+    const date = new Date(record.updatedAt || Date.now()).toISOString().slice(0, 10);
+    return `${slug}-${date}`;
+  }
+
+  /**
+   * @private
+   */
+  formatDate(timestamp) {
+    return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+  }
+
+  /**
+   * @private
+   */
+  toISOString(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+
+  /**
+   * @private
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export the ConversationExporter class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationExporter;
+}
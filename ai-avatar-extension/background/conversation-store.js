@@ -0,0 +1,288 @@
+/**
+ * Conversation Store for AI Avatar Chrome Extension
+ *
+ * Persists page conversations to chrome.storage.local so they survive MV3
+ * service worker suspension, tab closes and the hourly in-memory cleanup.
+ * Conversations are identified by ID and looked up by normalized page URL.
+ *
+ * Only the dialogue (user and assistant turns) is stored. The system message
+ * embeds the full page and is rebuilt from fresh page content when a
+ * conversation is resumed; the stored page content hash tells whether the
+ * page has changed since.
+ *
+ * Storage layout:
+ * - `conversationIndex`: { [id]: summary } used for listing and URL lookup
+ * - `conversation_<id>`: the full conversation record
+ *
+ * @module ConversationStore
+ */
+
+class ConversationStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxConversations - Oldest conversations beyond this are pruned
+   */
+  constructor(options = {}) {
+    this.indexKey = 'conversationIndex';
+    this.keyPrefix = 'conversation_';
+    this.maxConversations = options.maxConversations || 100;
+    this.index = null;
+  }
+
+  /**
+   * Load the conversation index from storage
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.index) return;
+
+    const result = await chrome.storage.local.get(this.indexKey);
+    this.index = result[this.indexKey] || {};
+  }
+
+  /**
+   * Normalize a URL so the same page maps to the same conversation
+   * (fragment and trailing slash are ignored)
+   * @param {string} url - Page URL
+   * @returns {string} Normalized URL
+   */
+  static normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href.replace(/\/$/, '');
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Hash page content so a changed page can be detected without storing it
+   * @param {string} text - Page content
+   * @returns {string} 32-bit FNV-1a hash in hex
+   */
+  static hashContent(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < (text || '').length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Create a new conversation ID
+   * @returns {string}
+   */
+  createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Build the stored form of an in-memory conversation
+   * @param {Object} conversation - In-memory conversation object
+   * @returns {Object} Conversation record
+   */
+  toRecord(conversation) {
+    return {
+      id: conversation.id,
+      url: conversation.url,
+      title: conversation.title || conversation.url,
+      model: conversation.model,
+      pageContentHash: conversation.pageContentHash,
+      pageVersion: conversation.pageVersion || 1,
+      pageSummary: conversation.pageSummary || null,
+      messages: conversation.messages.filter(message => message.role !== 'system'),
+      branches: conversation.branches || [],
+      usage: conversation.usage,
+      createdAt: conversation.startTime,
+      updatedAt: Date.now(),
+      archived: !!conversation.archived
+    };
+  }
+
+  /**
+   * Save a conversation, creating its ID on first save
+   * @param {Object} conversation - In-memory conversation object
+   * @returns {Promise<Object>} The stored record
+   */
+  async save(conversation) {
+    await this.initialize();
+
+    if (!conversation.id) {
+      conversation.id = this.createId();
+    }
+
+    const record = this.toRecord(conversation);
+
+    this.index[record.id] = this.summarize(record);
+
+    await chrome.storage.local.set({
+      [this.keyPrefix + record.id]: record,
+      [this.indexKey]: this.index
+    });
+    await this.prune();
+
+    return record;
+  }
+
+  /**
+   * Load a conversation record
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>}
+   */
+  async load(id) {
+    const key = this.keyPrefix + id;
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  }
+
+  /**
+   * Find the most recent active conversation for a page
+   * @param {string} url - Page URL (normalized or not)
+   * @param {Object} options - Lookup options
+   * @param {Array<string>} options.excludeIds - Conversations to skip, e.g. ones open in other tabs
+   * @returns {Promise<Object|null>} The conversation record
+   */
+  async findByUrl(url, options = {}) {
+    await this.initialize();
+
+    const normalizedUrl = ConversationStore.normalizeUrl(url);
+    const excludeIds = new Set(options.excludeIds || []);
+    const latest = Object.values(this.index)
+      .filter(summary => summary.url === normalizedUrl && !summary.archived && !excludeIds.has(summary.id))
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+
+    return latest ? this.load(latest.id) : null;
+  }
+
+  /**
+   * List stored conversations, most recently updated first
+   * @returns {Promise<Array<Object>>} Conversation summaries
+   */
+  async list() {
+    await this.initialize();
+
+    return Object.values(this.index).sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Full-text search across conversation titles, URLs and messages
+   * @param {string} query - Search text (case-insensitive, all words must match)
+   * @returns {Promise<Array<Object>>} Matching summaries with a `snippet` of
+   *   the first matching message, most recently updated first
+   */
+  async search(query) {
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const summaries = await this.list();
+    if (terms.length === 0) return summaries;
+
+    const keys = summaries.map(summary => this.keyPrefix + summary.id);
+    const records = keys.length > 0 ? await chrome.storage.local.get(keys) : {};
+    const results = [];
+
+    for (const summary of summaries) {
+      const record = records[this.keyPrefix + summary.id];
+      if (!record) continue;
+
+      const haystack = [record.title, record.url, ...record.messages.map(message => message.content)]
+        .join('\n')
+        .toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) continue;
+
+      const match = record.messages.find(message => message.content.toLowerCase().includes(terms[0]));
+      results.push({
+        ...summary,
+        snippet: match ? this.createSnippet(match.content, terms[0]) : null
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Cut a short excerpt around the first occurrence of a term
+   * @private
+   */
+  createSnippet(text, term) {
+    const position = text.toLowerCase().indexOf(term);
+    const start = Math.max(0, position - 60);
+    const end = Math.min(text.length, position + term.length + 60);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+  }
+
+  /**
+   * Mark a conversation as finished so it is no longer resumed automatically
+   * for its URL. It stays available in the history.
+   * @param {string} id - Conversation ID
+   */
+  async archive(id) {
+    await this.initialize();
+
+    const record = await this.load(id);
+    if (!record) return;
+
+    record.archived = true;
+    this.index[id] = this.summarize(record);
+
+    await chrome.storage.local.set({
+      [this.keyPrefix + id]: record,
+      [this.indexKey]: this.index
+    });
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<boolean>} Whether the conversation existed
+   */
+  async delete(id) {
+    await this.initialize();
+
+    if (!this.index[id]) return false;
+
+    delete this.index[id];
+    await chrome.storage.local.remove(this.keyPrefix + id);
+    await chrome.storage.local.set({ [this.indexKey]: this.index });
+    return true;
+  }
+
+  /**
+   * Build the index entry for a record
+   * @private
+   */
+  summarize(record) {
+    return {
+      id: record.id,
+      url: record.url,
+      title: record.title,
+      model: record.model,
+      messageCount: record.messages.length,
+      usage: record.usage || null,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      archived: record.archived
+    };
+  }
+
+  /**
+   * Remove the oldest conversations beyond maxConversations
+   * @private
+   */
+  async prune() {
+    const summaries = Object.values(this.index).sort((a, b) => b.updatedAt - a.updatedAt);
+    const stale = summaries.slice(this.maxConversations);
+    if (stale.length === 0) return;
+
+    for (const summary of stale) {
+      delete this.index[summary.id];
+    }
+    await chrome.storage.local.remove(stale.map(summary => this.keyPrefix + summary.id));
+    await chrome.storage.local.set({ [this.indexKey]: this.index });
+  }
+}
+
+// Export the ConversationStore class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationStore;
+}
@@ -0,0 +1,187 @@
+/**
+ * Conversation Tree for AI Avatar Chrome Extension
+ *
+ * Lets a conversation branch: editing an earlier user message or
+ * regenerating an assistant reply adds a sibling of that message instead of
+ * overwriting it. Every message has an `id` and the `parentId` of the
+ * message it follows (null for the first one).
+ *
+ * `conversation.messages` stays the selected path — the system message
+ * followed by the dialogue sent to the model — so code that only appends to
+ * or reads the conversation is unaffected. Messages on other branches are
+ * kept in `conversation.branches`. Switching branches swaps messages
+ * between the two.
+ *
+ * @module ConversationTree
+ */
+
+class ConversationTree {
+  /**
+   * Give messages from before branching existed an ID and parent, chained
+   * in order
+   * @param {Object} conversation - Conversation object
+   * @returns {Object} The conversation
+   */
+  static ensureIds(conversation) {
+    if (!Array.isArray(conversation.branches)) {
+      conversation.branches = [];
+    }
+
+    let parentId = null;
+    for (const message of conversation.messages) {
+      if (message.role === 'system') continue;
+
+      if (!message.id) {
+        message.id = ConversationTree.createId();
+        message.parentId = parentId;
+      }
+      parentId = message.id;
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Append a message to the selected path
+   * @param {Object} conversation - Conversation object
+   * @param {Object} message - Message without ID
+   * @returns {Object} The appended message
+   */
+  static append(conversation, message) {
+    const last = ConversationTree.getPath(conversation).pop();
+    const node = {
+      ...message,
+      id: ConversationTree.createId(),
+      parentId: last ? last.id : null
+    };
+
+    conversation.messages.push(node);
+    return node;
+  }
+
+  /**
+   * Move a message on the selected path and everything after it onto a side
+   * branch, so a sibling can take its place
+   * @param {Object} conversation - Conversation object
+   * @param {string} messageId - Message to branch from
+   * @param {string} role - Role the message must have
+   * @returns {Object} The moved message
+   * @throws {Error} If the message is not on the selected path
+   */
+  static truncateAt(conversation, messageId, role) {
+    const index = conversation.messages.findIndex(message => message.id === messageId);
+    const message = conversation.messages[index];
+    if (!message || (role && message.role !== role)) {
+      throw new Error('Message not found in this conversation');
+    }
+
+    conversation.branches.push(...conversation.messages.splice(index));
+    return message;
+  }
+
+  /**
+   * Select the path through a message: its ancestors, the message itself,
+   * and below it the branch that was viewed most recently
+   * @param {Object} conversation - Conversation object
+   * @param {string} messageId - Message to switch to
+   * @throws {Error} If the message does not exist
+   */
+  static select(conversation, messageId) {
+    const nodes = ConversationTree.getNodes(conversation);
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    if (!byId.has(messageId)) {
+      throw new Error('Message not found in this conversation');
+    }
+
+    const path = [];
+    for (let node = byId.get(messageId); node; node = byId.get(node.parentId)) {
+      path.unshift(node);
+    }
+
+    for (let children = ConversationTree.getChildren(nodes, messageId); children.length > 0;) {
+      const next = children.reduce((latest, child) =>
+        ConversationTree.lastViewed(child) > ConversationTree.lastViewed(latest) ? child : latest
+      );
+      path.push(next);
+      children = ConversationTree.getChildren(nodes, next.id);
+    }
+
+    const now = Date.now();
+    path.forEach(node => { node.selectedAt = now; });
+
+    const onPath = new Set(path);
+    const system = conversation.messages.filter(message => message.role === 'system');
+    conversation.messages = [...system, ...path];
+    conversation.branches = nodes.filter(node => !onPath.has(node));
+  }
+
+  /**
+   * Describe the selected path for display, with each message's position
+   * among its siblings
+   * @param {Object} conversation - Conversation object
+   * @returns {Array<Object>} Messages with `branch: { index, count, siblingIds }`
+   */
+  static describe(conversation) {
+    const nodes = ConversationTree.getNodes(conversation);
+
+    return ConversationTree.getPath(conversation).map(message => {
+      const siblingIds = nodes
+        .filter(node => node.parentId === message.parentId && node.role === message.role)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(node => node.id);
+
+      return {
+        ...message,
+        branch: {
+          index: siblingIds.indexOf(message.id),
+          count: siblingIds.length,
+          siblingIds
+        }
+      };
+    });
+  }
+
+  /**
+   * The selected path without the system message
+   * @param {Object} conversation - Conversation object
+   * @returns {Array<Object>}
+   */
+  static getPath(conversation) {
+    return conversation.messages.filter(message => message.role !== 'system');
+  }
+
+  /**
+   * Every message on any branch
+   * @private
+   */
+  static getNodes(conversation) {
+    return [...ConversationTree.getPath(conversation), ...(conversation.branches || [])];
+  }
+
+  /**
+   * @private
+   */
+  static getChildren(nodes, parentId) {
+    return nodes.filter(node => node.parentId === parentId);
+  }
+
+  /**
+   * When a message was last on the selected path
+   * @private
+   */
+  static lastViewed(node) {
+    return Math.max(node.selectedAt || 0, node.timestamp || 0);
+  }
+
+  /**
+   * @private
+   */
+  static createId() {
+    return `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+// Export the ConversationTree class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationTree;
+}
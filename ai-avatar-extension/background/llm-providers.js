@@ -0,0 +1,562 @@
+/**
+ * LLM Provider Layer for AI Avatar Chrome Extension
+ *
+ * Normalizes the differences between chat completion APIs (endpoint, auth
+ * headers, request body, response shape and SSE stream events) so the service
+ * worker can talk to OpenAI, the Anthropic Messages API, or any local
+ * OpenAI-compatible server (llama.cpp, Ollama, LM Studio) through one interface.
+ *
+ * Usage is always reported in OpenAI field names
+ * ({ prompt_tokens, completion_tokens, total_tokens }) so it can be passed
+ * straight to RateLimiter.recordUsage.
+ *
+ * Tool calling uses one shape for every provider:
+ * - tools: { name, description, parameters } with JSON Schema parameters
+ * - a tool call: { id, name, arguments } with parsed arguments
+ * - in messages, an assistant turn that calls tools carries `toolCalls`, and
+ *   each result is a { role: 'tool', toolCallId, name, content } message
+ *
+ * @module LLMProviders
+ */
+
+class LLMProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key for the provider (optional for local servers)
+   * @param {string} config.baseUrl - Base URL of the API
+   * @param {string} config.model - Model name to send to the API (overrides the catalog mapping)
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.id = 'base';
+    this.label = 'LLM';
+    this.defaultModel = null;
+    this.requiresApiKey = true;
+    // Whether buildRequest accepts tools
+    this.supportsTools = false;
+  }
+
+  /**
+   * Check whether the provider has everything it needs to make requests
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !this.requiresApiKey || !!this.config.apiKey;
+  }
+
+  /**
+   * Map a RateLimiter catalog model name to the model name the API expects
+   * @param {string} model - Catalog model name
+   * @returns {string} API model name
+   */
+  resolveModel(model) {
+    return model;
+  }
+
+  /**
+   * Build the fetch request for a chat completion
+   * @param {Array} messages - Conversation messages ({ role, content }); any other
+   *   fields (timestamps, usage) are conversation metadata and are not sent
+   * @param {Object} options - Request options
+   * @param {string} options.model - Catalog model name
+   * @param {number} options.maxTokens - Maximum completion tokens
+   * @param {number} options.temperature - Sampling temperature
+   * @param {boolean} options.stream - Whether to request an SSE stream
+   * @param {Array} options.tools - Tools the model may call (if supportsTools)
+   * @param {string} options.toolChoice - 'auto', or 'none' to answer without calling tools
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest(messages, options = {}) {
+    throw new Error(`${this.label} provider does not implement buildRequest`);
+  }
+
+  /**
+   * Parse a non-streaming response body
+   * @param {Object} data - Parsed JSON response
+   * @returns {{content: string, usage: Object, finishReason: string|null, toolCalls: Array}}
+   */
+  parseResponse(data) {
+    throw new Error(`${this.label} provider does not implement parseResponse`);
+  }
+
+  /**
+   * Parse one SSE data payload from a streaming response. Tool calls arrive
+   * in pieces: `toolCalls` holds deltas ({ index, id?, name?, arguments? })
+   * whose `arguments` strings are concatenated per index and parsed as JSON
+   * once the stream ends.
+   * @param {Object} event - Parsed JSON from an SSE `data:` line
+   * @returns {{content: string, usage: Object|null, finishReason: string|null, toolCalls: Array|null}}
+   */
+  parseStreamEvent(event) {
+    throw new Error(`${this.label} provider does not implement parseStreamEvent`);
+  }
+
+  /**
+   * Build a user-facing error message for a failed HTTP response
+   * @param {number} status - HTTP status code
+   * @param {Object|null} errorBody - Parsed error body, if any
+   * @returns {string} Error message
+   */
+  getErrorMessage(status, errorBody) {
+    if (status === 429) {
+      return 'Rate limit exceeded. Please try again later.';
+    }
+    if (status === 401 || status === 403) {
+      return `Invalid ${this.label} API key. Please check your settings.`;
+    }
+    if (status === 500 || status === 502 || status === 503 || status === 529) {
+      return `${this.label} service is temporarily unavailable. Please try again.`;
+    }
+    return errorBody?.error?.message || `API request failed with status ${status}`;
+  }
+
+  /**
+   * Parse tool call arguments, which the model may have left malformed
+   * @param {string|Object} args - JSON arguments
+   * @returns {Object}
+   */
+  parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+
+    try {
+      const parsed = JSON.parse(args || '{}');
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Join a base URL and a path without doubling slashes
+   * @private
+   */
+  joinUrl(baseUrl, path) {
+    return baseUrl.replace(/\/+$/, '') + path;
+  }
+}
+
+/**
+ * OpenAI Chat Completions API
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.id = 'openai';
+    this.label = 'OpenAI';
+    this.defaultModel = 'gpt-4';
+    this.baseUrl = config.baseUrl || 'https://api.openai.com';
+    // Whether the server understands stream_options.include_usage
+    this.supportsStreamUsage = true;
+    this.supportsTools = true;
+  }
+
+  buildRequest(messages, options = {}) {
+    const { model, maxTokens = 1000, temperature = 0.7, stream = false, tools = null, toolChoice = 'auto' } = options;
+
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+    if (stream) {
+      headers['Accept'] = 'text/event-stream';
+    }
+
+    const body = {
+      model: this.resolveModel(model || this.defaultModel),
+      messages: messages.map(message => this.toOpenAIMessage(message)),
+      max_tokens: maxTokens,
+      temperature: temperature,
+      presence_penalty: 0.1,
+      frequency_penalty: 0.1
+    };
+
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+      body.tool_choice = toolChoice;
+    }
+
+    if (stream) {
+      body.stream = true;
+      if (this.supportsStreamUsage) {
+        body.stream_options = {
+          include_usage: true
+        };
+      }
+    }
+
+    return {
+      url: this.joinUrl(this.baseUrl, '/v1/chat/completions'),
+      headers,
+      body
+    };
+  }
+
+  parseResponse(data) {
+    const choice = data.choices?.[0];
+    return {
+      content: choice?.message?.content || '',
+      usage: this.normalizeUsage(data.usage),
+      finishReason: choice?.finish_reason || null,
+      toolCalls: (choice?.message?.tool_calls || []).map(toolCall => ({
+        id: toolCall.id,
+        name: toolCall.function?.name,
+        arguments: this.parseToolArguments(toolCall.function?.arguments)
+      }))
+    };
+  }
+
+  parseStreamEvent(event) {
+    const choice = event.choices?.[0];
+    const toolCalls = choice?.delta?.tool_calls;
+    return {
+      content: choice?.delta?.content || '',
+      usage: event.usage ? this.normalizeUsage(event.usage) : null,
+      finishReason: choice?.finish_reason || null,
+      toolCalls: toolCalls ? toolCalls.map(toolCall => ({
+        index: toolCall.index,
+        id: toolCall.id,
+        name: toolCall.function?.name,
+        arguments: toolCall.function?.arguments
+      })) : null
+    };
+  }
+
+  /**
+   * Convert a conversation message, including tool turns, to the Chat
+   * Completions shape
+   * @private
+   */
+  toOpenAIMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+
+    if (message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments || {}) }
+        }))
+      };
+    }
+
+    return { role: message.role, content: message.content };
+  }
+
+  /**
+   * @private
+   */
+  normalizeUsage(usage) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usage?.total_tokens || promptTokens + completionTokens
+    };
+  }
+}
+
+/**
+ * Local OpenAI-compatible server (llama.cpp, Ollama, LM Studio, vLLM)
+ *
+ * Requests never leave the configured base URL, so pages can be discussed
+ * without sending their content to a hosted provider.
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.id = 'local';
+    this.label = 'Local model';
+    this.defaultModel = 'local';
+    this.requiresApiKey = false;
+    // Accept base URLs with or without a trailing /v1
+    this.baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '').replace(/\/v1$/, '');
+    // Not every local server implements stream_options; usage is estimated instead
+    this.supportsStreamUsage = false;
+    // Nor tool calling, which many local models also handle poorly
+    this.supportsTools = false;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  resolveModel(model) {
+    if (!model || model === 'local') {
+      return this.config.model || 'llama3';
+    }
+    return model;
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.id = 'anthropic';
+    this.label = 'Anthropic';
+    this.defaultModel = 'claude-3-sonnet';
+    this.baseUrl = config.baseUrl || 'https://api.anthropic.com';
+    this.apiVersion = '2023-06-01';
+    this.supportsTools = true;
+
+    // RateLimiter catalog names -> Anthropic model IDs
+    this.modelIds = {
+      'claude-3-opus': 'claude-3-opus-20240229',
+      'claude-3-sonnet': 'claude-3-sonnet-20240229',
+      'claude-3-haiku': 'claude-3-haiku-20240307'
+    };
+  }
+
+  resolveModel(model) {
+    return this.modelIds[model] || model;
+  }
+
+  buildRequest(messages, options = {}) {
+    const { model, maxTokens = 1000, temperature = 0.7, stream = false, tools = null, toolChoice = 'auto' } = options;
+
+    // The Messages API takes the system prompt as a top-level field
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const body = {
+      model: this.resolveModel(model || this.defaultModel),
+      messages: this.toAnthropicMessages(messages),
+      max_tokens: maxTokens,
+      temperature: temperature
+    };
+
+    if (system) {
+      body.system = system;
+    }
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      body.tool_choice = { type: toolChoice };
+    }
+    if (stream) {
+      body.stream = true;
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'x-api-key': this.config.apiKey,
+      'anthropic-version': this.apiVersion,
+      // Required for requests made from an extension context
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+    if (stream) {
+      headers['Accept'] = 'text/event-stream';
+    }
+
+    return {
+      url: this.joinUrl(this.baseUrl, '/v1/messages'),
+      headers,
+      body
+    };
+  }
+
+  /**
+   * Convert chat messages to the Messages API shape, which requires
+   * alternating user/assistant turns starting with a user turn. Tool calls
+   * become tool_use blocks, and tool results tool_result blocks in a user turn.
+   * @private
+   */
+  toAnthropicMessages(messages) {
+    const result = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') continue;
+
+      const converted = this.toAnthropicMessage(message);
+      const last = result[result.length - 1];
+      if (last && last.role === converted.role) {
+        last.content = typeof last.content === 'string' && typeof converted.content === 'string'
+          ? last.content + '\n\n' + converted.content
+          : [...this.toBlocks(last.content), ...this.toBlocks(converted.content)];
+      } else {
+        result.push(converted);
+      }
+    }
+
+    if (result.length > 0 && result[0].role !== 'user') {
+      result.unshift({ role: 'user', content: '(continuing the conversation)' });
+    }
+
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  toAnthropicMessage(message) {
+    if (message.role === 'tool') {
+      return {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }]
+      };
+    }
+
+    if (message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: [
+          ...this.toBlocks(message.content),
+          ...message.toolCalls.map(toolCall => ({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.name,
+            input: toolCall.arguments || {}
+          }))
+        ]
+      };
+    }
+
+    return { role: message.role, content: message.content };
+  }
+
+  /**
+   * Content as an array of content blocks
+   * @private
+   */
+  toBlocks(content) {
+    if (Array.isArray(content)) return content;
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+
+  parseResponse(data) {
+    const blocks = data.content || [];
+    const content = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      usage: this.normalizeUsage(data.usage),
+      finishReason: data.stop_reason || null,
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+    };
+  }
+
+  parseStreamEvent(event) {
+    switch (event.type) {
+      case 'message_start':
+        return {
+          content: '',
+          usage: event.message?.usage ? this.normalizeUsage(event.message.usage) : null,
+          finishReason: null,
+          toolCalls: null
+        };
+
+      case 'content_block_start':
+        // A tool_use block opens with the call's ID and name; its input follows as JSON deltas
+        return {
+          content: '',
+          usage: null,
+          finishReason: null,
+          toolCalls: event.content_block?.type === 'tool_use'
+            ? [{ index: event.index, id: event.content_block.id, name: event.content_block.name, arguments: '' }]
+            : null
+        };
+
+      case 'content_block_delta':
+        return {
+          content: event.delta?.type === 'text_delta' ? event.delta.text : '',
+          usage: null,
+          finishReason: null,
+          toolCalls: event.delta?.type === 'input_json_delta'
+            ? [{ index: event.index, arguments: event.delta.partial_json }]
+            : null
+        };
+
+      case 'message_delta':
+        // Only output_tokens is reported here; input tokens came with message_start
+        return {
+          content: '',
+          usage: event.usage ? { completion_tokens: event.usage.output_tokens || 0 } : null,
+          finishReason: event.delta?.stop_reason || null,
+          toolCalls: null
+        };
+
+      case 'error':
+        throw new Error(event.error?.message || 'Anthropic stream error');
+
+      default:
+        return { content: '', usage: null, finishReason: null, toolCalls: null };
+    }
+  }
+
+  getErrorMessage(status, errorBody) {
+    if (status === 529) {
+      return 'Anthropic API is overloaded. Please try again.';
+    }
+    return super.getErrorMessage(status, errorBody);
+  }
+
+  /**
+   * @private
+   */
+  normalizeUsage(usage) {
+    const promptTokens = usage?.input_tokens || 0;
+    const completionTokens = usage?.output_tokens || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+}
+
+/**
+ * Registry of available providers, keyed by the `llmProvider` setting
+ */
+const LLM_PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: LocalProvider
+};
+
+/**
+ * Create a provider instance
+ * @param {string} providerId - One of the LLM_PROVIDERS keys
+ * @param {Object} config - Provider configuration
+ * @returns {LLMProvider}
+ */
+function createLLMProvider(providerId, config = {}) {
+  const ProviderClass = LLM_PROVIDERS[providerId];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider: ${providerId}`);
+  }
+  return new ProviderClass(config);
+}
+
+// Export the provider classes
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LLMProvider,
+    OpenAIProvider,
+    AnthropicProvider,
+    LocalProvider,
+    LLM_PROVIDERS,
+    createLLMProvider
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Long Document Processor for AI Avatar Chrome Extension
+ *
+ * Condenses page markdown that does not fit a model's context window. The
+ * markdown produced by ContentExtractor is split into sections at headings,
+ * oversized sections are split further into chunks, and the largest sections
+ * are summarized (map) and, when their chunk summaries are still too long,
+ * summarized again (reduce) until the whole document fits the token budget.
+ *
+ * Token budgets are computed with RateLimiter.countTokens so they agree with
+ * the limits checked before each request.
+ *
+ * @module LongDocumentProcessor
+ */
+
+class LongDocumentProcessor {
+  /**
+   * @param {RateLimiter} rateLimiter - Rate limiter used for token counting
+   * @param {Object} options - Processor options
+   * @param {number} options.maxChunkTokens - Largest chunk sent to a single summarization call
+   * @param {number} options.minSummaryTokens - Smallest summary length requested
+   */
+  constructor(rateLimiter, options = {}) {
+    this.rateLimiter = rateLimiter;
+    this.maxChunkTokens = options.maxChunkTokens || 3000;
+    this.minSummaryTokens = options.minSummaryTokens || 80;
+  }
+
+  /**
+   * Count tokens in a string
+   * @param {string} text - Text to count
+   * @returns {number} Estimated token count
+   */
+  countTokens(text) {
+    return this.rateLimiter.countTokens(text);
+  }
+
+  /**
+   * Split markdown into sections at headings. Headings inside fenced code
+   * blocks are ignored. Content before the first heading becomes an
+   * untitled introduction section.
+   * @param {string} markdown - Page markdown
+   * @returns {Array<{heading: string|null, level: number, content: string, tokens: number}>}
+   */
+  splitByHeadings(markdown) {
+    const sections = [];
+    let current = { heading: null, level: 0, lines: [] };
+    let inFence = false;
+
+    for (const line of (markdown || '').split('\n')) {
+      if (line.trim().startsWith('```')) {
+        inFence = !inFence;
+      }
+
+      const match = !inFence && line.match(/^(#{1,6})\s+(.*)$/);
+      if (match) {
+        sections.push(current);
+        current = { heading: match[2].trim(), level: match[1].length, lines: [line] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    sections.push(current);
+
+    return sections
+      .map(section => {
+        const content = section.lines.join('\n').trim();
+        return {
+          heading: section.heading,
+          level: section.level,
+          content,
+          tokens: this.countTokens(content)
+        };
+      })
+      .filter(section => section.content.length > 0);
+  }
+
+  /**
+   * Split a section's text into chunks of at most maxTokens, breaking at
+   * blank lines where possible
+   * @param {string} text - Section text
+   * @param {number} maxTokens - Chunk size limit
+   * @returns {Array<string>} Chunks
+   */
+  splitIntoChunks(text, maxTokens = this.maxChunkTokens) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        chunks.push(current.join('\n\n'));
+        current = [];
+        currentTokens = 0;
+      }
+    };
+
+    for (const block of text.split(/\n\s*\n/)) {
+      const blockTokens = this.countTokens(block);
+
+      if (blockTokens > maxTokens) {
+        // A single block larger than a chunk: cut it by characters
+        flush();
+        const charsPerChunk = Math.max(200, Math.floor(block.length * (maxTokens / blockTokens)));
+        for (let i = 0; i < block.length; i += charsPerChunk) {
+          chunks.push(block.slice(i, i + charsPerChunk));
+        }
+        continue;
+      }
+
+      if (currentTokens + blockTokens > maxTokens) {
+        flush();
+      }
+      current.push(block);
+      currentTokens += blockTokens;
+    }
+    flush();
+
+    return chunks;
+  }
+
+  /**
+   * Condense markdown until it fits a token budget
+   * @param {string} markdown - Page markdown
+   * @param {number} budget - Token budget for the condensed document
+   * @param {Function} summarize - async (text, targetTokens, heading) => summary
+   * @returns {Promise<Object>} { content, condensedSections, originalTokens, condensedTokens, fits }
+   */
+  async condense(markdown, budget, summarize) {
+    const sections = this.splitByHeadings(markdown);
+    const originalTokens = sections.reduce((sum, section) => sum + section.tokens, 0);
+    let totalTokens = originalTokens;
+
+    // Condense the largest sections first; they free the most room per call
+    const order = sections
+      .map((section, index) => index)
+      .sort((a, b) => sections[b].tokens - sections[a].tokens);
+
+    for (const index of order) {
+      if (totalTokens <= budget) break;
+
+      const section = sections[index];
+      const excess = totalTokens - budget;
+      // Shrink this section by the excess, but never below the minimum summary size
+      const target = Math.max(
+        this.minSummaryTokens,
+        Math.min(Math.floor(section.tokens / 2), section.tokens - excess)
+      );
+
+      if (target >= section.tokens) continue;
+
+      const summary = await this.summarizeSection(section, target, summarize);
+      const condensedContent = (section.heading ? `${'#'.repeat(section.level)} ${section.heading} (condensed)\n\n` : '') + summary;
+      const condensedTokens = this.countTokens(condensedContent);
+
+      totalTokens += condensedTokens - section.tokens;
+      sections[index] = {
+        ...section,
+        content: condensedContent,
+        tokens: condensedTokens,
+        condensed: true
+      };
+    }
+
+    return {
+      content: sections.map(section => section.content).join('\n\n'),
+      condensedSections: sections
+        .filter(section => section.condensed)
+        .map(section => section.heading || 'Introduction'),
+      originalTokens,
+      condensedTokens: totalTokens,
+      fits: totalTokens <= budget
+    };
+  }
+
+  /**
+   * Summarize one section: map over its chunks, then reduce the chunk
+   * summaries if they are still longer than the target
+   * @private
+   */
+  async summarizeSection(section, targetTokens, summarize) {
+    const body = section.heading
+      ? section.content.replace(/^#{1,6}\s+.*\n?/, '')
+      : section.content;
+    const chunks = this.splitIntoChunks(body);
+
+    // Map: each chunk gets a share of the target proportional to its size
+    const chunkTarget = Math.max(
+      this.minSummaryTokens,
+      Math.floor(targetTokens / chunks.length)
+    );
+    const summaries = [];
+    for (const chunk of chunks) {
+      summaries.push(await summarize(chunk, chunkTarget, section.heading));
+    }
+
+    let combined = summaries.join('\n\n');
+
+    // Reduce: collapse chunk summaries that still exceed the target
+    let passes = 0;
+    while (this.countTokens(combined) > targetTokens && passes < 3) {
+      const parts = this.splitIntoChunks(combined);
+      const reduced = [];
+      for (const part of parts) {
+        reduced.push(await summarize(part, Math.max(this.minSummaryTokens, Math.floor(targetTokens / parts.length)), section.heading));
+      }
+      combined = reduced.join('\n\n');
+      passes++;
+    }
+
+    return combined;
+  }
+}
+
+// Export the LongDocumentProcessor class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LongDocumentProcessor;
+}
@@ -0,0 +1,248 @@
+/**
+ * Prompt Composer for AI Avatar Chrome Extension
+ *
+ * Assembles the system prompt from the user's settings and the page:
+ * - the avatar personality (`avatarPersonality`), which sets tone and style
+ * - the response length (`responseLength`), which sets both the length
+ *   guidance and the `max_tokens` of the request
+ * - guidance for the page's content type (`pageContent.contentType`)
+ * - the output language (`responseLanguage`)
+ *
+ * The page section itself (full, condensed or retrieved text) is prepared
+ * by the service worker and passed in. Questions across several open pages
+ * use composeSources, which labels each page with a source tag to attribute
+ * answers to.
+ *
+ * @module PromptComposer
+ */
+
+class PromptComposer {
+  constructor() {
+    // Keyed by the personality options offered in settings
+    this.personalities = {
+      helpful: {
+        role: 'a helpful, professional assistant',
+        style: [
+          'Be clear, accurate and courteous',
+          'Lead with the answer, then give the supporting detail',
+          'Keep a neutral, professional tone'
+        ]
+      },
+      casual: {
+        role: 'a friendly, laid-back companion',
+        style: [
+          'Talk like you would with a friend: warm, plain words and contractions',
+          'Avoid jargon, or explain it in everyday terms when it is needed',
+          'A little humor is welcome when the content allows it'
+        ]
+      },
+      academic: {
+        role: 'a rigorous academic tutor',
+        style: [
+          'Be precise and thorough, and define technical terms',
+          'Distinguish what the page states from your own inferences',
+          'Point out assumptions, limitations and open questions',
+          'Structure longer explanations with headings or numbered points'
+        ]
+      },
+      creative: {
+        role: 'an imaginative, engaging guide',
+        style: [
+          'Bring explanations to life with analogies and concrete examples',
+          'Keep the tone energetic and engaging',
+          'Suggest interesting angles and connections the user may not have considered',
+          'Stay faithful to the page: creativity is for the explanation, never for the facts'
+        ]
+      }
+    };
+
+    this.lengths = {
+      short: {
+        maxTokens: 400,
+        guidance: 'Keep answers brief: a few sentences or a short list, unless the user asks for more.'
+      },
+      medium: {
+        maxTokens: 1000,
+        guidance: 'Give focused answers of one to three short paragraphs, or an equivalent list.'
+      },
+      long: {
+        maxTokens: 2000,
+        guidance: 'Give detailed, comprehensive answers, structured with headings, lists and examples where it helps.'
+      }
+    };
+
+    // Keyed by ContentExtractor.detectContentType()
+    this.contentTypes = {
+      code_repository: 'This is a code repository. Explain what the project does, how it is organized and how to use it; quote file names, commands and identifiers exactly, and format code in fenced blocks with a language.',
+      technical_qa: 'This is a technical Q&A page. Distinguish the question from the answers, say which answer is accepted or most upvoted when the page shows it, and note when answers disagree or may be outdated.',
+      encyclopedia: 'This is an encyclopedia article. Stay neutral and factual, keep dates, names and figures exact, and separate well-established facts from points the article presents as disputed.',
+      blog_post: 'This is a blog post. Separate the author\'s opinions and experiences from factual claims, and summarize the main argument before the details.',
+      documentation: 'This is technical documentation. Give precise, actionable answers with the exact API names, options and commands from the page, and mention prerequisites, version notes and caveats it states.',
+      tutorial: 'This is a tutorial or guide. Keep its steps in order, mention prerequisites, and help the user with the step they are on.',
+      news_article: 'This is a news article. Lead with who, what, when and where, attribute claims to their sources, and note the publication date when it matters.',
+      general_content: 'Adapt to the kind of content on the page and focus on what the user is trying to learn from it.'
+    };
+
+    this.defaults = { personality: 'helpful', responseLength: 'medium', language: 'auto' };
+  }
+
+  /**
+   * Completion token limit for a response length setting
+   * @param {string} responseLength - 'short', 'medium' or 'long'
+   * @returns {number}
+   */
+  getMaxTokens(responseLength) {
+    return (this.lengths[responseLength] || this.lengths[this.defaults.responseLength]).maxTokens;
+  }
+
+  /**
+   * Compose the system prompt
+   * @param {Object} page - Page section
+   * @param {Object} page.pageContent - Page content object
+   * @param {string} page.pageText - Page text to include (full, condensed or retrieved)
+   * @param {string} page.note - Note on how the page is included, if not in full
+   * @param {boolean} page.hasAnchors - Whether sections carry [§id] anchors to cite
+   * @param {Object} settings - Prompt settings
+   * @param {string} settings.personality - Avatar personality ID
+   * @param {string} settings.responseLength - 'short', 'medium' or 'long'
+   * @param {string} settings.language - 'auto', 'page' or a BCP 47 language code
+   * @returns {string}
+   */
+  compose(page, settings = {}) {
+    const { pageContent, pageText, note = '', hasAnchors = false } = page;
+    const personality = this.personalities[settings.personality] || this.personalities[this.defaults.personality];
+    const length = this.lengths[settings.responseLength] || this.lengths[this.defaults.responseLength];
+    const contentGuidance = this.contentTypes[pageContent.contentType] || this.contentTypes.general_content;
+
+    const role = [
+      'Help users understand and analyze this webpage content',
+      'Answer questions about the content accurately',
+      'If asked about information not in the content, clearly state that'
+    ];
+    if (hasAnchors) {
+      role.push('Cite the sections you draw on by placing their anchor, exactly as written (e.g. [§b12]), after the sentence that uses them');
+    }
+
+    return `You are an AI avatar assistant, ${personality.role}, that helps users understand webpage content. You have access to the following webpage content:
+
+**Page Title:** ${pageContent.title}
+**URL:** ${pageContent.url}
+**Content Type:** ${pageContent.contentType}
+**Word Count:** ${pageContent.wordCount}
+${note}
+**Page Content (in Markdown format):**
+${pageText}
+
+**Your Role:**
+${this.formatList(role)}
+
+**About This Page:**
+${contentGuidance}
+
+**Personality and Style:**
+${this.formatList(personality.style)}
+
+**Response Length:**
+${length.guidance}
+
+**Language:**
+${this.getLanguageInstruction(settings.language || this.defaults.language, pageContent)}`;
+  }
+
+  /**
+   * Compose the system prompt for a question across several pages
+   * @param {Array<Object>} sources - Sources in tag order
+   * @param {string} sources[].tag - Source tag, e.g. "S1"
+   * @param {Object} sources[].pageContent - Page content object
+   * @param {string} sources[].text - Page text to include (full or excerpted)
+   * @param {boolean} sources[].excerpted - Whether only part of the page is included
+   * @param {Object} settings - Prompt settings, as for compose
+   * @returns {string}
+   */
+  composeSources(sources, settings = {}) {
+    const personality = this.personalities[settings.personality] || this.personalities[this.defaults.personality];
+    const length = this.lengths[settings.responseLength] || this.lengths[this.defaults.responseLength];
+
+    const pages = sources.map(({ tag, pageContent, text, excerpted }) => {
+      const note = excerpted
+        ? '\n**Note:** This page is long, so only its parts most relevant to the user\'s latest question are included.'
+        : '';
+      return `### [${tag}] ${pageContent.title}
+**URL:** ${pageContent.url}
+**Content Type:** ${pageContent.contentType}
+**Word Count:** ${pageContent.wordCount}${note}
+
+${text}`;
+    });
+
+    const role = [
+      'Answer questions across these pages, including comparisons between them',
+      'Attribute what you say about a page to it by placing its source tag, exactly as written (e.g. [S1]), after the sentence; a point drawn from several pages gets each of their tags',
+      'When comparing, cover every page the question concerns, and say when a page does not address a point rather than guessing',
+      'Point out where the pages disagree, or use different terms for the same thing',
+      'If the answer may be in a part of an excerpted page that is not included, say so'
+    ];
+
+    return `You are an AI avatar assistant, ${personality.role}, that helps users understand and compare webpages. You have access to the content of ${sources.length} pages the user has open, each labelled with a source tag (in Markdown format):
+
+${pages.join('\n\n---\n\n')}
+
+**Your Role:**
+${this.formatList(role)}
+
+**Personality and Style:**
+${this.formatList(personality.style)}
+
+**Response Length:**
+${length.guidance}
+
+**Language:**
+${this.getLanguageInstruction(settings.language || this.defaults.language, sources[0]?.pageContent || {})}`;
+  }
+
+  /**
+   * Instruction for the output language
+   * @private
+   */
+  getLanguageInstruction(language, pageContent) {
+    if (language === 'page') {
+      const pageLanguage = this.getLanguageName(pageContent.metadata?.language);
+      return pageLanguage
+        ? `Reply in ${pageLanguage}, the language of the page, whatever language the user writes in.`
+        : 'Reply in the language of the page.';
+    }
+
+    const name = language !== 'auto' && this.getLanguageName(language);
+    if (name) {
+      return `Reply in ${name}, whatever language the page or the user's messages are in. Keep quotes from the page in their original language when exact wording matters.`;
+    }
+
+    return 'Reply in the language of the user\'s latest message, even when the page is in another language.';
+  }
+
+  /**
+   * English name of a language code, e.g. "de-CH" -> "German (Switzerland)"
+   * @private
+   */
+  getLanguageName(code) {
+    if (!code) return null;
+
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatList(items) {
+    return items.map(item => `- ${item}`).join('\n');
+  }
+}
+
+// Export the PromptComposer class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptComposer;
+}
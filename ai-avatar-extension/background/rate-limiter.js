@@ -17,37 +17,53 @@ class RateLimiter {
    * @param {string} config.storageKey - Chrome storage key for persistence
    */
   constructor(config = {}) {
-    // Model pricing configuration (per 1K tokens)
+    // Model pricing configuration (per 1K tokens), the provider that serves each model
+    // and the larger-context model to use when a prompt does not fit
     this.models = config.models || {
       'gpt-4': {
         prompt: 0.03,
         completion: 0.06,
-        contextWindow: 8192
+        contextWindow: 8192,
+        provider: 'openai',
+        fallback: 'gpt-4-turbo'
       },
       'gpt-4-turbo': {
         prompt: 0.01,
         completion: 0.03,
-        contextWindow: 128000
+        contextWindow: 128000,
+        provider: 'openai'
       },
       'gpt-3.5-turbo': {
         prompt: 0.0005,
         completion: 0.0015,
-        contextWindow: 16385
+        contextWindow: 16385,
+        provider: 'openai',
+        fallback: 'gpt-4-turbo'
       },
       'claude-3-opus': {
         prompt: 0.015,
         completion: 0.075,
-        contextWindow: 200000
+        contextWindow: 200000,
+        provider: 'anthropic'
       },
       'claude-3-sonnet': {
         prompt: 0.003,
         completion: 0.015,
-        contextWindow: 200000
+        contextWindow: 200000,
+        provider: 'anthropic'
       },
       'claude-3-haiku': {
         prompt: 0.00025,
         completion: 0.00125,
-        contextWindow: 200000
+        contextWindow: 200000,
+        provider: 'anthropic'
+      },
+      // Self-hosted OpenAI-compatible server; usage is tracked but free
+      'local': {
+        prompt: 0,
+        completion: 0,
+        contextWindow: 8192,
+        provider: 'local'
       }
     };
 
@@ -71,6 +87,9 @@ class RateLimiter {
     this.storageKey = config.storageKey || 'rateLimiterData';
     this.usage = null;
     this.initialized = false;
+
+    // IDs of recently recorded requests, so a retried request is counted once
+    this.recordedRequests = new Set();
   }
 
   /**
@@ -225,18 +244,68 @@ class RateLimiter {
     };
   }
 
+  /**
+   * Pick a model whose context window fits a prompt, preferring the requested model
+   * and then following its `fallback` chain. Fallbacks only point at models of the
+   * same provider, so routing never sends page content to a provider the user did not pick.
+   * @param {string} preferredModel - Model the user selected
+   * @param {number} promptTokens - Prompt size in tokens
+   * @param {Object} options - Selection options
+   * @param {number} options.completionTokens - Tokens to reserve for the completion
+   * @param {Array<string>} options.candidates - Models allowed as fallbacks (defaults to all)
+   * @returns {string|null} Model that fits, or null if no model in the chain is large enough
+   */
+  selectModelForPrompt(preferredModel, promptTokens, options = {}) {
+    const { completionTokens = 0, candidates = Object.keys(this.models) } = options;
+    const requiredTokens = promptTokens + completionTokens;
+    const visited = new Set();
+    let model = preferredModel;
+
+    while (model && !visited.has(model)) {
+      visited.add(model);
+
+      const config = this.models[model];
+      if (!config) {
+        return model === preferredModel ? preferredModel : null;
+      }
+
+      const allowed = model === preferredModel || candidates.includes(model);
+      if (allowed && requiredTokens <= config.contextWindow) {
+        return model;
+      }
+
+      model = config.fallback;
+    }
+
+    return null;
+  }
+
   /**
    * Record usage for a completed request
    * @param {Object} usageInfo - Usage information
    * @param {string} usageInfo.model - Model used
    * @param {number} usageInfo.promptTokens - Actual prompt tokens used
    * @param {number} usageInfo.completionTokens - Actual completion tokens used
+   * @param {string} usageInfo.requestId - Optional ID of the logical request; usage
+   *   recorded again under the same ID (e.g. after a retry) is ignored
    * @returns {Promise<void>}
    */
   async recordUsage(usageInfo) {
     await this.initialize();
 
-    const { model, promptTokens, completionTokens } = usageInfo;
+    const { model, promptTokens, completionTokens, requestId } = usageInfo;
+    if (requestId) {
+      if (this.recordedRequests.has(requestId)) {
+        console.warn(`Usage for request ${requestId} was already recorded`);
+        return;
+      }
+      this.recordedRequests.add(requestId);
+      // Keep only the most recent IDs
+      if (this.recordedRequests.size > 200) {
+        this.recordedRequests.delete(this.recordedRequests.values().next().value);
+      }
+    }
+
     const totalTokens = promptTokens + completionTokens;
     const cost = this.calculateCost(model, promptTokens, completionTokens);
     const now = Date.now();
@@ -306,16 +375,47 @@ class RateLimiter {
 
     // Update minutely tracking
     this.usage.minutely.requests.push(now);
-    
-    // Clean old minute entries
-    const oneMinuteAgo = now - 60000;
-    this.usage.minutely.requests = this.usage.minutely.requests.filter(
-      timestamp => timestamp > oneMinuteAgo
-    );
+    this.pruneMinuteWindow(now);
 
     await this.saveUsage();
   }
 
+  /**
+   * Record a reply served from the response cache. Cache hits make no
+   * provider request, so they are counted apart from usage and limits.
+   * @param {Object} hitInfo - Cache hit information
+   * @param {string} hitInfo.model - Model that produced the cached reply
+   * @param {number} hitInfo.promptTokens - Prompt tokens of the original request
+   * @param {number} hitInfo.completionTokens - Completion tokens of the original request
+   * @returns {Promise<void>}
+   */
+  async recordCacheHit(hitInfo) {
+    await this.initialize();
+
+    const { model, promptTokens = 0, completionTokens = 0 } = hitInfo;
+    const cost = this.calculateCost(model, promptTokens, completionTokens);
+
+    for (const period of ['daily', 'monthly', 'lifetime']) {
+      const cache = this.getCacheUsage(period);
+      cache.hits += 1;
+      cache.tokensSaved += promptTokens + completionTokens;
+      cache.costSaved += cost;
+    }
+
+    await this.saveUsage();
+  }
+
+  /**
+   * Cache hit counters for a period, created on first use
+   * @private
+   */
+  getCacheUsage(period) {
+    if (!this.usage[period].cache) {
+      this.usage[period].cache = { hits: 0, tokensSaved: 0, costSaved: 0 };
+    }
+    return this.usage[period].cache;
+  }
+
   /**
    * Get usage statistics
    * @param {string} period - Period to get stats for ('daily', 'monthly', 'lifetime')
@@ -330,9 +430,11 @@ class RateLimiter {
     }
 
     const limits = this.limits[period];
+    // Cache hits are reported separately by getAllStats
+    const { cache, ...providerUsage } = usage;
     const stats = {
       period,
-      usage: { ...usage },
+      usage: providerUsage,
       limits: limits ? { ...limits } : null,
       percentages: {}
     };
@@ -359,10 +461,34 @@ class RateLimiter {
       daily: await this.getUsageStats('daily'),
       monthly: await this.getUsageStats('monthly'),
       lifetime: await this.getUsageStats('lifetime'),
-      currentMinuteRequests: this.usage.minutely.requests.length
+      cache: {
+        daily: { ...this.getCacheUsage('daily') },
+        monthly: { ...this.getCacheUsage('monthly') },
+        lifetime: { ...this.getCacheUsage('lifetime') }
+      },
+      currentMinuteRequests: this.getMinuteRequestCount()
     };
   }
 
+  /**
+   * Number of requests in the last minute
+   * @returns {number}
+   */
+  getMinuteRequestCount() {
+    this.pruneMinuteWindow();
+    return this.usage.minutely.requests.length;
+  }
+
+  /**
+   * Time until the oldest request leaves the one-minute window
+   * @returns {number} Milliseconds, 0 if the window is empty
+   */
+  getMinuteSlotDelay() {
+    this.pruneMinuteWindow();
+    const requests = this.usage.minutely.requests;
+    return requests.length > 0 ? Math.max(0, Math.min(...requests) + 60000 - Date.now()) : 0;
+  }
+
   /**
    * Reset usage for a specific period
    * @param {string} period - Period to reset ('daily', 'monthly')
@@ -411,7 +537,7 @@ class RateLimiter {
    * @private
    */
   checkMinuteLimit() {
-    const currentRequests = this.usage.minutely.requests.length;
+    const currentRequests = this.getMinuteRequestCount();
     
     if (currentRequests >= this.limits.perMinute.requests) {
       return {
@@ -425,6 +551,17 @@ class RateLimiter {
     return { allowed: true };
   }
 
+  /**
+   * Drop request timestamps older than one minute
+   * @private
+   */
+  pruneMinuteWindow(now = Date.now()) {
+    const oneMinuteAgo = now - 60000;
+    this.usage.minutely.requests = this.usage.minutely.requests.filter(
+      timestamp => timestamp > oneMinuteAgo
+    );
+  }
+
   /**
    * Check if request is within daily limits
    * @private
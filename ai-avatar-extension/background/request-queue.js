@@ -0,0 +1,159 @@
+/**
+ * Request Queue for AI Avatar Chrome Extension
+ *
+ * Holds provider requests that would exceed the per-minute request limit
+ * and dispatches them as soon as the sliding window has room, instead of
+ * failing them with a rate limit error. Requests are served by priority:
+ * user messages before background work such as condensing long pages, and
+ * in arrival order within a priority.
+ *
+ * A request holds its slot from dispatch until it releases it, after its
+ * usage has been recorded with RateLimiter.recordUsage, so requests still in
+ * flight count against the limit.
+ *
+ * @module RequestQueue
+ */
+
+class RequestQueue {
+  /**
+   * @param {RateLimiter} rateLimiter - Rate limiter providing the per-minute window
+   */
+  constructor(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+    this.priorities = { user: 0, background: 1 };
+
+    this.items = [];
+    this.inFlight = 0;
+    this.sequence = 0;
+    this.timerId = null;
+  }
+
+  /**
+   * Wait for a request slot
+   * @param {Object} options - Request options
+   * @param {string} options.priority - 'user' or 'background'
+   * @param {AbortSignal} options.signal - Cancels the wait
+   * @param {Function} options.onQueued - Called with the 1-based queue position
+   *   whenever it changes while waiting
+   * @returns {Promise<Function>} Resolves with a function that releases the slot
+   */
+  acquire(options = {}) {
+    const { priority = 'user', signal, onQueued } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(new DOMException('Aborted', 'AbortError'));
+    }
+
+    if (this.items.length === 0 && this.hasSlot()) {
+      return Promise.resolve(this.createSlot());
+    }
+
+    return new Promise((resolve, reject) => {
+      const item = {
+        priority: this.priorities[priority] ?? this.priorities.user,
+        sequence: this.sequence++,
+        position: null,
+        resolve,
+        reject,
+        onQueued,
+        signal
+      };
+
+      item.onAbort = () => {
+        this.remove(item);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      signal?.addEventListener('abort', item.onAbort, { once: true });
+
+      this.items.push(item);
+      this.items.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      this.notifyPositions();
+      this.scheduleDispatch();
+    });
+  }
+
+  /**
+   * Whether the per-minute window has room for another request
+   * @private
+   */
+  hasSlot() {
+    return this.rateLimiter.getMinuteRequestCount() + this.inFlight < this.rateLimiter.limits.perMinute.requests;
+  }
+
+  /**
+   * Take a slot and return its release function, which only counts once
+   * @private
+   */
+  createSlot() {
+    this.inFlight++;
+    let released = false;
+
+    return () => {
+      if (released) return;
+      released = true;
+      this.inFlight--;
+      this.dispatch();
+    };
+  }
+
+  /**
+   * Hand out free slots to waiting requests in priority order
+   * @private
+   */
+  dispatch() {
+    while (this.items.length > 0 && this.hasSlot()) {
+      const item = this.items.shift();
+      item.signal?.removeEventListener('abort', item.onAbort);
+      item.resolve(this.createSlot());
+    }
+
+    this.notifyPositions();
+    this.scheduleDispatch();
+  }
+
+  /**
+   * Check again when the oldest request leaves the window. Slots held by
+   * requests in flight are freed by their release instead.
+   * @private
+   */
+  scheduleDispatch() {
+    if (this.timerId !== null || this.items.length === 0) return;
+
+    const delay = this.rateLimiter.getMinuteSlotDelay() || 1000;
+    this.timerId = setTimeout(() => {
+      this.timerId = null;
+      this.dispatch();
+    }, delay + 50);
+  }
+
+  /**
+   * Remove a waiting request
+   * @private
+   */
+  remove(item) {
+    const index = this.items.indexOf(item);
+    if (index === -1) return;
+
+    this.items.splice(index, 1);
+    this.notifyPositions();
+  }
+
+  /**
+   * Report changed queue positions to waiting requests
+   * @private
+   */
+  notifyPositions() {
+    this.items.forEach((item, index) => {
+      if (item.position === index + 1) return;
+      item.position = index + 1;
+      if (item.onQueued) {
+        item.onQueued(item.position);
+      }
+    });
+  }
+}
+
+// Export the RequestQueue class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestQueue;
+}
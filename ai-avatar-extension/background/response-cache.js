@@ -0,0 +1,210 @@
+/**
+ * Response Cache for AI Avatar Chrome Extension
+ *
+ * Stores assistant replies in IndexedDB so asking the same question about an
+ * unchanged page does not pay for a second provider call. Entries are keyed
+ * by a SHA-256 hash of the page content, the model, the prompt settings
+ * (personality, response length, language) and the normalized prompt, expire after a TTL, and the least recently used
+ * entries are evicted beyond a size limit.
+ *
+ * Entry: { key, response, model, usage, createdAt, lastUsedAt, hits }
+ *
+ * @module ResponseCache
+ */
+
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dbName - IndexedDB database name
+   * @param {number} options.ttlMs - How long a reply stays valid
+   * @param {number} options.maxEntries - Least recently used entries beyond this are evicted
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'aiAvatarResponseCache';
+    this.storeName = 'responses';
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 200;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Normalize a prompt so trivially different phrasings share an entry
+   * (case, surrounding and repeated whitespace, trailing punctuation)
+   * @param {string} prompt - User message
+   * @returns {string}
+   */
+  static normalizePrompt(prompt) {
+    return String(prompt || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/[\s.!?]+$/, '');
+  }
+
+  /**
+   * Build the cache key for a question
+   * @param {Object} parts - Key parts
+   * @param {string} parts.content - Page content text
+   * @param {string} parts.model - Model that answers
+   * @param {string} parts.personality - Avatar personality
+   * @param {string} parts.responseLength - Response length setting
+   * @param {string} parts.language - Response language setting
+   * @param {string} parts.prompt - User message
+   * @param {Array<{role: string, content: string}>} parts.history - Earlier turns on the
+   *   conversation path, so a follow-up is only answered from the cache after the same dialogue
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  async createKey(parts) {
+    const contentHash = await this.digest(parts.content || '');
+    const historyHash = await this.digest(JSON.stringify(
+      (parts.history || []).map(message => [message.role, message.content])
+    ));
+    return this.digest(JSON.stringify([
+      contentHash,
+      historyHash,
+      parts.model,
+      parts.personality || '',
+      parts.responseLength || '',
+      parts.language || '',
+      ResponseCache.normalizePrompt(parts.prompt)
+    ]));
+  }
+
+  /**
+   * Look up a reply, dropping it if it has expired
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} The entry, or null on a miss
+   */
+  async get(key) {
+    const db = await this.open();
+    const entry = await this.request(db.transaction(this.storeName).objectStore(this.storeName).get(key));
+    if (!entry) return null;
+
+    const now = Date.now();
+    const store = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+
+    if (now - entry.createdAt > this.ttlMs) {
+      await this.request(store.delete(key));
+      return null;
+    }
+
+    entry.lastUsedAt = now;
+    entry.hits = (entry.hits || 0) + 1;
+    await this.request(store.put(entry));
+    return entry;
+  }
+
+  /**
+   * Store a reply, replacing any earlier one for the key
+   * @param {string} key - Cache key
+   * @param {Object} value - { response, model, usage }
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const db = await this.open();
+    const now = Date.now();
+    const entry = {
+      key,
+      response: value.response,
+      model: value.model,
+      usage: value.usage || null,
+      createdAt: now,
+      lastUsedAt: now,
+      hits: 0
+    };
+
+    await this.request(db.transaction(this.storeName, 'readwrite').objectStore(this.storeName).put(entry));
+    await this.prune();
+  }
+
+  /**
+   * Remove expired entries and evict the least recently used ones over the limit
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+    const entries = await this.request(store.getAll());
+    const now = Date.now();
+
+    const live = entries.filter(entry => now - entry.createdAt <= this.ttlMs);
+    live.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    const keep = new Set(live.slice(0, this.maxEntries).map(entry => entry.key));
+
+    for (const entry of entries) {
+      if (!keep.has(entry.key)) {
+        store.delete(entry.key);
+      }
+    }
+
+    await this.complete(store.transaction);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    await this.request(db.transaction(this.storeName, 'readwrite').objectStore(this.storeName).clear());
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @private
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Let a later call try again
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @private
+   */
+  request(idbRequest) {
+    return new Promise((resolve, reject) => {
+      idbRequest.onsuccess = () => resolve(idbRequest.result);
+      idbRequest.onerror = () => reject(idbRequest.error);
+    });
+  }
+
+  /**
+   * Wait for a transaction to commit
+   * @private
+   */
+  complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Hex SHA-256 digest of a string
+   * @private
+   */
+  async digest(text) {
+    const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+// Export the ResponseCache class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResponseCache;
+}
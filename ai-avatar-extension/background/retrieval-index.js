@@ -0,0 +1,227 @@
+/**
+ * Retrieval Index for AI Avatar Chrome Extension
+ *
+ * A small in-memory BM25 index over the structured blocks extracted by
+ * ContentExtractor (headings, paragraphs, lists, tables, code). Blocks are
+ * grouped into passages under their heading path, so each search result is a
+ * readable section fragment with a stable anchor (the ID of its first block)
+ * that the model can cite. Everything runs inside the extension; no text is
+ * sent to an external search service.
+ *
+ * @module RetrievalIndex
+ */
+
+class RetrievalIndex {
+  /**
+   * @param {RateLimiter} rateLimiter - Rate limiter used for token counting
+   * @param {Object} options - Index options
+   * @param {number} options.k1 - BM25 term frequency saturation
+   * @param {number} options.b - BM25 length normalization
+   * @param {number} options.maxPassageTokens - Passage size before a new passage is started
+   */
+  constructor(rateLimiter, options = {}) {
+    this.rateLimiter = rateLimiter;
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b || 0.75;
+    this.maxPassageTokens = options.maxPassageTokens || 350;
+
+    this.passages = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+
+    this.stopWords = new Set([
+      'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does',
+      'for', 'from', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'of',
+      'on', 'or', 'page', 'so', 'that', 'the', 'their', 'then', 'there', 'these',
+      'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+      'with', 'you', 'your', 'about', 'tell', 'explain', 'please'
+    ]);
+  }
+
+  /**
+   * Build the index from extracted content blocks
+   * @param {Array<{id: string, type: string, level: number, text: string}>} blocks - Extracted blocks
+   * @returns {RetrievalIndex} this
+   */
+  build(blocks) {
+    this.passages = this.createPassages(blocks || []);
+    this.documentFrequency = new Map();
+
+    let totalLength = 0;
+    for (const passage of this.passages) {
+      // Heading terms count twice: they describe the whole passage
+      const terms = [
+        ...this.tokenize(passage.headingPath.join(' ')),
+        ...this.tokenize(passage.headingPath.join(' ')),
+        ...this.tokenize(passage.text)
+      ];
+
+      passage.length = terms.length;
+      passage.termFrequency = new Map();
+      for (const term of terms) {
+        passage.termFrequency.set(term, (passage.termFrequency.get(term) || 0) + 1);
+      }
+      for (const term of passage.termFrequency.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+
+      totalLength += passage.length;
+    }
+
+    this.averageLength = this.passages.length > 0 ? totalLength / this.passages.length : 0;
+    return this;
+  }
+
+  /**
+   * Group blocks into passages under their heading path
+   * @private
+   */
+  createPassages(blocks) {
+    const passages = [];
+    const headingStack = [];
+    let current = null;
+
+    const startPassage = (block) => {
+      current = {
+        id: block.id,
+        position: passages.length,
+        headingPath: headingStack.map(heading => heading.text),
+        blocks: [],
+        text: '',
+        tokens: 0
+      };
+      passages.push(current);
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'heading') {
+        while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+          headingStack.pop();
+        }
+        headingStack.push({ level: block.level, text: block.text });
+        startPassage(block);
+        continue;
+      }
+
+      const blockTokens = this.rateLimiter.countTokens(block.text);
+      if (!current || (current.blocks.length > 0 && current.tokens + blockTokens > this.maxPassageTokens)) {
+        startPassage(block);
+      }
+
+      current.blocks.push(block.id);
+      current.text += (current.text ? '\n\n' : '') + block.text;
+      current.tokens += blockTokens;
+    }
+
+    // Headings with nothing under them carry no content worth retrieving
+    return passages.filter(passage => passage.text.length > 0);
+  }
+
+  /**
+   * Split text into normalized search terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(term => term.length > 1 && !this.stopWords.has(term))
+      .map(term => this.stem(term));
+  }
+
+  /**
+   * Very light suffix stripping so "tables"/"table" and "caching"/"cache" match
+   * @private
+   */
+  stem(term) {
+    if (term.length > 5 && term.endsWith('ing')) return term.slice(0, -3);
+    if (term.length > 4 && term.endsWith('ed')) return term.slice(0, -2);
+    if (term.length > 3 && term.endsWith('es')) return term.slice(0, -2);
+    if (term.length > 3 && term.endsWith('s')) return term.slice(0, -1);
+    return term;
+  }
+
+  /**
+   * Score every passage against a query with BM25
+   * @param {string} query - Search query
+   * @returns {Array<{passage: Object, score: number}>} Scored passages, best first
+   */
+  score(query) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const passageCount = this.passages.length;
+
+    return this.passages
+      .map(passage => {
+        let score = 0;
+
+        for (const term of queryTerms) {
+          const frequency = passage.termFrequency.get(term);
+          if (!frequency) continue;
+
+          const documentFrequency = this.documentFrequency.get(term) || 0;
+          const idf = Math.log(1 + (passageCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+          const normalization = 1 - this.b + this.b * (passage.length / (this.averageLength || 1));
+          score += idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * normalization);
+        }
+
+        return { passage, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Find the passages most relevant to a query
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {number} options.k - Maximum number of passages
+   * @param {number} options.maxTokens - Token budget for all returned passages
+   * @returns {Array<{id: string, position: number, headingPath: Array<string>, text: string, tokens: number, score: number}>}
+   *   Passages in document order
+   */
+  search(query, options = {}) {
+    const { k = 5, maxTokens = Infinity } = options;
+    const selected = [];
+    let usedTokens = 0;
+
+    for (const { passage, score } of this.score(query)) {
+      if (selected.length >= k) break;
+      if (usedTokens + passage.tokens > maxTokens) continue;
+
+      selected.push({
+        id: passage.id,
+        position: passage.position,
+        headingPath: passage.headingPath,
+        text: passage.text,
+        tokens: passage.tokens,
+        score
+      });
+      usedTokens += passage.tokens;
+    }
+
+    // Present passages in reading order so the model sees a coherent excerpt
+    return selected.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * List the page's headings with their anchors
+   * @returns {Array<{id: string, headingPath: Array<string>}>}
+   */
+  getOutline() {
+    const seen = new Set();
+    return this.passages
+      .filter(passage => {
+        const key = passage.headingPath.join(' > ');
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(passage => ({ id: passage.id, headingPath: passage.headingPath }));
+  }
+}
+
+// Export the RetrievalIndex class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RetrievalIndex;
+}
@@ -0,0 +1,185 @@
+/**
+ * Retry Policy for AI Avatar Chrome Extension
+ *
+ * Wraps `fetch` for provider API calls and retries transient failures:
+ * network errors and 429/500/502/503/529 responses. The wait before each
+ * retry comes from the response's `Retry-After` or `x-ratelimit-reset-*`
+ * headers when present, otherwise from exponential backoff with jitter.
+ *
+ * Only the request itself is retried. Once a response body is being read,
+ * failures are reported to the caller, so a streamed answer is never
+ * restarted halfway through.
+ *
+ * @module RetryPolicy
+ */
+
+class RetryPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.baseDelayMs - Backoff delay before the first retry
+   * @param {number} options.maxDelayMs - Longest wait; responses asking for more are not retried
+   * @param {Array<number>} options.retryableStatuses - HTTP statuses worth retrying
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 30000;
+    this.retryableStatuses = new Set(options.retryableStatuses || [429, 500, 502, 503, 529]);
+  }
+
+  /**
+   * Fetch with retries
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options; `init.signal` also cancels waits between attempts
+   * @param {Object} options - Retry callbacks
+   * @param {Function} options.onRetry - Called before each wait with
+   *   { attempt, maxRetries, delayMs, reason }
+   * @returns {Promise<Response>} The first successful or non-retryable response,
+   *   or the last response once retries are exhausted
+   */
+  async fetch(url, init = {}, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let reason;
+
+      try {
+        response = await fetch(url, init);
+        if (response.ok || !this.retryableStatuses.has(response.status)) {
+          return response;
+        }
+        reason = response.status === 429 ? 'Rate limited' : `Server error ${response.status}`;
+      } catch (error) {
+        if (error.name === 'AbortError' || !this.isTransientError(error)) {
+          throw error;
+        }
+        reason = 'Network error';
+        // Out of retries: surface the network error itself
+        if (attempt > this.maxRetries) {
+          throw error;
+        }
+      }
+
+      if (attempt > this.maxRetries) {
+        return response;
+      }
+
+      const delayMs = this.getDelay(attempt, response);
+      if (delayMs > this.maxDelayMs) {
+        // The server asked for a longer wait than is worth holding the request for
+        return response;
+      }
+
+      if (options.onRetry) {
+        options.onRetry({ attempt, maxRetries: this.maxRetries, delayMs, reason });
+      }
+      console.warn(`${reason}, retrying in ${Math.round(delayMs)}ms (attempt ${attempt}/${this.maxRetries})`);
+
+      // Release the failed response's connection before trying again
+      response?.body?.cancel().catch(() => {});
+
+      await this.wait(delayMs, init.signal);
+    }
+  }
+
+  /**
+   * Whether a fetch error is worth retrying (connection reset, DNS, offline)
+   * @param {Error} error - Error thrown by fetch
+   * @returns {boolean}
+   */
+  isTransientError(error) {
+    return error instanceof TypeError || /network|failed to fetch|timeout/i.test(error.message);
+  }
+
+  /**
+   * Delay before the next attempt: the server's hint if it gave one,
+   * otherwise exponential backoff with jitter
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Response|null} response - The failed response, if there was one
+   * @returns {number} Milliseconds
+   */
+  getDelay(attempt, response) {
+    const hinted = response ? this.getHeaderDelay(response.headers, response.status) : null;
+    if (hinted !== null) {
+      return hinted;
+    }
+
+    // "Equal jitter": half fixed, half random, so retries spread out but still back off
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Read the wait requested by `Retry-After` or the `x-ratelimit-reset-*` headers
+   * @private
+   * @returns {number|null} Milliseconds, or null if no header applies
+   */
+  getHeaderDelay(headers, status) {
+    const delays = [];
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+      delays.push(/^\d+(\.\d+)?$/.test(retryAfter.trim())
+        ? parseFloat(retryAfter) * 1000
+        : Date.parse(retryAfter) - Date.now());
+    }
+
+    // OpenAI sends these on every response; they only say when to retry after a 429.
+    // Values are durations such as "1s" or "6m0s"
+    const resetHeaders = status === 429 ? ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens'] : [];
+    for (const name of resetHeaders) {
+      const value = headers.get(name);
+      if (value) {
+        delays.push(this.parseDuration(value));
+      }
+    }
+
+    const valid = delays.filter(delay => Number.isFinite(delay));
+    return valid.length > 0 ? Math.max(0, ...valid) : null;
+  }
+
+  /**
+   * Parse a duration like "20ms", "1.5s" or "6m0s" into milliseconds
+   * @private
+   */
+  parseDuration(value) {
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    const parts = String(value).trim().match(/(\d+(?:\.\d+)?)(ms|s|m|h)/g);
+    if (!parts) {
+      return /^\d+(\.\d+)?$/.test(value.trim()) ? parseFloat(value) * 1000 : NaN;
+    }
+
+    return parts.reduce((total, part) => {
+      const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|s|m|h)/);
+      return total + parseFloat(amount) * units[unit];
+    }, 0);
+  }
+
+  /**
+   * Wait, rejecting with an AbortError if the signal fires
+   * @private
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+// Export the RetryPolicy class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RetryPolicy;
+}
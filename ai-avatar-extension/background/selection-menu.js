@@ -0,0 +1,158 @@
+/**
+ * Selection Menu for AI Avatar Chrome Extension
+ *
+ * The "Ask the avatar" context menu on selected text: built-in actions
+ * (explain, summarize, translate, define) followed by the user's quick
+ * actions. A click becomes a question that quotes the selected passage with
+ * the section it is in; the service worker leaves it in storage for the
+ * popup or side panel, which sends it as soon as it has analyzed the page.
+ *
+ * @module SelectionMenu
+ */
+
+class SelectionMenu {
+  constructor() {
+    this.rootId = 'ask-avatar';
+    // Longest passage quoted in a question
+    this.maxExcerptLength = 4000;
+    // Menu rebuilds run one at a time, so item IDs never collide
+    this.building = Promise.resolve();
+  }
+
+  /**
+   * Built-in actions, in the shape of quick action templates so they are
+   * filled the same way
+   * @returns {Array<{id: string, name: string, prompt: string}>}
+   */
+  static getActions() {
+    return [
+      { id: 'explain', name: 'Explain selection', prompt: 'Explain this passage in plain terms, using the rest of the page for context.' },
+      { id: 'summarize', name: 'Summarize selection', prompt: 'Summarize this passage in a few sentences.' },
+      { id: 'translate', name: 'Translate selection', prompt: 'Translate this passage into {{language}}, and explain any terms that do not translate directly.' },
+      // Chrome replaces %s in menu titles with the selected text
+      { id: 'define', name: 'Define "%s"', prompt: 'Define this term as it is used on this page, with a short example.' }
+    ];
+  }
+
+  /**
+   * Replace the menu items, e.g. after the quick actions change
+   * @param {Array<Object>} templates - Quick actions, in display order
+   * @returns {Promise<void>}
+   */
+  build(templates) {
+    this.building = this.building
+      .then(() => this.createItems(templates))
+      .catch(error => console.error('Failed to build the selection menu:', error));
+    return this.building;
+  }
+
+  /**
+   * Find the action or quick action a menu item runs
+   * @param {string} menuItemId - Clicked menu item
+   * @param {Array<Object>} templates - Quick actions
+   * @returns {Object|null} A template ({ id, name, prompt }), or null for other items
+   */
+  getAction(menuItemId, templates) {
+    const [kind, id] = String(menuItemId).split(/:(.*)/s);
+
+    if (kind === 'action') {
+      return SelectionMenu.getActions().find(action => action.id === id) || null;
+    }
+    if (kind === 'template') {
+      return templates.find(template => template.id === id) || null;
+    }
+    return null;
+  }
+
+  /**
+   * The message to send: the question, then the passage quoted under the
+   * headings of the section it is in
+   * @param {string} question - Filled prompt
+   * @param {{text: string, headingPath: Array<string>}} excerpt - Selected passage
+   * @returns {string}
+   */
+  composeMessage(question, excerpt) {
+    let text = excerpt.text.replace(/\r/g, '').replace(/\n{3,}/g, '\n\n').trim();
+    if (text.length > this.maxExcerptLength) {
+      text = `${text.slice(0, this.maxExcerptLength - 1)}…`;
+    }
+
+    const source = excerpt.headingPath && excerpt.headingPath.length > 0
+      ? `From the section "${excerpt.headingPath.join(' > ')}":`
+      : 'From the page:';
+    const quote = text.split('\n').map(line => `> ${line}`).join('\n');
+
+    return `${question}\n\n${source}\n${quote}`;
+  }
+
+  /**
+   * Open the popup in the tab's window. Before Chrome 127, or when the
+   * window is not focused, the popup cannot be opened from here, so a
+   * detached window about the tab opens instead. A side panel open in the
+   * window already shows the tab and picks the question up itself.
+   * @param {chrome.tabs.Tab} tab - Tab the question is about
+   * @returns {Promise<void>}
+   */
+  async open(tab) {
+    if (await this.hasSidePanel(tab.windowId)) return;
+
+    try {
+      await chrome.action.openPopup({ windowId: tab.windowId });
+    } catch (error) {
+      await chrome.windows.create({
+        url: chrome.runtime.getURL(`popup/popup-large.html?mode=detached&tabId=${tab.id}`),
+        type: 'popup',
+        width: 900,
+        height: 900,
+        focused: true
+      });
+    }
+  }
+
+  /**
+   * Whether the side panel is open in a window. The side panel follows the
+   * active tab, which is the one the menu was clicked in.
+   * @private
+   */
+  async hasSidePanel(windowId) {
+    if (!chrome.runtime.getContexts) return false;
+
+    try {
+      const contexts = await chrome.runtime.getContexts({ contextTypes: ['SIDE_PANEL'], windowIds: [windowId] });
+      return contexts.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async createItems(templates) {
+    await chrome.contextMenus.removeAll();
+
+    const contexts = ['selection'];
+    chrome.contextMenus.create({ id: this.rootId, title: 'Ask the avatar', contexts });
+
+    SelectionMenu.getActions().forEach(action => {
+      chrome.contextMenus.create({ id: `action:${action.id}`, parentId: this.rootId, title: action.name, contexts });
+    });
+
+    if (templates.length === 0) return;
+
+    chrome.contextMenus.create({ id: 'separator', parentId: this.rootId, type: 'separator', contexts });
+    templates.forEach(template => {
+      chrome.contextMenus.create({
+        id: `template:${template.id}`,
+        parentId: this.rootId,
+        title: `${template.icon} ${template.name}`,
+        contexts
+      });
+    });
+  }
+}
+
+// Export the SelectionMenu class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectionMenu;
+}
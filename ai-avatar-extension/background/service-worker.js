@@ -5,108 +5,833 @@
  * Streaming API Usage:
  * ===================
  * 
+ * Streams are delivered over a port per stream rather than broadcast to
+ * every extension page. Chunks are buffered in the worker, so a client can
+ * reattach to a running stream and replay the partial answer.
+ * 
  * 1. To start a streaming response:
- *    chrome.runtime.sendMessage({
- *      action: 'generateResponseStream',
+ *    const port = chrome.runtime.connect({ name: 'stream' });
+ *    port.postMessage({
+ *      type: 'start',
+ *      streamId: myStreamId,
+ *      conversation: { tabId: pageTabId, url: pageUrl },
  *      message: 'user message',
  *      pageContent: { ... }
- *    }, (response) => {
- *      if (response.streaming) {
- *        // Listen for stream events with response.streamId
- *      }
  *    });
  * 
- * 2. Listen for stream events:
- *    chrome.runtime.onMessage.addListener((message) => {
- *      if (message.action === 'streamChunk' && message.streamId === myStreamId) {
- *        // Handle chunk: message.chunk.content
- *      } else if (message.action === 'streamComplete' && message.streamId === myStreamId) {
+ * 2. Listen for stream events on the port:
+ *    port.onMessage.addListener((message) => {
+ *      if (message.type === 'chunk') {
+ *        // Handle chunk: message.chunk.accumulated
+ *      } else if (message.type === 'complete') {
  *        // Handle completion: message.result
- *      } else if (message.action === 'streamError' && message.streamId === myStreamId) {
- *        // Handle error: message.error
+ *      } else if (message.type === 'error') {
+ *        // Handle error: message.error (plus rateLimitError details)
  *      }
  *    });
  * 
- * 3. To abort a stream:
+ * 3. To reattach to a running stream (e.g. after reopening the popup), find
+ *    it with the `getActiveStreams` action, then on a new port:
+ *    port.postMessage({ type: 'attach', streamId });
+ * 
+ * 4. To abort a stream:
  *    chrome.runtime.sendMessage({
  *      action: 'abortStream',
  *      streamId: myStreamId
  *    });
  * 
- * 4. Non-streaming mode (backward compatible):
+ * 5. Non-streaming mode (backward compatible):
  *    chrome.runtime.sendMessage({
  *      action: 'generateResponse',
+ *      conversation: { tabId: pageTabId, url: pageUrl },
  *      message: 'user message',
  *      pageContent: { ... }
  *    });
+ * 
+ * 6. Branching: a `start` port message with `editMessageId` answers
+ *    `message` as a replacement for that earlier user message; the
+ *    `editMessage` action does the same without streaming.
+ *    `regenerateMessageId` on a `start` message, or the `regenerateMessage`
+ *    action with `messageId`, asks again for that assistant reply. Both keep
+ *    the earlier version as a sibling branch; `switchBranch` with `messageId`
+ *    selects a sibling and returns the messages on the selected path.
+ * 
+ * Repeated questions about an unchanged page are answered from the response
+ * cache; such results have `cached: true`. Pass `bypassCache: true` with
+ * a `start` message or `generateResponse` to ask the model again.
+ * 
+ * Multi-source questions: pass `sources` (up to MAX_SOURCES tab IDs) with a
+ * `start` message or `generateResponse` to answer from all of those tabs at
+ * once. Each tab of the conversation's identity has one multi-source
+ * conversation, separate from its page conversation and not saved; clear it
+ * with `clearConversation` and `sources: true`. Streams send a
+ * `{ type: 'sources' }` status once the tabs are read, and results list the
+ * sources with their tags in `sources`.
+ * 
+ * The "Ask the avatar" context menu turns selected text into a question
+ * quoting the passage. It is left in chrome.storage.local as
+ * `pendingSelectionQuestion` ({ tabId, url, message, createdAt }) and the
+ * popup, opened for the tab, sends it; an open side panel sends it instead.
+ * 
+ * With OpenAI and Anthropic the model can call page tools (content/page-tools.js)
+ * that run in the conversation's tab. Streams send a `{ type: 'tool' }` status
+ * before each tool runs, and results list the calls made in `toolCalls`.
+ * 
+ * Conversations are kept per tab. Messages from content scripts are
+ * identified by their sender tab; extension pages pass `conversation` with
+ * the tab ID and page URL they are about.
  */
 
-// Import the RateLimiter class
+// Import the RateLimiter class and the LLM provider layer
 importScripts('./rate-limiter.js');
+importScripts('./llm-providers.js');
+importScripts('./long-document.js');
+importScripts('./retrieval-index.js');
+importScripts('./conversation-store.js');
+importScripts('./conversation-tree.js');
+importScripts('./conversation-compactor.js');
+importScripts('./conversation-exporter.js');
+importScripts('./stream-registry.js');
+importScripts('./retry-policy.js');
+importScripts('./request-queue.js');
+importScripts('./response-cache.js');
+importScripts('./prompt-composer.js');
+importScripts('./source-budget.js');
+importScripts('./selection-menu.js');
+// Tool definitions; the tools themselves run in the content script
+importScripts('../content/page-tools.js');
+// Quick actions, also offered in the selection context menu
+importScripts('../popup/prompt-templates.js');
+
+// chrome.storage.sync keys holding the API key for each provider
+const PROVIDER_KEY_STORAGE = {
+  openai: 'openaiApiKey',
+  anthropic: 'anthropicApiKey',
+  local: 'localApiKey'
+};
+
+// chrome.storage.sync keys that affect which provider is used and how
+const PROVIDER_SETTING_KEYS = [
+  'llmProvider',
+  'openaiApiKey',
+  'anthropicApiKey',
+  'localApiKey',
+  'localBaseUrl',
+  'localModel'
+];
+
+// chrome.storage.sync keys that shape the system prompt
+const PROMPT_SETTING_KEYS = [
+  'avatarPersonality',
+  'responseLength',
+  'responseLanguage'
+];
+
+// Pages above this many tokens are answered from retrieved sections instead of in full
+const RETRIEVAL_MIN_PAGE_TOKENS = 1500;
+// Number of sections and token budget for the retrieved page context
+const RETRIEVAL_TOP_K = 6;
+const RETRIEVAL_MAX_TOKENS = 2500;
+
+// Most tabs one multi-source question can draw on
+const MAX_SOURCES = 6;
+// Share of the context window for the pages of a multi-source question;
+// the rest is left for the dialogue and the reply
+const SOURCES_CONTEXT_SHARE = 0.6;
+// How long a tab may take to extract its content
+const SOURCE_EXTRACT_TIMEOUT_MS = 10000;
+
+// Rounds of page tool calls before the model must answer
+const MAX_TOOL_ROUNDS = 3;
+// How long a page tool may take before the model is told it failed
+const PAGE_TOOL_TIMEOUT_MS = 5000;
+
+// How long the page may take to describe the selection for the context menu
+const SELECTION_TIMEOUT_MS = 3000;
 
 class AIAvatarService {
   constructor() {
     this.conversations = new Map();
-    this.apiKey = null;
+    this.provider = null;
+    // Provider instances keyed by provider ID, rebuilt when settings change
+    this.providers = new Map();
+    this.providerSettings = {};
     this.isInitialized = false;
     // Initialize the rate limiter
     this.rateLimiter = new RateLimiter();
-    // Store active streaming connections
-    this.activeStreams = new Map();
-    this.init();
+    // Condenses pages that do not fit the model's context window
+    this.longDocument = new LongDocumentProcessor(this.rateLimiter);
+    // Summarizes older turns of long conversations into a memory
+    this.compactor = new ConversationCompactor(this.rateLimiter);
+    // Persists conversations across worker restarts and tab closes
+    this.conversationStore = new ConversationStore();
+    this.conversationExporter = new ConversationExporter();
+    // Running and recently finished streams, delivered over ports
+    this.streams = new StreamRegistry();
+    // Retries rate-limited and failed provider requests
+    this.retryPolicy = new RetryPolicy();
+    // Holds requests over the per-minute limit until the window has room
+    this.requestQueue = new RequestQueue(this.rateLimiter);
+    // Replies to repeated questions about unchanged pages
+    this.responseCache = new ResponseCache();
+    // Builds the system prompt from the personality, length and language settings
+    this.promptComposer = new PromptComposer();
+    this.promptSettings = {};
+    // Splits the context window across the tabs of a multi-source question
+    this.sourceBudget = new SourceBudget(this.rateLimiter);
+    // Multi-source conversations, keyed by the tab the user asks from
+    this.sourceConversations = new Map();
+    // "Ask the avatar" context menu on selected text
+    this.selectionMenu = new SelectionMenu();
+    this.promptTemplates = new PromptTemplates();
+    this.initPromise = this.init();
   }
 
   async init() {
-    // Load API key from storage
-    const result = await chrome.storage.sync.get(['openaiApiKey']);
-    this.apiKey = result.openaiApiKey;
+    // Load the configured provider and its credentials
+    await this.loadProvider();
+    
+    // Rebuild the provider whenever its settings change
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && PROVIDER_SETTING_KEYS.some(key => key in changes)) {
+        this.loadProvider();
+      }
+      if (areaName === 'sync' && PROMPT_SETTING_KEYS.some(key => key in changes)) {
+        this.loadPromptSettings();
+      }
+    });
+    
+    // Load the settings that shape the system prompt
+    await this.loadPromptSettings();
     
     // Initialize the rate limiter
     await this.rateLimiter.initialize();
     
+    // Load the index of saved conversations
+    await this.conversationStore.initialize();
+    
     this.isInitialized = true;
   }
 
   /**
-   * Generate AI response based on content and conversation history (non-streaming)
+   * Load provider settings from storage and create the active provider
+   */
+  async loadProvider() {
+    const result = await chrome.storage.sync.get(PROVIDER_SETTING_KEYS);
+    const providerId = LLM_PROVIDERS[result.llmProvider] ? result.llmProvider : 'openai';
+
+    this.providerSettings = result;
+    this.providers = new Map();
+    this.provider = this.getProvider(providerId);
+  }
+
+  /**
+   * Load the prompt settings from storage. Conversations pick them up the
+   * next time their system message is built.
+   */
+  async loadPromptSettings() {
+    const result = await chrome.storage.sync.get(PROMPT_SETTING_KEYS);
+
+    this.promptSettings = {
+      personality: result.avatarPersonality || 'helpful',
+      responseLength: result.responseLength || 'medium',
+      language: result.responseLanguage || 'auto'
+    };
+  }
+
+  /**
+   * Completion token limit for the current response length setting
+   * @returns {number}
    */
-  async generateResponse(tabId, userMessage, pageContent) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured');
+  getMaxTokens() {
+    return this.promptComposer.getMaxTokens(this.promptSettings.responseLength);
+  }
+
+  /**
+   * Get (or lazily create) the provider instance for a provider ID
+   */
+  getProvider(providerId) {
+    if (!this.providers.has(providerId)) {
+      const settings = this.providerSettings;
+      this.providers.set(providerId, createLLMProvider(providerId, {
+        apiKey: settings[PROVIDER_KEY_STORAGE[providerId]],
+        baseUrl: providerId === 'local' ? settings.localBaseUrl : undefined,
+        model: providerId === 'local' ? settings.localModel : undefined
+      }));
+    }
+    return this.providers.get(providerId);
+  }
+
+  /**
+   * Get the provider that serves a catalog model
+   */
+  getProviderForModel(model) {
+    const providerId = this.rateLimiter.models[model]?.provider || this.provider.id;
+    return this.getProvider(providerId);
+  }
+
+  /**
+   * Identify the conversation a message is about: the tab plus its normalized
+   * page URL. Content scripts are identified by their sender tab; extension
+   * pages (popup, detached window) pass `request.conversation` explicitly.
+   * @param {Object} request - Message or port request
+   * @param {chrome.runtime.MessageSender} sender - Message sender
+   * @returns {{tabId: number|null, url: string|null}}
+   */
+  getConversationIdentity(request, sender) {
+    const identity = request.conversation || {};
+    const url = identity.url || request.pageContent?.url || null;
+    return {
+      tabId: sender?.tab?.id ?? identity.tabId ?? null,
+      url: url ? ConversationStore.normalizeUrl(url) : null
+    };
+  }
+
+  /**
+   * Get a tab's in-memory conversation if it is about the identified page
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @returns {Object|null}
+   */
+  getTabConversation(identity) {
+    const conversation = this.conversations.get(identity.tabId);
+    if (!conversation) return null;
+    
+    // The tab has navigated to another page since
+    if (identity.url && conversation.url && conversation.url !== identity.url) {
+      return null;
     }
+    return conversation;
+  }
 
-    // Get or create conversation for this tab
-    let conversation = this.conversations.get(tabId) || {
+  /**
+   * Get or create the conversation for a tab's page
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   */
+  getConversation(identity) {
+    return this.getTabConversation(identity) || this.createConversation(identity.url);
+  }
+
+  /**
+   * Create an empty conversation
+   * @param {string|null} url - Normalized page URL
+   */
+  createConversation(url = null) {
+    return {
+      id: null, // Assigned by the conversation store on first save
+      url,
+      title: null,
+      pageSummary: null,
       messages: [],
+      branches: [], // Messages on branches other than the selected path
+      // Page context slot: replaced when the page is re-analyzed, while the
+      // dialogue is kept. Messages record the version they were sent under.
       pageContent: null,
+      pageContentHash: null,
+      pageVersion: 1,
+      model: null, // null uses the active provider's default model
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 },
       startTime: Date.now()
     };
+  }
+
+  /**
+   * Rebuild an in-memory conversation from a stored record. The system
+   * message is added back once page content is available.
+   * @param {Object} record - Stored conversation record
+   */
+  restoreConversation(record) {
+    // Records saved before branching have no message IDs; the ones assigned
+    // now are saved so replies keep their IDs after the worker restarts
+    const needsIds = record.messages.some(message => message.role !== 'system' && !message.id);
+    const conversation = ConversationTree.ensureIds({
+      ...this.createConversation(record.url),
+      id: record.id,
+      title: record.title,
+      pageSummary: record.pageSummary || null,
+      messages: record.messages,
+      branches: record.branches || [],
+      pageContentHash: record.pageContentHash,
+      pageVersion: record.pageVersion || 1,
+      model: record.model,
+      usage: record.usage || this.createConversation().usage,
+      startTime: record.createdAt
+    });
 
+    if (needsIds) {
+      this.persistConversation(conversation);
+    }
+    return conversation;
+  }
+
+  /**
+   * Append the assistant's reply with the model and token usage of its turn,
+   * and add that usage to the conversation's totals
+   * @param {Object} conversation - Conversation object
+   * @param {string} model - Model that served the response
+   * @param {string} content - Response text
+   * @param {Object} usage - Usage in OpenAI field names
+   * @returns {Object} The added message
+   */
+  addAssistantMessage(conversation, model, content, usage) {
+    const turnUsage = {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens,
+      cost: this.rateLimiter.calculateCost(model, usage.prompt_tokens, usage.completion_tokens)
+    };
+    
+    const message = ConversationTree.append(conversation, {
+      role: 'assistant',
+      content,
+      model,
+      usage: turnUsage,
+      pageVersion: conversation.pageVersion,
+      timestamp: Date.now()
+    });
+    
+    const totals = conversation.usage;
+    totals.promptTokens += turnUsage.promptTokens;
+    totals.completionTokens += turnUsage.completionTokens;
+    totals.totalTokens += turnUsage.totalTokens;
+    totals.cost += turnUsage.cost;
+    
+    return message;
+  }
+
+  /**
+   * Undo an edit or regenerate that got no reply (an error, a limit or an
+   * abort): drop the unanswered edited question and select the path through
+   * the message that was branched from again, so the earlier reply stays
+   * reachable
+   * @param {Object} conversation - Conversation object
+   * @param {Object} options - Branching options, as for prepareConversation
+   */
+  restoreBranch(conversation, options) {
+    const branchedFrom = options.editMessageId || options.regenerateMessageId;
+    const last = conversation.messages[conversation.messages.length - 1];
+    if (!branchedFrom || last?.role === 'assistant') return;
+    
+    if (options.editMessageId && last?.role === 'user' && last.id !== branchedFrom) {
+      conversation.messages.pop();
+    }
+    ConversationTree.select(conversation, branchedFrom);
+  }
+
+  /**
+   * Find the conversation a request belongs to: the tab's current one if it
+   * is about the same page, otherwise the saved conversation for the page's
+   * URL, otherwise a new one
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {Object} pageContent - Page content sent with the request, if any
+   */
+  async resolveConversation(identity, pageContent) {
+    const current = this.conversations.get(identity.tabId);
+    const url = pageContent?.url ? ConversationStore.normalizeUrl(pageContent.url) : identity.url;
+    
+    if (current && (!url || current.url === url)) {
+      return current;
+    }
+    
+    if (url) {
+      // A conversation already open in another tab stays with that tab
+      const openIds = Array.from(this.conversations.entries())
+        .filter(([tabId, conversation]) => tabId !== identity.tabId && conversation.id)
+        .map(([, conversation]) => conversation.id);
+      const record = await this.conversationStore.findByUrl(url, { excludeIds: openIds });
+      if (record) {
+        return this.restoreConversation(record);
+      }
+    }
+    
+    // A conversation not yet tied to a page (e.g. only a model was picked) adopts this one
+    if (current && !current.url) {
+      current.url = url;
+      return current;
+    }
+    
+    return this.createConversation(url);
+  }
+
+  /**
+   * Resolve the tab's conversation, bring its page context up to date and
+   * append the user's message
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string} userMessage - User's message
+   * @param {Object} pageContent - Page content object
+   * @param {Object} options - Branching options
+   * @param {string} options.editMessageId - Earlier user message that `userMessage` replaces
+   * @param {string} options.regenerateMessageId - Assistant reply to ask for again;
+   *   its question is reused instead of appending `userMessage`
+   * @returns {Promise<Object>} The conversation
+   */
+  async prepareConversation(identity, userMessage, pageContent, options = {}) {
+    const conversation = await this.resolveConversation(identity, pageContent);
+    this.conversations.set(identity.tabId, conversation);
+    
+    // Branch off before the edited message or regenerated reply
+    if (options.editMessageId) {
+      ConversationTree.truncateAt(conversation, options.editMessageId, 'user');
+    } else if (options.regenerateMessageId) {
+      ConversationTree.truncateAt(conversation, options.regenerateMessageId, 'assistant');
+    }
+    
     // Update page content if provided
     if (pageContent) {
-      conversation.pageContent = pageContent;
-      
-      // Add system message with page content context
-      const systemMessage = this.createSystemMessage(pageContent);
-      conversation.messages = [systemMessage];
+      this.setPageContext(conversation, pageContent);
+    }
+    
+    // Add user message, unless a regenerated reply answers the question
+    // already at the end of the path
+    const last = conversation.messages[conversation.messages.length - 1];
+    if (!options.regenerateMessageId || last?.role !== 'user') {
+      ConversationTree.append(conversation, {
+        role: 'user',
+        content: userMessage,
+        pageVersion: conversation.pageVersion,
+        timestamp: Date.now()
+      });
+    }
+    
+    return conversation;
+  }
+
+  /**
+   * Put page content into the conversation's page context slot. Changed
+   * content (e.g. after SPA navigation or a re-analysis) replaces the system
+   * message and starts a new page version; the dialogue is kept, and
+   * getPromptMessages tells the model where the page changed.
+   * @param {Object} conversation - Conversation object
+   * @param {Object} pageContent - Page content object
+   */
+  setPageContext(conversation, pageContent) {
+    const pageContentHash = ConversationStore.hashContent(pageContent.content);
+    conversation.pageContent = pageContent;
+    conversation.title = pageContent.title;
+    conversation.pageSummary = {
+      contentType: pageContent.contentType,
+      wordCount: pageContent.wordCount,
+      description: pageContent.metadata?.description || null,
+      language: pageContent.metadata?.language || null
+    };
+    
+    if (conversation.pageContentHash === pageContentHash) {
+      // Rebuild the system message so prompt setting changes apply to
+      // ongoing conversations; retrieval and condensation reapply theirs
+      const system = this.createSystemMessage(pageContent);
+      if (conversation.messages[0]?.role === 'system') {
+        conversation.messages[0] = system;
+      } else {
+        // Restored from storage, which does not keep the system message
+        conversation.messages.unshift(system);
+      }
+      return;
+    }
+    
+    const hadPage = conversation.pageContentHash !== null;
+    const hasDialogue = ConversationTree.getPath(conversation).length > 0;
+    
+    const system = this.createSystemMessage(pageContent);
+    if (conversation.messages[0]?.role === 'system') {
+      conversation.messages[0] = system;
+    } else {
+      conversation.messages.unshift(system);
+    }
+    conversation.pageContentHash = pageContentHash;
+    
+    if (hadPage && hasDialogue) {
+      conversation.pageVersion += 1;
     }
+  }
 
-    // Add user message
-    conversation.messages.push({
+  /**
+   * Get or start the tab's multi-source conversation, read each source tab
+   * and append the user's message. Tabs that cannot be read are skipped and
+   * listed in `conversation.failedSources`.
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string} userMessage - User's message
+   * @param {Array<number>} tabIds - Tabs to answer from
+   * @returns {Promise<Object>} The conversation
+   * @throws {Error} If none of the tabs can be read
+   */
+  async prepareSourcesConversation(identity, userMessage, tabIds) {
+    const { sources, failedSources } = await this.extractSources(tabIds);
+    if (sources.length === 0) {
+      throw new Error('None of the selected tabs could be read. Reload them and try again.');
+    }
+    
+    let conversation = this.sourceConversations.get(identity.tabId);
+    if (!conversation) {
+      conversation = this.createConversation(null);
+      this.sourceConversations.set(identity.tabId, conversation);
+    }
+    
+    conversation.sources = sources;
+    conversation.failedSources = failedSources;
+    // The model picked for the tab's page conversation answers here too
+    conversation.model = this.getTabConversation(identity)?.model || null;
+    conversation.title = sources.map(source => source.pageContent.title).join(' · ');
+    
+    // Every page in full; applySourceBudget fits them to the chosen model
+    const system = this.createSourcesSystemMessage(sources.map(source => ({
+      ...source,
+      text: source.pageContent.content,
+      excerpted: false
+    })));
+    if (conversation.messages[0]?.role === 'system') {
+      conversation.messages[0] = system;
+    } else {
+      conversation.messages.unshift(system);
+    }
+    
+    ConversationTree.append(conversation, {
       role: 'user',
-      content: userMessage
+      content: userMessage,
+      pageVersion: conversation.pageVersion,
+      timestamp: Date.now()
     });
+    
+    return conversation;
+  }
+
+  /**
+   * Extract the content of the source tabs through their content scripts
+   * @param {Array<number>} tabIds - Tabs to read
+   * @returns {Promise<{sources: Array, failedSources: Array}>} Sources tagged
+   *   S1, S2... in the order given, and the tabs that could not be read
+   */
+  async extractSources(tabIds) {
+    const results = await Promise.all(tabIds.slice(0, MAX_SOURCES).map(async (tabId) => {
+      try {
+        const response = await this.sendTabMessage(tabId, { action: 'extractContent' }, SOURCE_EXTRACT_TIMEOUT_MS);
+        if (!response?.success) {
+          throw new Error(response?.error || 'Content extraction failed');
+        }
+        // Extraction that failed in the page, or is still running, has no content
+        if (!response.content) {
+          throw new Error('No readable content');
+        }
+        return { tabId, pageContent: response.content };
+      } catch (error) {
+        // No content script (e.g. chrome:// pages, or tabs opened before the extension was installed)
+        return { tabId, error: error.message };
+      }
+    }));
+    
+    return {
+      sources: results
+        .filter(result => result.pageContent)
+        .map((result, index) => ({ ...result, tag: `S${index + 1}` })),
+      failedSources: results
+        .filter(result => result.error)
+        .map(({ tabId, error }) => ({ tabId, error }))
+    };
+  }
+
+  /**
+   * Split the context window across the sources of a multi-source
+   * conversation: the pages get SOURCES_CONTEXT_SHARE of the model's window,
+   * and those over their share are cut to the passages relevant to the question
+   * @param {Object} conversation - Multi-source conversation
+   * @param {string} model - Model to budget for: the one the user picked
+   * @param {string} userMessage - The question being asked
+   * @returns {Array<Object>|null} Sources as reported to the client, or null
+   *   for a page conversation
+   */
+  applySourceBudget(conversation, model, userMessage) {
+    if (!conversation.sources) {
+      return null;
+    }
+    
+    const contextWindow = this.rateLimiter.models[model]?.contextWindow || 8192;
+    const scaffolding = this.rateLimiter.countTokens(this.createSourcesSystemMessage(
+      conversation.sources.map(source => ({ ...source, text: '', excerpted: true }))
+    ).content);
+    const budget = Math.floor(contextWindow * SOURCES_CONTEXT_SHARE) - scaffolding;
+    
+    const fitted = this.sourceBudget.fit(
+      conversation.sources,
+      budget,
+      this.getRetrievalQuery(conversation, userMessage)
+    );
+    conversation.messages[0] = this.createSourcesSystemMessage(fitted);
+    
+    return fitted.map(source => ({
+      tag: source.tag,
+      tabId: source.tabId,
+      title: source.pageContent.title,
+      url: source.pageContent.url,
+      tokens: source.tokens,
+      excerpted: source.excerpted
+    }));
+  }
+
+  /**
+   * Create the system message for a multi-source conversation
+   * @param {Array<Object>} sources - Sources with the `text` to include
+   */
+  createSourcesSystemMessage(sources) {
+    return {
+      role: 'system',
+      content: this.promptComposer.composeSources(sources, this.promptSettings)
+    };
+  }
+
+  /**
+   * Save a conversation to persistent storage. Failures are logged but do not
+   * fail the response that triggered the save.
+   */
+  async persistConversation(conversation) {
+    if (!conversation.url) return;
+    
+    try {
+      await this.conversationStore.save(conversation);
+    } catch (error) {
+      console.error('Failed to save conversation:', error);
+    }
+  }
+
+  /**
+   * The model the user picked for a conversation, or the provider default
+   * @param {Object} conversation - Conversation to answer
+   * @returns {string} Catalog model name
+   */
+  getRequestedModel(conversation) {
+    return this.rateLimiter.models[conversation.model]
+      ? conversation.model
+      : this.provider.defaultModel;
+  }
+
+  /**
+   * Choose the model for the next request of a conversation. Falls back to a
+   * larger-context model of the same provider when the prompt would not fit.
+   * @param {Object} conversation - Conversation object
+   * @param {string} promptContent - Serialized prompt
+   * @param {number} estimatedCompletion - Tokens reserved for the completion
+   * @returns {{model: string, requestedModel: string, rerouted: boolean}}
+   */
+  routeModel(conversation, promptContent, estimatedCompletion) {
+    const requestedModel = this.getRequestedModel(conversation);
+
+    const candidates = Object.keys(this.rateLimiter.models)
+      .filter(model => this.getProviderForModel(model).isConfigured());
+
+    const model = this.rateLimiter.selectModelForPrompt(
+      requestedModel,
+      this.rateLimiter.countTokens(promptContent),
+      { completionTokens: estimatedCompletion, candidates }
+    ) || requestedModel; // Nothing fits: let checkRequest report the context error
+
+    const provider = this.getProviderForModel(model);
+    if (!provider.isConfigured()) {
+      throw new Error(`${provider.label} API key not configured`);
+    }
+
+    return {
+      model,
+      requestedModel,
+      rerouted: model !== requestedModel
+    };
+  }
+
+  /**
+   * Set the model for a tab's conversation
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string|null} model - Catalog model name, or null for the provider default
+   */
+  setConversationModel(identity, model) {
+    if (model && !this.rateLimiter.models[model]) {
+      throw new Error(`Unknown model: ${model}`);
+    }
+
+    const conversation = this.getConversation(identity);
+    conversation.model = model || null;
+    this.conversations.set(identity.tabId, conversation);
+  }
+
+  /**
+   * List catalog models with their availability
+   * @param {{tabId: number, url: string|null}} identity - Conversation whose selected model should be reported
+   */
+  async getModels(identity) {
+    await this.initPromise;
+
+    const models = Object.entries(this.rateLimiter.models).map(([id, config]) => ({
+      id,
+      provider: config.provider,
+      contextWindow: config.contextWindow,
+      available: this.getProviderForModel(id).isConfigured()
+    }));
+
+    return {
+      models,
+      selectedModel: this.getTabConversation(identity)?.model || null,
+      defaultModel: this.provider.defaultModel
+    };
+  }
+
+  /**
+   * Generate AI response based on content and conversation history (non-streaming)
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string} userMessage - User's message
+   * @param {Object} pageContent - Page content object
+   * @param {Object} options - Request options
+   * @param {boolean} options.bypassCache - Ask the model even if a cached reply exists
+   * @param {string} options.editMessageId - Earlier user message this one replaces
+   * @param {string} options.regenerateMessageId - Assistant reply to ask for again
+   * @param {Array<number>} options.sources - Tabs to answer from instead of the page (multi-source)
+   */
+  async generateResponse(identity, userMessage, pageContent, options = {}) {
+    await this.initPromise;
+
+    // Get the conversation for this tab, or its multi-source conversation,
+    // with the user's message added
+    const conversation = options.sources?.length
+      ? await this.prepareSourcesConversation(identity, userMessage, options.sources)
+      : await this.prepareConversation(identity, userMessage, pageContent, options);
+    let releaseSlot = null;
 
     try {
+      // On long pages, include only the sections relevant to this question
+      const retrieval = this.applyRetrieval(conversation, userMessage);
+      
+      // Completion limit for the configured response length
+      const maxTokens = this.getMaxTokens();
+      
+      // Split the context window across the tabs of a multi-source question
+      // for the picked model, so routing below only moves to a larger model
+      // when even the excerpts do not fit
+      const sources = this.applySourceBudget(conversation, this.getRequestedModel(conversation), userMessage);
+      
+      // Pick the model, falling back to a larger context window if needed
+      const route = this.routeModel(conversation, JSON.stringify(this.getPromptMessages(conversation)), maxTokens);
+      const model = route.model;
+      
+      // Answer a repeated question about an unchanged page from the cache
+      const cacheKey = await this.getCacheKey(conversation, userMessage, model);
+      const cached = options.bypassCache ? null : await this.getCachedResponse(cacheKey);
+      if (cached) {
+        return await this.serveCachedResponse(identity, conversation, cached, route, retrieval);
+      }
+      
+      // Summarize older turns once the prompt nears the model's context window
+      const compaction = await this.applyCompaction(conversation, model, maxTokens);
+      
+      // Condense the page if it still does not fit the chosen model
+      const condensed = retrieval ? null : await this.applyLongDocumentMode(conversation, model, maxTokens);
+      
       // Prepare request info for rate limiting
-      const promptContent = JSON.stringify(conversation.messages);
+      const promptMessages = this.getPromptMessages(conversation);
+      const promptContent = JSON.stringify(promptMessages);
       const requestInfo = {
-        model: 'gpt-4',
+        model,
         prompt: promptContent,
-        estimatedCompletion: 1000 // Estimate based on max_tokens
+        estimatedCompletion: maxTokens
       };
       
-      // Check rate limits before making the request
+      // Wait for room in the per-minute window instead of failing
+      releaseSlot = await this.requestQueue.acquire({ priority: 'user' });
+      
+      // Check the remaining (daily, monthly, context) limits before making the request
       const rateLimitCheck = await this.rateLimiter.checkRequest(requestInfo);
       
       if (!rateLimitCheck.allowed) {
@@ -119,29 +844,57 @@ class AIAvatarService {
         };
       }
       
-      // Call OpenAI API
-      const apiResponse = await this.callOpenAI(conversation.messages);
+      // Call the configured provider, letting it look at the page through tools
+      const apiResponse = await this.callModelWithTools(promptMessages, {
+        model,
+        maxTokens,
+        // Tools look at one page, so multi-source questions go without them
+        tabId: sources ? null : identity.tabId,
+        nextSlot: async () => {
+          releaseSlot();
+          releaseSlot = await this.requestQueue.acquire({ priority: 'user' });
+        }
+      });
       
       // Add AI response to conversation
-      conversation.messages.push({
-        role: 'assistant',
-        content: apiResponse.content
-      });
+      const reply = this.addAssistantMessage(conversation, model, apiResponse.content, apiResponse.usage);
 
       // Update conversation storage
-      this.conversations.set(tabId, conversation);
+      if (!sources) {
+        this.conversations.set(identity.tabId, conversation);
+      }
+      await this.persistConversation(conversation);
       
       // Record actual usage for rate limiting
       await this.rateLimiter.recordUsage({
-        model: 'gpt-4',
+        model,
         promptTokens: apiResponse.usage.prompt_tokens,
-        completionTokens: apiResponse.usage.completion_tokens
+        completionTokens: apiResponse.usage.completion_tokens,
+        requestId: apiResponse.requestId
       });
 
+      // Tool results depend on the live page (and the selection), not just its content
+      if (apiResponse.toolCalls.length === 0) {
+        await this.cacheResponse(cacheKey, model, apiResponse);
+      }
+
       return {
         success: true,
         response: apiResponse.content,
+        messageId: reply.id,
+        parentId: reply.parentId,
         conversationLength: conversation.messages.length,
+        model,
+        requestedModel: route.requestedModel,
+        rerouted: route.rerouted,
+        cached: false,
+        toolCalls: apiResponse.toolCalls,
+        sources: sources || [],
+        failedSources: conversation.failedSources || [],
+        compaction,
+        pageVersion: conversation.pageVersion,
+        condensedSections: condensed ? condensed.condensedSections : [],
+        retrievedSections: retrieval ? retrieval.sections : [],
         tokenUsage: {
           prompt: apiResponse.usage.prompt_tokens,
           completion: apiResponse.usage.completion_tokens,
@@ -153,14 +906,18 @@ class AIAvatarService {
       console.error('AI response generation failed:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        ...this.getRateLimitDetails(error)
       };
+    } finally {
+      releaseSlot?.();
+      this.restoreBranch(conversation, options);
     }
   }
 
   /**
    * Generate AI response with streaming support
-   * @param {number} tabId - Tab ID
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
    * @param {string} userMessage - User's message
    * @param {Object} pageContent - Page content object
    * @param {Object} streamOptions - Streaming options
@@ -168,44 +925,95 @@ class AIAvatarService {
    * @param {Function} streamOptions.onError - Callback for errors
    * @param {Function} streamOptions.onComplete - Callback for completion
    * @param {AbortController} streamOptions.abortController - Abort controller
+   * @param {boolean} streamOptions.bypassCache - Ask the model even if a cached reply exists
+   * @param {string} streamOptions.editMessageId - Earlier user message this one replaces
+   * @param {string} streamOptions.regenerateMessageId - Assistant reply to ask for again
+   * @param {Array<number>} streamOptions.sources - Tabs to answer from instead of the page (multi-source)
    */
-  async generateResponseStream(tabId, userMessage, pageContent, streamOptions = {}) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    // Get or create conversation for this tab
-    let conversation = this.conversations.get(tabId) || {
-      messages: [],
-      pageContent: null,
-      startTime: Date.now()
-    };
-
-    // Update page content if provided
-    if (pageContent) {
-      conversation.pageContent = pageContent;
-      
-      // Add system message with page content context
-      const systemMessage = this.createSystemMessage(pageContent);
-      conversation.messages = [systemMessage];
-    }
+  async generateResponseStream(identity, userMessage, pageContent, streamOptions = {}) {
+    await this.initPromise;
 
-    // Add user message
-    conversation.messages.push({
-      role: 'user',
-      content: userMessage
-    });
+    // Get the conversation for this tab, or its multi-source conversation,
+    // with the user's message added
+    const conversation = streamOptions.sources?.length
+      ? await this.prepareSourcesConversation(identity, userMessage, streamOptions.sources)
+      : await this.prepareConversation(identity, userMessage, pageContent, streamOptions);
+    let releaseSlot = null;
 
     try {
+      // On long pages, include only the sections relevant to this question
+      const retrieval = this.applyRetrieval(conversation, userMessage);
+      
+      // Completion limit for the configured response length
+      const maxTokens = this.getMaxTokens();
+      
+      // Status chunks carry no text; they tell the client what is holding up the reply
+      const sendStatus = (status) => {
+        if (streamOptions.onChunk) {
+          streamOptions.onChunk({ content: '', accumulated: '', finished: false, status });
+        }
+      };
+      
+      // Split the context window across the tabs of a multi-source question
+      // for the picked model, so routing below only moves to a larger model
+      // when even the excerpts do not fit
+      const sources = this.applySourceBudget(conversation, this.getRequestedModel(conversation), userMessage);
+      if (sources) {
+        sendStatus({ type: 'sources', sources, failedSources: conversation.failedSources });
+      }
+      
+      // Pick the model, falling back to a larger context window if needed
+      const route = this.routeModel(conversation, JSON.stringify(this.getPromptMessages(conversation)), maxTokens);
+      const model = route.model;
+      
+      // Answer a repeated question about an unchanged page from the cache,
+      // delivered as a single chunk
+      const cacheKey = await this.getCacheKey(conversation, userMessage, model);
+      const cached = streamOptions.bypassCache ? null : await this.getCachedResponse(cacheKey);
+      if (cached) {
+        const result = await this.serveCachedResponse(identity, conversation, cached, route, retrieval);
+        if (streamOptions.onChunk) {
+          streamOptions.onChunk({ content: result.response, accumulated: result.response, finished: true });
+        }
+        if (streamOptions.onComplete) {
+          streamOptions.onComplete(result);
+        }
+        return { success: true, streaming: true };
+      }
+      
+      // Summarize older turns once the prompt nears the model's context window
+      const compaction = await this.applyCompaction(conversation, model, maxTokens, () => {
+        sendStatus({ type: 'compacting' });
+      });
+      
+      // Condense the page if it still does not fit the chosen model
+      const condensed = retrieval ? null : await this.applyLongDocumentMode(conversation, model, maxTokens);
+      
       // Prepare request info for rate limiting
-      const promptContent = JSON.stringify(conversation.messages);
+      const promptMessages = this.getPromptMessages(conversation);
+      const promptContent = JSON.stringify(promptMessages);
       const requestInfo = {
-        model: 'gpt-4',
+        model,
         prompt: promptContent,
-        estimatedCompletion: 1000 // Estimate based on max_tokens
+        estimatedCompletion: maxTokens
       };
       
-      // Check rate limits before making the request
+      // Wait for room in the per-minute window, telling the client its place
+      // in the queue. Aborting the stream cancels the wait.
+      let wasQueued = false;
+      releaseSlot = await this.requestQueue.acquire({
+        priority: 'user',
+        signal: streamOptions.abortController?.signal,
+        onQueued: (position) => {
+          wasQueued = true;
+          sendStatus({ type: 'queued', position });
+        }
+      });
+      if (wasQueued) {
+        sendStatus({ type: 'dispatched' });
+      }
+      
+      // Check the remaining (daily, monthly, context) limits before making the request
       const rateLimitCheck = await this.rateLimiter.checkRequest(requestInfo);
       
       if (!rateLimitCheck.allowed) {
@@ -217,57 +1025,80 @@ class AIAvatarService {
           retryAfter: rateLimitCheck.retryAfter
         };
         
-        if (streamOptions.onError) {
-          streamOptions.onError(new Error(error.error));
-        }
-        
+        // Streaming never started; the caller reports the returned error
         return error;
       }
 
-      // Store the current conversation state
-      let assistantResponse = '';
-
-      // Call OpenAI API with streaming
-      const apiResponse = await this.callOpenAIStream(conversation.messages, {
-        ...streamOptions,
-        onChunk: (chunk) => {
-          assistantResponse = chunk.accumulated;
-          if (streamOptions.onChunk) {
-            streamOptions.onChunk(chunk);
-          }
-        },
-        onComplete: async (result) => {
-          // Add AI response to conversation
-          conversation.messages.push({
-            role: 'assistant',
-            content: result.content
+      // Call the configured provider with streaming, letting it look at the
+      // page through tools. Text the model writes before calling a tool is
+      // streamed too; the next round's chunks replace it.
+      const result = await this.callModelWithTools(promptMessages, {
+        model,
+        maxTokens,
+        // Tools look at one page, so multi-source questions go without them
+        tabId: sources ? null : identity.tabId,
+        stream: true,
+        nextSlot: async () => {
+          releaseSlot();
+          releaseSlot = await this.requestQueue.acquire({
+            priority: 'user',
+            signal: streamOptions.abortController?.signal
           });
+        },
+        abortController: streamOptions.abortController,
+        onChunk: streamOptions.onChunk,
+        onError: streamOptions.onError,
+        onTool: (tool) => sendStatus({ type: 'tool', ...tool })
+      });
 
-          // Update conversation storage
-          this.conversations.set(tabId, conversation);
-          
-          // Record actual usage for rate limiting
-          await this.rateLimiter.recordUsage({
-            model: 'gpt-4',
-            promptTokens: result.usage.prompt_tokens,
-            completionTokens: result.usage.completion_tokens
-          });
+      // Add AI response to conversation
+      const reply = this.addAssistantMessage(conversation, model, result.content, result.usage);
 
-          if (streamOptions.onComplete) {
-            streamOptions.onComplete({
-              success: true,
-              response: result.content,
-              conversationLength: conversation.messages.length,
-              tokenUsage: {
-                prompt: result.usage.prompt_tokens,
-                completion: result.usage.completion_tokens,
-                total: result.usage.total_tokens
-              }
-            });
-          }
-        }
+      // Update conversation storage
+      if (!sources) {
+        this.conversations.set(identity.tabId, conversation);
+      }
+      await this.persistConversation(conversation);
+      
+      // Record actual usage for rate limiting, before the queue slot is released
+      await this.rateLimiter.recordUsage({
+        model,
+        promptTokens: result.usage.prompt_tokens,
+        completionTokens: result.usage.completion_tokens,
+        requestId: result.requestId
       });
 
+      // Tool results depend on the live page (and the selection), not just its content
+      if (result.toolCalls.length === 0) {
+        await this.cacheResponse(cacheKey, model, result);
+      }
+
+      if (streamOptions.onComplete) {
+        streamOptions.onComplete({
+          success: true,
+          response: result.content,
+          messageId: reply.id,
+          parentId: reply.parentId,
+          conversationLength: conversation.messages.length,
+          model,
+          requestedModel: route.requestedModel,
+          rerouted: route.rerouted,
+          cached: false,
+          toolCalls: result.toolCalls,
+          sources: sources || [],
+          failedSources: conversation.failedSources || [],
+          compaction,
+          pageVersion: conversation.pageVersion,
+          condensedSections: condensed ? condensed.condensedSections : [],
+          retrievedSections: retrieval ? retrieval.sections : [],
+          tokenUsage: {
+            prompt: result.usage.prompt_tokens,
+            completion: result.usage.completion_tokens,
+            total: result.usage.total_tokens
+          }
+        });
+      }
+
       return {
         success: true,
         streaming: true
@@ -276,47 +1107,485 @@ class AIAvatarService {
     } catch (error) {
       console.error('AI streaming response generation failed:', error);
       
-      if (streamOptions.onError) {
+      // Rate limit errors are reported with their details by the caller
+      if (streamOptions.onError && !error.rateLimitError) {
         streamOptions.onError(error);
       }
       
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        ...this.getRateLimitDetails(error)
+      };
+    } finally {
+      releaseSlot?.();
+      this.restoreBranch(conversation, streamOptions);
+    }
+  }
+
+  /**
+   * The rate limit details of an error thrown between tool rounds, to return
+   * as the details of a rate limit check are
+   * @param {Error} error - Failure of a generate request
+   * @returns {Object} `rateLimitError`, `limitType` and `retryAfter`, or nothing
+   */
+  getRateLimitDetails(error) {
+    if (!error.rateLimitError) return {};
+    
+    return {
+      rateLimitError: true,
+      limitType: error.limitType,
+      retryAfter: error.retryAfter
+    };
+  }
+
+  /**
+   * Build the response cache key for a question, or null when there is no
+   * page content to key on
+   * @param {Object} conversation - Conversation object
+   * @param {string} userMessage - The question being asked
+   * @param {string} model - Model that will answer
+   * @returns {Promise<string|null>}
+   */
+  async getCacheKey(conversation, userMessage, model) {
+    if (!conversation.pageContent?.content) {
+      return null;
+    }
+    
+    try {
+      return await this.responseCache.createKey({
+        content: conversation.pageContent.content,
+        model,
+        personality: this.promptSettings.personality,
+        responseLength: this.promptSettings.responseLength,
+        language: this.promptSettings.language,
+        prompt: userMessage,
+        // The path before the question, which is its last message
+        history: ConversationTree.getPath(conversation).slice(0, -1)
+      });
+    } catch (error) {
+      console.warn('Failed to build response cache key:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Look up a cached reply. Cache failures count as misses.
+   * @returns {Promise<Object|null>} Cache entry
+   */
+  async getCachedResponse(cacheKey) {
+    if (!cacheKey) return null;
+    
+    try {
+      return await this.responseCache.get(cacheKey);
+    } catch (error) {
+      console.warn('Response cache lookup failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a provider reply in the response cache. Failures are logged but do
+   * not fail the response.
+   * @param {string|null} cacheKey - Key from getCacheKey
+   * @param {string} model - Model that answered
+   * @param {Object} apiResponse - { content, usage }
+   */
+  async cacheResponse(cacheKey, model, apiResponse) {
+    if (!cacheKey) return;
+    
+    try {
+      await this.responseCache.set(cacheKey, {
+        response: apiResponse.content,
+        model,
+        usage: apiResponse.usage
+      });
+    } catch (error) {
+      console.warn('Failed to cache response:', error);
+    }
+  }
+
+  /**
+   * Add a cached reply to the conversation as if the model had just given it,
+   * without provider usage, and record the cache hit
+   * @returns {Promise<Object>} Response result with `cached: true`
+   */
+  async serveCachedResponse(identity, conversation, entry, route, retrieval) {
+    const noUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const reply = this.addAssistantMessage(conversation, entry.model, entry.response, noUsage);
+    reply.cached = true;
+    
+    this.conversations.set(identity.tabId, conversation);
+    await this.persistConversation(conversation);
+    
+    await this.rateLimiter.recordCacheHit({
+      model: entry.model,
+      promptTokens: entry.usage?.prompt_tokens || 0,
+      completionTokens: entry.usage?.completion_tokens || 0
+    });
+    
+    return {
+      success: true,
+      response: entry.response,
+      messageId: reply.id,
+      parentId: reply.parentId,
+      conversationLength: conversation.messages.length,
+      model: entry.model,
+      requestedModel: route.requestedModel,
+      rerouted: route.rerouted,
+      cached: true,
+      cachedAt: entry.createdAt,
+      pageVersion: conversation.pageVersion,
+      condensedSections: [],
+      retrievedSections: retrieval ? retrieval.sections : [],
+      tokenUsage: { prompt: 0, completion: 0, total: 0 }
+    };
+  }
+
+  /**
+   * Retrieval mode: replace the full page in the conversation's system message
+   * with the sections most relevant to the user's question
+   * @param {Object} conversation - Conversation object
+   * @param {string} userMessage - The question being asked
+   * @returns {Object|null} { sections: [{ id, heading }] }, or null if the full page is used
+   */
+  applyRetrieval(conversation, userMessage) {
+    const pageContent = conversation.pageContent;
+    
+    if (!pageContent || !pageContent.blocks || conversation.messages[0]?.role !== 'system') {
+      return null;
+    }
+    
+    if (this.rateLimiter.countTokens(pageContent.content) <= RETRIEVAL_MIN_PAGE_TOKENS) {
+      return null;
+    }
+    
+    // Build the index once per page version
+    if (!conversation.retrieval || conversation.retrieval.source !== pageContent.content) {
+      conversation.retrieval = {
+        source: pageContent.content,
+        index: new RetrievalIndex(this.rateLimiter).build(pageContent.blocks)
       };
     }
+    const index = conversation.retrieval.index;
+    
+    const sections = index.search(this.getRetrievalQuery(conversation, userMessage), {
+      k: RETRIEVAL_TOP_K,
+      maxTokens: RETRIEVAL_MAX_TOKENS
+    });
+    
+    // Nothing matched (e.g. "summarize this page"): fall back to the full page
+    if (sections.length === 0) {
+      conversation.messages[0] = this.createSystemMessage(pageContent);
+      return null;
+    }
+    
+    conversation.messages[0] = this.createSystemMessage(pageContent, {
+      sections,
+      outline: index.getOutline()
+    });
+    
+    return {
+      sections: sections.map(section => ({
+        id: section.id,
+        heading: section.headingPath.join(' > ') || 'Introduction'
+      }))
+    };
   }
 
   /**
-   * Create system message with page content context
+   * Search query for the sections relevant to a question. The previous
+   * question is included so follow-ups like "tell me more" stay on topic.
+   * @param {Object} conversation - Conversation object, with the question appended
+   * @param {string} userMessage - The question being asked
+   * @returns {string}
    */
-  createSystemMessage(pageContent) {
-    const systemPrompt = `You are an intelligent AI avatar assistant that helps users understand and analyze webpage content. You have access to the following webpage content:
+  getRetrievalQuery(conversation, userMessage) {
+    const previousQuestion = conversation.messages
+      .slice(0, -1)
+      .filter(message => message.role === 'user')
+      .pop();
+    return previousQuestion ? `${userMessage}\n${previousQuestion.content}` : userMessage;
+  }
 
-**Page Title:** ${pageContent.title}
-**URL:** ${pageContent.url}
-**Content Type:** ${pageContent.contentType}
-**Word Count:** ${pageContent.wordCount}
+  /**
+   * Messages sent to the model for a conversation: the system message, the
+   * memory of compacted turns if any, and the turns after it, with a note
+   * wherever the page changed between turns
+   * @param {Object} conversation - Conversation object
+   * @returns {Array<Object>}
+   */
+  getPromptMessages(conversation) {
+    const messages = [];
+    let previousVersion = null;
+    
+    for (const message of this.compactor.getPromptMessages(conversation.messages)) {
+      if (message.role !== 'system') {
+        const version = message.pageVersion || 1;
+        if (previousVersion !== null && version > previousVersion) {
+          messages.push({
+            role: 'system',
+            content: `The page was re-analyzed at this point in the conversation and its content changed (page version ${version}${version === conversation.pageVersion ? ', shown in the page content above' : ''}). Earlier messages refer to the previous version of the page; answer from the current page content and point out relevant differences when it helps.`
+          });
+        }
+        previousVersion = version;
+      }
+      messages.push(message);
+    }
+    
+    return messages;
+  }
 
-**Page Content (in Markdown format):**
-${pageContent.content}
+  /**
+   * Rolling compaction: when the prompt crosses the configured fraction of
+   * the model's context window, summarize the older turns into a memory so
+   * the conversation can continue on the same model. Failures are logged and
+   * the full conversation is sent instead.
+   * @param {Object} conversation - Conversation object
+   * @param {string} model - Model that will answer
+   * @param {number} estimatedCompletion - Tokens reserved for the completion
+   * @param {Function} onCompacting - Called before the summary is requested
+   * @returns {Promise<Object|null>} { summarizedCount }, or null if nothing was compacted
+   */
+  async applyCompaction(conversation, model, estimatedCompletion, onCompacting) {
+    const contextWindow = this.rateLimiter.models[model]?.contextWindow;
+    if (!contextWindow) {
+      return null;
+    }
+    
+    const { compactionThreshold } = await chrome.storage.sync.get('compactionThreshold');
+    const threshold = compactionThreshold || this.compactor.threshold;
+    if (!this.compactor.needsCompaction(this.getPromptMessages(conversation), contextWindow, estimatedCompletion, threshold)) {
+      return null;
+    }
+    
+    if (onCompacting) {
+      onCompacting();
+    }
+    
+    let memory;
+    try {
+      memory = await this.compactor.compact(
+        conversation.messages,
+        (transcript, previousSummary, targetTokens) =>
+          this.summarizeTurns(model, conversation, transcript, previousSummary, targetTokens),
+        { contextWindow, model }
+      );
+    } catch (error) {
+      // Answer with the full conversation; it may still fit
+      console.warn('Conversation compaction failed:', error);
+      return null;
+    }
+    if (!memory) {
+      return null;
+    }
+    
+    await this.persistConversation(conversation);
+    return { summarizedCount: memory.summarizedCount };
+  }
 
-**Your Role:**
-- Help users understand and analyze this webpage content
-- Answer questions about the content accurately and helpfully
-- Provide summaries, explanations, and insights
-- Engage in natural conversation about the topics covered
-- Be concise but thorough in your responses
-- If asked about information not in the content, clearly state that
+  /**
+   * Summarize earlier turns of a conversation (and the memory of any turns
+   * before them) for rolling compaction
+   */
+  async summarizeTurns(model, conversation, transcript, previousSummary, targetTokens) {
+    const earlier = previousSummary
+      ? `Summary of the conversation before these messages:\n${previousSummary}\n\n`
+      : '';
+    const messages = [
+      {
+        role: 'system',
+        content: 'You condense a conversation between a user and an assistant about a webpage so the assistant can continue it without the full transcript. Keep the questions asked, the answers given, facts, numbers, decisions, user preferences and open questions; drop pleasantries and repetition. Reply with the summary only, in Markdown.'
+      },
+      {
+        role: 'user',
+        content: `${earlier}Summarize this conversation about the page "${conversation.title || conversation.url}" in at most about ${targetTokens} tokens:\n\n${transcript}`
+      }
+    ];
+    
+    // Background work: queued behind user messages when over the per-minute limit
+    const releaseSlot = await this.requestQueue.acquire({ priority: 'background' });
+    
+    try {
+      const rateLimitCheck = await this.rateLimiter.checkRequest({
+        model,
+        prompt: JSON.stringify(messages),
+        estimatedCompletion: targetTokens
+      });
+      
+      if (!rateLimitCheck.allowed) {
+        throw new Error(`Rate limit exceeded while summarizing the conversation: ${rateLimitCheck.reason}`);
+      }
+      
+      const response = await this.callModel(messages, { model, maxTokens: targetTokens });
+      
+      await this.rateLimiter.recordUsage({
+        model,
+        promptTokens: response.usage.prompt_tokens,
+        completionTokens: response.usage.completion_tokens,
+        requestId: response.requestId
+      });
+      
+      return response.content.trim();
+    } finally {
+      releaseSlot();
+    }
+  }
 
-**Conversation Style:**
-- Be friendly, helpful, and engaging
-- Use a conversational tone appropriate for the content type
-- Provide specific examples and quotes from the content when relevant
-- Ask clarifying questions when needed
+  /**
+   * Long-document mode: condense the page in the conversation's system message
+   * when the prompt does not fit the model's context window
+   * @param {Object} conversation - Conversation object
+   * @param {string} model - Model the request will be sent to
+   * @param {number} estimatedCompletion - Tokens reserved for the completion
+   * @returns {Promise<Object|null>} Condensation result, or null if the page fits
+   */
+  async applyLongDocumentMode(conversation, model, estimatedCompletion) {
+    const pageContent = conversation.pageContent;
+    const contextWindow = this.rateLimiter.models[model]?.contextWindow;
+    
+    if (!pageContent || !contextWindow || conversation.messages[0]?.role !== 'system') {
+      return null;
+    }
+    
+    // Reuse an earlier condensation of the same page for the same model
+    const cached = conversation.condensed;
+    if (cached && cached.model === model && cached.source === pageContent.content) {
+      conversation.messages[0] = this.createSystemMessage(pageContent, { condensed: cached.result });
+      return cached.result;
+    }
+    
+    const promptTokens = this.rateLimiter.countTokens(JSON.stringify(this.getPromptMessages(conversation)));
+    if (promptTokens + estimatedCompletion <= contextWindow) {
+      return null;
+    }
+    
+    // Room left for the page after the prompt scaffolding and conversation,
+    // with a 10% margin because token counts are estimates
+    const anchoredContent = this.getAnchoredContent(pageContent);
+    const overhead = promptTokens - this.rateLimiter.countTokens(anchoredContent);
+    const budget = Math.floor(contextWindow * 0.9) - estimatedCompletion - overhead;
+    if (budget <= 0) {
+      return null;
+    }
+    
+    // Condense the anchored text so section headings keep their citation anchors
+    const result = await this.longDocument.condense(
+      anchoredContent,
+      budget,
+      (text, targetTokens, heading) => this.summarizeChunk(model, pageContent, text, targetTokens, heading)
+    );
+    
+    conversation.condensed = { model, source: pageContent.content, result };
+    conversation.messages[0] = this.createSystemMessage(pageContent, { condensed: result });
+    
+    return result;
+  }
+  
+  /**
+   * Summarize one chunk of a long page (the map/reduce step of long-document mode)
+   */
+  async summarizeChunk(model, pageContent, text, targetTokens, heading) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You condense parts of a webpage so another assistant can answer questions about it. Keep facts, names, numbers, definitions and code identifiers; drop repetition and filler. Reply with the condensed text only, in Markdown.'
+      },
+      {
+        role: 'user',
+        content: `Condense this ${heading ? `section "${heading}"` : 'part'} of the page "${pageContent.title}" to at most about ${targetTokens} tokens:\n\n${text}`
+      }
+    ];
+    
+    // Background work: queued behind user messages when over the per-minute limit
+    const releaseSlot = await this.requestQueue.acquire({ priority: 'background' });
+    
+    try {
+      const rateLimitCheck = await this.rateLimiter.checkRequest({
+        model,
+        prompt: JSON.stringify(messages),
+        estimatedCompletion: targetTokens
+      });
+      
+      if (!rateLimitCheck.allowed) {
+        throw new Error(`Rate limit exceeded while condensing the page: ${rateLimitCheck.reason}`);
+      }
+      
+      const response = await this.callModel(messages, { model, maxTokens: targetTokens });
+      
+      await this.rateLimiter.recordUsage({
+        model,
+        promptTokens: response.usage.prompt_tokens,
+        completionTokens: response.usage.completion_tokens,
+        requestId: response.requestId
+      });
+      
+      return response.content.trim();
+    } finally {
+      releaseSlot();
+    }
+  }
 
-Please introduce yourself briefly and let the user know you've analyzed the page content and are ready to discuss it.`;
+  /**
+   * Page markdown with a [§id] anchor after each section heading, so the
+   * model can cite sections and the popup can link back to them
+   * @param {Object} pageContent - Page content object
+   * @returns {string} Anchored markdown, or the plain markdown if the page has no blocks
+   */
+  getAnchoredContent(pageContent) {
+    if (!pageContent.blocks || pageContent.blocks.length === 0) {
+      return pageContent.content;
+    }
+    
+    return pageContent.blocks
+      .map((block, index) => {
+        if (block.type === 'heading') {
+          return `${'#'.repeat(block.level)} ${block.text} [§${block.id}]`;
+        }
+        // Content before the first heading gets its own anchor
+        return index === 0 ? `[§${block.id}]\n${block.text}` : block.text;
+      })
+      .join('\n\n');
+  }
 
+  /**
+   * Create system message with page content context, in the style set by the
+   * prompt settings
+   * @param {Object} pageContent - Page content object
+   * @param {Object} context - How the page is included
+   * @param {Object} context.condensed - Long-document condensation result, if the page was condensed
+   * @param {Array} context.sections - Retrieved sections, if only part of the page is included
+   * @param {Array} context.outline - Page outline listed alongside retrieved sections
+   */
+  createSystemMessage(pageContent, context = {}) {
+    const { condensed = null, sections = null, outline = [] } = context;
+    
+    let note = '';
+    let pageText = this.getAnchoredContent(pageContent);
+    const hasAnchors = !!(pageContent.blocks && pageContent.blocks.length > 0);
+    
+    if (sections) {
+      const outlineText = outline
+        .slice(0, 50)
+        .map(entry => `- [§${entry.id}] ${entry.headingPath.join(' > ')}`)
+        .join('\n');
+      
+      note = `\n**Note:** This page is long, so only the sections most relevant to the user's latest question are included below. Each section starts with its anchor in the form [§id].${outlineText ? ` The page outline is:\n${outlineText}\n` : ''} If a question needs a section that is not included, say which section would answer it.\n`;
+      pageText = sections
+        .map(section => `[§${section.id}] ${section.headingPath.join(' > ') || 'Introduction'}\n${section.text}`)
+        .join('\n\n');
+    } else if (condensed) {
+      if (condensed.condensedSections.length > 0) {
+        note = `\n**Note:** This page was too long to include in full. These sections were condensed into summaries: ${condensed.condensedSections.join(', ')}. If a question needs detail from them that the summary lacks, say so.\n`;
+      }
+      pageText = condensed.content;
+    }
+    
+    const systemPrompt = this.promptComposer.compose(
+      { pageContent, pageText, note, hasAnchors },
+      this.promptSettings
+    );
+    
     return {
       role: 'system',
       content: systemPrompt
@@ -324,58 +1593,76 @@ Please introduce yourself briefly and let the user know you've analyzed the page
   }
 
   /**
-   * Call OpenAI API (non-streaming mode for backward compatibility)
+   * Call the configured provider (non-streaming mode for backward compatibility)
+   * @param {Array} messages - Messages array for the conversation
+   * @param {Object} options - Request options
+   * @param {string} options.model - Catalog model name
+   * @param {number} options.maxTokens - Maximum completion tokens (defaults to 1000)
+   * @param {Array} options.tools - Tools the model may call
+   * @param {string} options.toolChoice - 'auto' or 'none'
+   * @returns {Promise<{content: string, usage: Object, requestId: string, toolCalls: Array}>}
    */
-  async callOpenAI(messages) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+  async callModel(messages, options = {}) {
+    const provider = this.getProviderForModel(options.model);
+    // One ID for all attempts, so usage is recorded once however often it is retried
+    const requestId = crypto.randomUUID();
+    const request = provider.buildRequest(messages, {
+      model: options.model,
+      maxTokens: options.maxTokens || 1000,
+      temperature: 0.7,
+      tools: options.tools,
+      toolChoice: options.toolChoice
+    });
+
+    const response = await this.retryPolicy.fetch(request.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
-        messages: messages,
-        max_tokens: 1000,
-        temperature: 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      })
+      headers: request.headers,
+      body: JSON.stringify(request.body)
     });
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'API request failed');
+      const error = await response.json().catch(() => null);
+      throw new Error(provider.getErrorMessage(response.status, error));
     }
 
     const data = await response.json();
+    const result = provider.parseResponse(data);
     return {
-      content: data.choices[0].message.content,
-      usage: data.usage
+      content: result.content,
+      usage: result.usage,
+      requestId,
+      toolCalls: result.toolCalls || []
     };
   }
 
   /**
-   * Call OpenAI API with streaming support
+   * Call the configured provider with streaming support
    * @param {Array} messages - Messages array for the conversation
    * @param {Object} options - Streaming options
+   * @param {string} options.model - Catalog model name
+   * @param {number} options.maxTokens - Maximum completion tokens (defaults to 1000)
    * @param {Function} options.onChunk - Callback for each chunk received
    * @param {Function} options.onError - Callback for stream errors
    * @param {Function} options.onComplete - Callback when stream completes
    * @param {AbortController} options.abortController - Optional abort controller
+   * @param {Array} options.tools - Tools the model may call
+   * @param {string} options.toolChoice - 'auto' or 'none'
+   * @returns {Promise<{content: string, usage: Object, requestId: string, toolCalls: Array}>}
    */
-  async callOpenAIStream(messages, options = {}) {
-    const { onChunk, onError, onComplete, abortController } = options;
+  async callModelStream(messages, options = {}) {
+    const { model, maxTokens, onChunk, onError, onComplete, abortController, tools, toolChoice } = options;
+    const provider = this.getProviderForModel(model);
+    const requestId = crypto.randomUUID();
     
     let accumulatedContent = '';
+    // Tool calls assembled from their deltas, keyed by index
+    const toolCallParts = new Map();
     let tokenUsage = {
       prompt_tokens: 0,
       completion_tokens: 0,
       total_tokens: 0
     };
     let reader = null;
-    let connectionRetries = 0;
-    const maxRetries = 3;
 
     const cleanup = () => {
       if (reader) {
@@ -387,48 +1674,83 @@ Please introduce yourself briefly and let the user know you've analyzed the page
       }
     };
 
+    // Apply one SSE data payload to the accumulated state
+    const handleEvent = (data) => {
+      const parsed = JSON.parse(data);
+      const event = provider.parseStreamEvent(parsed);
+
+      // Handle content chunks
+      if (event.content) {
+        accumulatedContent += event.content;
+        
+        if (onChunk) {
+          onChunk({
+            content: event.content,
+            accumulated: accumulatedContent,
+            finished: false
+          });
+        }
+      }
+
+      // Handle tool call deltas
+      for (const delta of event.toolCalls || []) {
+        const part = toolCallParts.get(delta.index) || { id: null, name: null, arguments: '' };
+        part.id = delta.id || part.id;
+        part.name = delta.name || part.name;
+        part.arguments += delta.arguments || '';
+        toolCallParts.set(delta.index, part);
+      }
+
+      // Handle finish reason
+      if (event.finishReason === 'length' || event.finishReason === 'max_tokens') {
+        console.warn('Response truncated due to max_tokens limit');
+      }
+
+      // Handle usage information (providers may report it across several events)
+      if (event.usage) {
+        tokenUsage = { ...tokenUsage, ...event.usage };
+        tokenUsage.total_tokens = tokenUsage.prompt_tokens + tokenUsage.completion_tokens;
+      }
+    };
+
     try {
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      const request = provider.buildRequest(messages, {
+        model,
+        maxTokens: maxTokens || 1000,
+        temperature: 0.7,
+        stream: true,
+        tools,
+        toolChoice
+      });
+
+      const response = await this.retryPolicy.fetch(request.url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Accept': 'text/event-stream'
-        },
-        body: JSON.stringify({
-          model: 'gpt-4',
-          messages: messages,
-          max_tokens: 1000,
-          temperature: 0.7,
-          presence_penalty: 0.1,
-          frequency_penalty: 0.1,
-          stream: true,
-          stream_options: {
-            include_usage: true
-          }
-        }),
+        headers: request.headers,
+        body: JSON.stringify(request.body),
         signal: abortController?.signal
+      }, {
+        // Tell the client why nothing is arriving yet
+        onRetry: ({ attempt, maxRetries, delayMs, reason }) => {
+          if (onChunk) {
+            onChunk({
+              content: '',
+              accumulated: accumulatedContent,
+              finished: false,
+              status: {
+                type: 'retrying',
+                reason,
+                attempt,
+                maxRetries,
+                retryIn: Math.ceil(delayMs / 1000)
+              }
+            });
+          }
+        }
       });
 
       if (!response.ok) {
-        let errorMessage = 'API request failed';
-        try {
-          const error = await response.json();
-          errorMessage = error.error?.message || errorMessage;
-          
-          // Handle specific error codes
-          if (response.status === 429) {
-            errorMessage = 'Rate limit exceeded. Please try again later.';
-          } else if (response.status === 401) {
-            errorMessage = 'Invalid API key. Please check your settings.';
-          } else if (response.status === 500 || response.status === 502 || response.status === 503) {
-            errorMessage = 'OpenAI service is temporarily unavailable. Please try again.';
-          }
-        } catch (e) {
-          // If we can't parse the error, use the status code
-          errorMessage = `API request failed with status ${response.status}`;
-        }
-        throw new Error(errorMessage);
+        const error = await response.json().catch(() => null);
+        throw new Error(provider.getErrorMessage(response.status, error));
       }
 
       reader = response.body.getReader();
@@ -479,43 +1801,18 @@ Please introduce yourself briefly and let the user know you've analyzed the page
           // Handle SSE comments (lines starting with :)
           if (line.startsWith(':')) continue;
           
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6).trim();
+          // Event names are repeated in the payload's `type` field, so only data lines matter
+          if (line.startsWith('data:')) {
+            const data = line.slice(5).trim();
             
             if (data === '[DONE]') {
               continue;
             }
 
             try {
-              const parsed = JSON.parse(data);
-              
-              // Handle content chunks
-              if (parsed.choices && parsed.choices[0]?.delta?.content) {
-                const chunk = parsed.choices[0].delta.content;
-                accumulatedContent += chunk;
-                
-                if (onChunk) {
-                  onChunk({
-                    content: chunk,
-                    accumulated: accumulatedContent,
-                    finished: false
-                  });
-                }
-              }
-
-              // Handle finish reason
-              if (parsed.choices && parsed.choices[0]?.finish_reason) {
-                const finishReason = parsed.choices[0].finish_reason;
-                if (finishReason === 'length') {
-                  console.warn('Response truncated due to max_tokens limit');
-                }
-              }
-
-              // Handle usage information (usually in the last chunk)
-              if (parsed.usage) {
-                tokenUsage = parsed.usage;
-              }
+              handleEvent(data);
             } catch (e) {
+              if (!(e instanceof SyntaxError)) throw e;
               console.error('Error parsing SSE data:', e, 'Data:', data);
               // Continue processing other chunks even if one fails
             }
@@ -524,14 +1821,11 @@ Please introduce yourself briefly and let the user know you've analyzed the page
       }
 
       // Process any remaining buffer
-      if (buffer.trim() && buffer.startsWith('data: ')) {
-        const data = buffer.slice(6).trim();
+      if (buffer.trim() && buffer.startsWith('data:')) {
+        const data = buffer.slice(5).trim();
         if (data !== '[DONE]') {
           try {
-            const parsed = JSON.parse(data);
-            if (parsed.usage) {
-              tokenUsage = parsed.usage;
-            }
+            handleEvent(data);
           } catch (e) {
             console.error('Error parsing final SSE data:', e);
           }
@@ -547,16 +1841,29 @@ Please introduce yourself briefly and let the user know you've analyzed the page
 
       cleanup();
 
+      const toolCalls = Array.from(toolCallParts.values())
+        .filter(part => part.name)
+        .map(part => ({
+          id: part.id,
+          name: part.name,
+          arguments: provider.parseToolArguments(part.arguments)
+        }));
+
+      // Awaited so usage is recorded before the request's queue slot is released
       if (onComplete) {
-        onComplete({
+        await onComplete({
           content: accumulatedContent,
-          usage: tokenUsage
+          usage: tokenUsage,
+          requestId,
+          toolCalls
         });
       }
 
       return {
         content: accumulatedContent,
-        usage: tokenUsage
+        usage: tokenUsage,
+        requestId,
+        toolCalls
       };
 
     } catch (error) {
@@ -573,7 +1880,9 @@ Please introduce yourself briefly and let the user know you've analyzed the page
         // Attempt to provide more helpful error messages
         let userFriendlyError = error;
         if (error.message.includes('Failed to fetch')) {
-          userFriendlyError = new Error('Network error. Please check your connection and try again.');
+          userFriendlyError = new Error(provider.id === 'local'
+            ? `Could not reach the local model at ${provider.baseUrl}. Is the server running?`
+            : 'Network error. Please check your connection and try again.');
         } else if (error.message.includes('timeout')) {
           userFriendlyError = new Error('Request timed out. Please try again.');
         }
@@ -586,11 +1895,189 @@ Please introduce yourself briefly and let the user know you've analyzed the page
     }
   }
 
+  /**
+   * Call the model with the page tools available. While it asks for tools,
+   * run them in the tab and send the results back, for up to MAX_TOOL_ROUNDS
+   * rounds; the round after that must answer. Each tool round is a request
+   * of its own: its usage is recorded, the next round waits for a queue slot
+   * and the other limits are checked again before it is sent. A limit
+   * reached there fails with an error carrying `rateLimitError`, `limitType`
+   * and `retryAfter`. Usage of the final round is left to the caller, as
+   * with callModel.
+   * @param {Array} messages - Messages array for the conversation
+   * @param {Object} options - callModel or callModelStream options, plus:
+   * @param {number} options.tabId - Tab the tools run in; without one, no tools are offered
+   * @param {boolean} options.stream - Use callModelStream
+   * @param {Function} options.onTool - Called with { tool, description } before each tool runs
+   * @param {Function} options.nextSlot - Releases the caller's queue slot and
+   *   resolves once it holds a new one
+   * @returns {Promise<{content: string, usage: Object, requestId: string, toolCalls: Array}>}
+   *   The final round, with every tool call made ({ name, arguments }) in `toolCalls`
+   */
+  async callModelWithTools(messages, options = {}) {
+    const { tabId, stream = false, onTool, nextSlot, ...callOptions } = options;
+    const provider = this.getProviderForModel(callOptions.model);
+    const call = (promptMessages, toolOptions = {}) => stream
+      ? this.callModelStream(promptMessages, { ...callOptions, ...toolOptions })
+      : this.callModel(promptMessages, { ...callOptions, ...toolOptions });
+
+    if (!provider.supportsTools || typeof tabId !== 'number') {
+      return { ...(await call(messages)), toolCalls: [] };
+    }
+
+    const tools = PageTools.getDefinitions();
+    // Tool turns are only part of this request's prompt, not of the conversation
+    const promptMessages = [...messages];
+    const toolCalls = [];
+
+    for (let round = 0; ; round++) {
+      const finalRound = round === MAX_TOOL_ROUNDS;
+      const result = await call(promptMessages, { tools, toolChoice: finalRound ? 'none' : 'auto' });
+
+      if (finalRound || result.toolCalls.length === 0) {
+        return { ...result, toolCalls };
+      }
+
+      await this.rateLimiter.recordUsage({
+        model: callOptions.model,
+        promptTokens: result.usage.prompt_tokens,
+        completionTokens: result.usage.completion_tokens,
+        requestId: result.requestId
+      });
+
+      promptMessages.push({ role: 'assistant', content: result.content, toolCalls: result.toolCalls });
+      for (const toolCall of result.toolCalls) {
+        onTool?.({ tool: toolCall.name, description: PageTools.describe(toolCall.name, toolCall.arguments) });
+        promptMessages.push({
+          role: 'tool',
+          toolCallId: toolCall.id,
+          name: toolCall.name,
+          content: await this.runPageTool(tabId, toolCall)
+        });
+        toolCalls.push({ name: toolCall.name, arguments: toolCall.arguments });
+      }
+
+      // The next round resends the prompt with the tool results, once the
+      // per-minute window has room for it
+      await nextSlot?.();
+      const rateLimitCheck = await this.rateLimiter.checkRequest({
+        model: callOptions.model,
+        prompt: JSON.stringify(promptMessages),
+        estimatedCompletion: callOptions.maxTokens
+      });
+      if (!rateLimitCheck.allowed) {
+        throw Object.assign(new Error(rateLimitCheck.reason), {
+          rateLimitError: true,
+          limitType: rateLimitCheck.limitType,
+          retryAfter: rateLimitCheck.retryAfter
+        });
+      }
+    }
+  }
+
+  /**
+   * Run a page tool in a tab. Failures are returned as the tool result so
+   * the model can try something else or answer without it.
+   * @param {number} tabId - Tab to run the tool in
+   * @param {{name: string, arguments: Object}} toolCall - Tool call from the model
+   * @returns {Promise<string>} Result text for the model
+   */
+  async runPageTool(tabId, toolCall) {
+    try {
+      const response = await this.sendTabMessage(tabId, {
+        action: 'runPageTool',
+        name: toolCall.name,
+        arguments: toolCall.arguments
+      }, PAGE_TOOL_TIMEOUT_MS);
+      
+      return response?.success ? response.result : `Error: ${response?.error || 'The tool failed'}`;
+    } catch (error) {
+      // No content script on this page (e.g. chrome:// pages), or the tab was closed
+      return `Error: ${error.message}`;
+    }
+  }
+
+  /**
+   * Rebuild the selection context menu from the current quick actions
+   * @returns {Promise<void>}
+   */
+  async buildSelectionMenu() {
+    try {
+      await this.promptTemplates.load();
+    } catch (error) {
+      console.error('Failed to load quick actions for the selection menu:', error);
+    }
+    await this.selectionMenu.build(this.promptTemplates.getAll());
+  }
+
+  /**
+   * Turn a click in the selection context menu into a question: read the
+   * selection and its section headings from the page, fill in the chosen
+   * prompt, leave the question for the popup and open it
+   * @param {Object} info - Context menu click info
+   * @param {chrome.tabs.Tab} tab - Tab the selection is in
+   * @returns {Promise<void>}
+   */
+  async askAboutSelection(info, tab) {
+    if (!tab?.id) return;
+    
+    await this.promptTemplates.load();
+    const action = this.selectionMenu.getAction(info.menuItemId, this.promptTemplates.getAll());
+    if (!action) return;
+    
+    let excerpt = null;
+    try {
+      const response = await this.sendTabMessage(tab.id, { action: 'getSelectionContext' }, SELECTION_TIMEOUT_MS);
+      excerpt = response?.success ? response.selection : null;
+    } catch (error) {
+      // No content script on this page, e.g. the Chrome Web Store
+    }
+    // Selections inside frames are not visible to the top frame's content script
+    if (!excerpt) {
+      excerpt = { text: info.selectionText || '', blockId: null, headingPath: [] };
+    }
+    if (!excerpt.text.trim()) return;
+    
+    const question = await this.promptTemplates.fill(action, tab, undefined, excerpt.text);
+    await chrome.storage.local.set({
+      pendingSelectionQuestion: {
+        tabId: tab.id,
+        url: tab.url || info.pageUrl,
+        message: this.selectionMenu.composeMessage(question, excerpt),
+        createdAt: Date.now()
+      }
+    });
+    
+    await this.selectionMenu.open(tab);
+  }
+
+  /**
+   * Send a message to a tab's content script, failing if it does not answer in time
+   * @param {number} tabId - Tab to message
+   * @param {Object} message - Message for the content script
+   * @param {number} timeoutMs - How long to wait for the response
+   * @returns {Promise<*>} The content script's response
+   */
+  async sendTabMessage(tabId, message, timeoutMs) {
+    let timeoutId = null;
+    
+    try {
+      return await Promise.race([
+        chrome.tabs.sendMessage(tabId, message),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('The page did not respond')), timeoutMs);
+        })
+      ]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
   /**
    * Get conversation summary for a tab
    */
-  getConversationSummary(tabId) {
-    const conversation = this.conversations.get(tabId);
+  getConversationSummary(identity) {
+    const conversation = this.getTabConversation(identity);
     if (!conversation) return null;
 
     return {
@@ -602,17 +2089,210 @@ Please introduce yourself briefly and let the user know you've analyzed the page
   }
 
   /**
-   * Clear conversation for a tab
+   * Clear conversation for a tab. The saved copy stays in the history but is
+   * no longer resumed for the page.
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {Object} options - Clear options
+   * @param {boolean} options.sources - Clear the tab's multi-source conversation instead
+   */
+  async clearConversation(identity, options = {}) {
+    if (options.sources) {
+      this.sourceConversations.delete(identity.tabId);
+      return;
+    }
+    
+    const conversation = this.getTabConversation(identity);
+    if (!conversation) return;
+    
+    this.conversations.delete(identity.tabId);
+    if (conversation.id) {
+      await this.conversationStore.archive(conversation.id);
+    }
+  }
+
+  /**
+   * Drop a tab's conversation from memory; the saved copy is resumed the next
+   * time the page is discussed
    */
-  clearConversation(tabId) {
+  unloadConversation(tabId) {
     this.conversations.delete(tabId);
+    // Multi-source conversations are not saved; they end with their tab
+    this.sourceConversations.delete(tabId);
+  }
+
+  /**
+   * List saved conversations, most recent first
+   * @param {string} query - Optional full-text search across titles, URLs and messages
+   */
+  async listConversations(query = '') {
+    await this.initPromise;
+    return query ? this.conversationStore.search(query) : this.conversationStore.list();
+  }
+
+  /**
+   * Get the conversation a tab would continue for a page, so the popup can
+   * show it when reopened
+   * @param {{tabId: number, url: string}} identity - Conversation identity
+   * @returns {Promise<Object|null>} { id, title, url, messages } or null if there is none
+   */
+  async getPageConversation(identity) {
+    await this.initPromise;
+    
+    const conversation = await this.resolveConversation(identity, null);
+    if (!conversation.id) {
+      return null;
+    }
+    
+    this.conversations.set(identity.tabId, conversation);
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      url: conversation.url,
+      messages: ConversationTree.describe(conversation)
+    };
+  }
+
+  /**
+   * Resume a saved conversation. It is loaded into the tab if the tab shows
+   * its page; otherwise it is resumed the next time its URL is opened.
+   * @param {string} conversationId - Conversation ID
+   * @param {{tabId: number, url: string|null}} identity - Tab to resume it in
+   * @returns {Promise<Object>} The conversation record, its messages described
+   *   with their branches
+   */
+  async loadConversation(conversationId, identity) {
+    await this.initPromise;
+    
+    const record = await this.conversationStore.load(conversationId);
+    if (!record) {
+      throw new Error('Conversation not found');
+    }
+    
+    // Resuming brings an archived conversation back for its page
+    const conversation = this.restoreConversation(record);
+    if (conversation.url === identity.url) {
+      this.conversations.set(identity.tabId, conversation);
+    }
+    await this.persistConversation(conversation);
+    
+    return { ...record, messages: ConversationTree.describe(conversation) };
+  }
+
+  /**
+   * Find the question an assistant reply answers, for regenerating it
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string} messageId - Assistant reply
+   * @returns {Promise<string>} The user message before it
+   */
+  async getRegenerateQuestion(identity, messageId) {
+    const conversation = await this.resolveConversation(identity, null);
+    const index = conversation.messages.findIndex(message => message.id === messageId);
+    const question = conversation.messages[index - 1];
+    
+    if (index === -1 || conversation.messages[index].role !== 'assistant' || question?.role !== 'user') {
+      throw new Error('Message not found in this conversation');
+    }
+    return question.content;
+  }
+
+  /**
+   * Ask again for an assistant reply, keeping the earlier reply as a sibling
+   * branch. The response cache is bypassed.
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string} messageId - Assistant reply to regenerate
+   * @param {Object} pageContent - Page content object
+   * @returns {Promise<Object>} Result as from generateResponse
+   */
+  async regenerateMessage(identity, messageId, pageContent) {
+    await this.initPromise;
+    
+    const question = await this.getRegenerateQuestion(identity, messageId);
+    return this.generateResponse(identity, question, pageContent, {
+      regenerateMessageId: messageId,
+      bypassCache: true
+    });
+  }
+
+  /**
+   * Replace an earlier user message and answer it, keeping the original and
+   * everything after it as a sibling branch
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string} messageId - User message to edit
+   * @param {string} userMessage - New text
+   * @param {Object} pageContent - Page content object
+   * @returns {Promise<Object>} Result as from generateResponse
+   */
+  async editMessage(identity, messageId, userMessage, pageContent) {
+    return this.generateResponse(identity, userMessage, pageContent, { editMessageId: messageId });
+  }
+
+  /**
+   * Select a sibling branch, continuing below it with the branch viewed last
+   * @param {{tabId: number, url: string|null}} identity - Conversation identity
+   * @param {string} messageId - Message to switch to
+   * @returns {Promise<Array<Object>>} Messages on the selected path, as in getPageConversation
+   */
+  async switchBranch(identity, messageId) {
+    await this.initPromise;
+    
+    const conversation = await this.resolveConversation(identity, null);
+    ConversationTree.select(conversation, messageId);
+    
+    this.conversations.set(identity.tabId, conversation);
+    await this.persistConversation(conversation);
+    
+    return ConversationTree.describe(conversation);
+  }
+
+  /**
+   * Export a conversation as a downloadable document
+   * @param {{tabId: number, url: string|null}} identity - Conversation exported when no ID is given
+   * @param {Object} options - Export options
+   * @param {string} options.conversationId - Saved conversation to export
+   * @param {string} options.format - 'markdown', 'json' or 'html'
+   * @returns {Promise<{filename: string, mimeType: string, content: string}>}
+   */
+  async exportConversation(identity, options = {}) {
+    await this.initPromise;
+    
+    const { conversationId, format = 'markdown' } = options;
+    const conversation = this.getTabConversation(identity);
+    
+    const record = conversationId
+      ? await this.conversationStore.load(conversationId)
+      : conversation && this.conversationStore.toRecord(conversation);
+    
+    if (!record || record.messages.length === 0) {
+      throw new Error('There is no conversation to export yet');
+    }
+    
+    return this.conversationExporter.export(record, format);
+  }
+
+  /**
+   * Delete a saved conversation and drop it from any tab using it
+   * @param {string} conversationId - Conversation ID
+   */
+  async deleteConversation(conversationId) {
+    await this.initPromise;
+    
+    for (const [tabId, conversation] of this.conversations.entries()) {
+      if (conversation.id === conversationId) {
+        this.conversations.delete(tabId);
+      }
+    }
+    
+    const deleted = await this.conversationStore.delete(conversationId);
+    if (!deleted) {
+      throw new Error('Conversation not found');
+    }
   }
   
   /**
    * Get conversation summary for a tab
    */
-  getConversationSummary(tabId) {
-    const conversation = this.conversations.get(tabId);
+  getConversationSummary(identity) {
+    const conversation = this.getTabConversation(identity);
     if (!conversation) {
       return null;
     }
@@ -620,38 +2300,76 @@ Please introduce yourself briefly and let the user know you've analyzed the page
     return {
       messageCount: conversation.messages.length,
       startTime: conversation.startTime,
+      model: conversation.model,
       lastMessage: conversation.messages[conversation.messages.length - 1]
     };
   }
 
   /**
-   * Save API key
+   * Save API key for a provider
+   * @param {string} apiKey - API key
+   * @param {string} providerId - Provider the key belongs to (defaults to OpenAI)
    */
-  async saveApiKey(apiKey) {
-    await chrome.storage.sync.set({ openaiApiKey: apiKey });
-    this.apiKey = apiKey;
+  async saveApiKey(apiKey, providerId = 'openai') {
+    const storageKey = PROVIDER_KEY_STORAGE[providerId];
+    if (!storageKey) {
+      throw new Error(`Unknown LLM provider: ${providerId}`);
+    }
+
+    await chrome.storage.sync.set({ [storageKey]: apiKey });
+    await this.loadProvider();
+  }
+
+  /**
+   * Save provider selection and local server settings
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.llmProvider - Active provider ID
+   * @param {string} settings.localBaseUrl - Base URL of the local OpenAI-compatible server
+   * @param {string} settings.localModel - Model name served by the local server
+   */
+  async saveProviderSettings(settings) {
+    if (!LLM_PROVIDERS[settings.llmProvider]) {
+      throw new Error(`Unknown LLM provider: ${settings.llmProvider}`);
+    }
+
+    await chrome.storage.sync.set({
+      llmProvider: settings.llmProvider,
+      localBaseUrl: settings.localBaseUrl || '',
+      localModel: settings.localModel || ''
+    });
+    await this.loadProvider();
   }
 
   /**
    * Get stored settings
    */
   async getSettings() {
+    await this.initPromise;
+
     const result = await chrome.storage.sync.get([
-      'openaiApiKey',
+      ...PROVIDER_SETTING_KEYS,
       'avatarPersonality',
       'responseLength',
+      'responseLanguage',
       'autoAnalyze',
       'streamingEnabled',
-      'streamingChunkDelay'
+      'streamingChunkDelay',
+      'compactionThreshold'
     ]);
 
     return {
-      hasApiKey: !!result.openaiApiKey,
+      llmProvider: this.provider.id,
+      hasApiKey: !!result[PROVIDER_KEY_STORAGE[this.provider.id]],
+      providerReady: this.provider.isConfigured(),
+      localBaseUrl: result.localBaseUrl || '',
+      localModel: result.localModel || '',
       avatarPersonality: result.avatarPersonality || 'helpful',
       responseLength: result.responseLength || 'medium',
+      responseLanguage: result.responseLanguage || 'auto',
       autoAnalyze: result.autoAnalyze !== false,
       streamingEnabled: result.streamingEnabled !== false, // Default to true
-      streamingChunkDelay: result.streamingChunkDelay || 0 // Delay between chunks in ms
+      streamingChunkDelay: result.streamingChunkDelay || 0, // Delay between chunks in ms
+      compactionThreshold: result.compactionThreshold || this.compactor.threshold
     };
   }
   
@@ -683,52 +2401,62 @@ Please introduce yourself briefly and let the user know you've analyzed the page
    * Get active stream status
    */
   getActiveStreams() {
-    const streams = [];
-    for (const [streamId, controller] of this.activeStreams.entries()) {
-      const [tabId, timestamp] = streamId.split('-');
-      streams.push({
-        streamId,
-        tabId: parseInt(tabId),
-        startTime: parseInt(timestamp),
-        duration: Date.now() - parseInt(timestamp)
-      });
-    }
-    return streams;
+    return this.streams.list();
   }
   
   /**
-   * Create a stream for a tab
+   * Start a streaming response and deliver it over a port
+   * @param {chrome.runtime.Port} port - Client port
+   * @param {Object} request - { streamId, conversation, message, pageContent }
    */
-  createStream(tabId) {
-    const streamId = `${tabId}-${Date.now()}`;
-    const abortController = new AbortController();
-    this.activeStreams.set(streamId, abortController);
-    return { streamId, abortController };
+  startStream(port, request) {
+    const identity = this.getConversationIdentity(request, port.sender);
+    const streamId = request.streamId || `${identity.tabId}-${Date.now()}`;
+    const stream = this.streams.create(streamId, identity);
+    this.streams.attach(streamId, port);
+
+    // A regenerated reply answers the question it followed
+    const question = request.regenerateMessageId
+      ? this.getRegenerateQuestion(identity, request.regenerateMessageId)
+      : Promise.resolve(request.message);
+
+    question.then(message => this.generateResponseStream(
+      identity,
+      message,
+      request.pageContent,
+      {
+        abortController: stream.abortController,
+        bypassCache: !!request.bypassCache || !!request.regenerateMessageId,
+        editMessageId: request.editMessageId,
+        regenerateMessageId: request.regenerateMessageId,
+        sources: request.sources,
+        onChunk: (chunk) => this.streams.pushChunk(streamId, chunk),
+        onError: (error) => this.streams.fail(streamId, { error: error.message }),
+        onComplete: (result) => this.streams.complete(streamId, result)
+      }
+    )).then(result => {
+      // Failures before streaming started (e.g. rate limits) carry extra details
+      if (!result.success) {
+        const { success, ...details } = result;
+        this.streams.fail(streamId, details);
+      }
+    }).catch(error => {
+      this.streams.fail(streamId, { error: error.message });
+    });
   }
   
   /**
    * Abort a stream
    */
   abortStream(streamId) {
-    const controller = this.activeStreams.get(streamId);
-    if (controller) {
-      controller.abort();
-      this.activeStreams.delete(streamId);
-      return true;
-    }
-    return false;
+    return this.streams.abort(streamId);
   }
   
   /**
    * Abort all streams for a tab
    */
   abortTabStreams(tabId) {
-    for (const [streamId, controller] of this.activeStreams.entries()) {
-      if (streamId.startsWith(`${tabId}-`)) {
-        controller.abort();
-        this.activeStreams.delete(streamId);
-      }
-    }
+    this.streams.abortTab(tabId);
   }
 }
 
@@ -737,78 +2465,35 @@ const aiService = new AIAvatarService();
 
 // Message handling
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  const tabId = sender.tab?.id;
+  const identity = aiService.getConversationIdentity(request, sender);
 
   switch (request.action) {
     case 'generateResponse':
-      aiService.generateResponse(tabId, request.message, request.pageContent)
+      aiService.generateResponse(identity, request.message, request.pageContent, {
+        bypassCache: !!request.bypassCache,
+        sources: request.sources
+      })
         .then(result => sendResponse(result))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true; // Keep message channel open
 
-    case 'generateResponseStream':
-      // Use the streamId from the request if provided, otherwise create one
-      const streamId = request.streamId || `${tabId}-${Date.now()}`;
-      const abortController = new AbortController();
-      
-      // Store the abort controller
-      aiService.activeStreams.set(streamId, abortController);
-
-      // Start streaming
-      aiService.generateResponseStream(
-        tabId, 
-        request.message, 
-        request.pageContent,
-        {
-          abortController,
-          onChunk: (chunk) => {
-            // Send chunk to the popup via a message
-            chrome.runtime.sendMessage({
-              action: 'streamChunk',
-              streamId,
-              tabId,
-              chunk
-            });
-          },
-          onError: (error) => {
-            // Send error to the popup
-            chrome.runtime.sendMessage({
-              action: 'streamError',
-              streamId,
-              tabId,
-              error: error.message
-            });
-            aiService.abortStream(streamId);
-          },
-          onComplete: (result) => {
-            // Send completion to the popup
-            chrome.runtime.sendMessage({
-              action: 'streamComplete',
-              streamId,
-              tabId,
-              result
-            });
-            aiService.abortStream(streamId);
-          }
-        }
-      ).then(result => {
-        if (!result.streaming) {
-          // If streaming didn't start (e.g., rate limit), send response
-          sendResponse(result);
-        } else {
-          // Send initial response with stream ID
-          sendResponse({ 
-            success: true, 
-            streaming: true, 
-            streamId 
-          });
-        }
-      }).catch(error => {
-        sendResponse({ success: false, error: error.message });
-        aiService.abortStream(streamId);
-      });
-      
-      return true; // Keep message channel open
+    case 'regenerateMessage':
+      aiService.regenerateMessage(identity, request.messageId, request.pageContent)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'editMessage':
+      aiService.editMessage(identity, request.messageId, request.message, request.pageContent)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'switchBranch':
+      aiService.switchBranch(identity, request.messageId)
+        .then(messages => sendResponse({ success: true, messages }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
 
     case 'abortStream':
       const success = aiService.abortStream(request.streamId);
@@ -816,17 +2501,57 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       break;
 
     case 'getConversationSummary':
-      const summary = aiService.getConversationSummary(tabId);
+      const summary = aiService.getConversationSummary(identity);
       sendResponse({ success: true, summary });
       break;
 
     case 'clearConversation':
-      aiService.clearConversation(tabId);
-      sendResponse({ success: true });
-      break;
+      aiService.clearConversation(identity, { sources: !!request.sources })
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'listConversations':
+      aiService.listConversations(request.query)
+        .then(conversations => sendResponse({ success: true, conversations }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'loadConversation':
+      aiService.loadConversation(request.conversationId, identity)
+        .then(conversation => sendResponse({ success: true, conversation }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'getPageConversation':
+      aiService.getPageConversation(identity)
+        .then(conversation => sendResponse({ success: true, conversation }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'exportConversation':
+      aiService.exportConversation(identity, {
+        conversationId: request.conversationId,
+        format: request.format
+      })
+        .then(file => sendResponse({ success: true, ...file }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'deleteConversation':
+      aiService.deleteConversation(request.conversationId)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
 
     case 'saveApiKey':
-      aiService.saveApiKey(request.apiKey)
+      aiService.saveApiKey(request.apiKey, request.provider)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'saveProviderSettings':
+      aiService.saveProviderSettings(request.settings)
         .then(() => sendResponse({ success: true }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
@@ -855,6 +2580,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
 
+    case 'getModels':
+      aiService.getModels(identity)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'setConversationModel':
+      try {
+        aiService.setConversationModel(identity, request.model);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+
     case 'getActiveStreams':
       const streams = aiService.getActiveStreams();
       sendResponse({ success: true, streams });
@@ -865,15 +2605,53 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// Streaming responses are delivered over one port per client
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'stream') return;
+
+  port.onMessage.addListener((message) => {
+    switch (message.type) {
+      case 'start':
+        aiService.startStream(port, message);
+        break;
+
+      case 'attach':
+        if (!aiService.streams.attach(message.streamId, port)) {
+          port.postMessage({ type: 'error', streamId: message.streamId, error: 'Stream not found' });
+        }
+        break;
+    }
+  });
+
+  // The stream keeps running; a reopened client can reattach to it
+  port.onDisconnect.addListener(() => aiService.streams.detach(port));
+});
+
+// "Ask the avatar" on selected text; context menus persist, so they are
+// built on install and update, and again whenever the quick actions change
+chrome.runtime.onInstalled.addListener(() => {
+  aiService.buildSelectionMenu();
+});
+
+aiService.promptTemplates.onChange(() => {
+  aiService.buildSelectionMenu();
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  aiService.askAboutSelection(info, tab)
+    .catch(error => console.error('Failed to ask about the selection:', error));
+});
+
 // Tab management
 chrome.tabs.onRemoved.addListener((tabId) => {
-  aiService.clearConversation(tabId);
+  // The conversation stays saved and resumes when the page is reopened
+  aiService.unloadConversation(tabId);
   
   // Abort any active streams for this tab
   aiService.abortTabStreams(tabId);
 });
 
-// Cleanup old conversations (older than 1 hour)
+// Unload old conversations from memory (older than 1 hour); they remain saved
 setInterval(() => {
   const oneHourAgo = Date.now() - (60 * 60 * 1000);
   
@@ -0,0 +1,117 @@
+/**
+ * Source Budget for AI Avatar Chrome Extension
+ *
+ * Splits the context window across the pages of a multi-source question
+ * ("how do these three libraries differ?"). Every source gets an equal
+ * share of the budget; what a short page does not need is shared among the
+ * longer ones. A page over its share is cut down to the passages most
+ * relevant to the question, using a RetrievalIndex over its blocks, or to
+ * its beginning when nothing in it matches.
+ *
+ * @module SourceBudget
+ */
+
+class SourceBudget {
+  /**
+   * @param {RateLimiter} rateLimiter - Rate limiter used for token counting
+   */
+  constructor(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+  }
+
+  /**
+   * Split a token budget across sources
+   * @param {Array<number>} sizes - Tokens each source needs in full
+   * @param {number} budget - Tokens available for all sources
+   * @returns {Array<number>} Tokens allowed per source, in input order
+   */
+  allocate(sizes, budget) {
+    const allocations = new Array(sizes.length).fill(0);
+    // Smallest first, so each source's unused share passes to the ones after it
+    const order = sizes.map((size, index) => index).sort((a, b) => sizes[a] - sizes[b]);
+    let remaining = Math.max(0, budget);
+
+    order.forEach((index, position) => {
+      const share = Math.floor(remaining / (order.length - position));
+      allocations[index] = Math.min(sizes[index], share);
+      remaining -= allocations[index];
+    });
+
+    return allocations;
+  }
+
+  /**
+   * Fit every source into the budget
+   * @param {Array<Object>} sources - Sources with a `pageContent` object
+   * @param {number} budget - Tokens available for all sources
+   * @param {string} query - The question, for choosing passages of long pages
+   * @returns {Array<Object>} The sources with `text` to include, its `tokens`,
+   *   the `allocated` and `totalTokens` counts, and whether it is `excerpted`
+   */
+  fit(sources, budget, query) {
+    const sizes = sources.map(source => this.rateLimiter.countTokens(source.pageContent.content));
+    const allocations = this.allocate(sizes, budget);
+
+    return sources.map((source, index) => {
+      const excerpted = sizes[index] > allocations[index];
+      const text = excerpted
+        ? this.excerpt(source.pageContent, allocations[index], sizes[index], query)
+        : source.pageContent.content;
+
+      return {
+        ...source,
+        text,
+        tokens: this.rateLimiter.countTokens(text),
+        allocated: allocations[index],
+        totalTokens: sizes[index],
+        excerpted
+      };
+    });
+  }
+
+  /**
+   * The passages of a page most relevant to the query, in reading order,
+   * within maxTokens
+   * @private
+   */
+  excerpt(pageContent, maxTokens, totalTokens, query) {
+    if (!pageContent.blocks || pageContent.blocks.length === 0) {
+      return this.truncate(pageContent.content, maxTokens, totalTokens);
+    }
+
+    const index = new RetrievalIndex(this.rateLimiter).build(pageContent.blocks);
+    let passages = index.search(query, { k: Infinity, maxTokens });
+
+    // Nothing matched (e.g. "compare these"): take the page from the start
+    if (passages.length === 0) {
+      let usedTokens = 0;
+      passages = index.passages.filter(passage => {
+        if (usedTokens + passage.tokens > maxTokens) return false;
+        usedTokens += passage.tokens;
+        return true;
+      });
+    }
+
+    if (passages.length === 0) {
+      return this.truncate(pageContent.content, maxTokens, totalTokens);
+    }
+
+    return passages
+      .map(passage => `### ${passage.headingPath.join(' > ') || 'Introduction'}\n${passage.text}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Cut text to about maxTokens
+   * @private
+   */
+  truncate(text, maxTokens, totalTokens) {
+    const length = Math.floor(text.length * (maxTokens / Math.max(totalTokens, 1)));
+    return length < text.length ? `${text.slice(0, length)}…` : text;
+  }
+}
+
+// Export the SourceBudget class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceBudget;
+}
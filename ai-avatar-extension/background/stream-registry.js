@@ -0,0 +1,233 @@
+/**
+ * Stream Registry for AI Avatar Chrome Extension
+ *
+ * Tracks streaming responses by stream ID and delivers their events over
+ * `chrome.runtime.connect` ports instead of broadcasting them to every
+ * extension page. Chunks are buffered per stream, so a popup that was closed
+ * mid-answer, or a detached window, can reattach and replay the partial
+ * answer before receiving the rest live.
+ *
+ * Port messages sent to clients:
+ * - `{ type: 'chunk', streamId, chunk, replay? }`
+ * - `{ type: 'complete', streamId, result }`
+ * - `{ type: 'error', streamId, error, ...details }`
+ *
+ * @module StreamRegistry
+ */
+
+class StreamRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {number} options.retentionMs - How long finished streams stay available for reattaching
+   */
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || 5 * 60 * 1000;
+    this.streams = new Map();
+  }
+
+  /**
+   * Register a new stream
+   * @param {string} streamId - Stream ID chosen by the client
+   * @param {Object} info - Stream metadata
+   * @param {number} info.tabId - Tab the conversation belongs to
+   * @param {string} info.url - Page URL
+   * @returns {Object} The stream record
+   */
+  create(streamId, info = {}) {
+    const stream = {
+      id: streamId,
+      tabId: info.tabId,
+      url: info.url || null,
+      abortController: new AbortController(),
+      status: 'streaming',
+      chunks: [],
+      result: null,
+      error: null,
+      ports: new Set(),
+      startTime: Date.now(),
+      finishedAt: null
+    };
+
+    this.streams.set(streamId, stream);
+    return stream;
+  }
+
+  /**
+   * Get a stream record
+   * @param {string} streamId - Stream ID
+   * @returns {Object|undefined}
+   */
+  get(streamId) {
+    return this.streams.get(streamId);
+  }
+
+  /**
+   * Attach a port to a stream and replay everything it has missed
+   * @param {string} streamId - Stream ID
+   * @param {chrome.runtime.Port} port - Client port
+   * @returns {boolean} Whether the stream exists
+   */
+  attach(streamId, port) {
+    const stream = this.streams.get(streamId);
+    if (!stream) return false;
+
+    stream.ports.add(port);
+
+    if (stream.chunks.length > 0) {
+      const accumulated = stream.chunks.join('');
+      this.post(stream, port, {
+        type: 'chunk',
+        streamId,
+        chunk: { content: accumulated, accumulated, finished: false },
+        replay: true
+      });
+    }
+
+    if (stream.status === 'complete') {
+      this.post(stream, port, { type: 'complete', streamId, result: stream.result });
+    } else if (stream.status === 'error') {
+      this.post(stream, port, { type: 'error', streamId, ...stream.error });
+    }
+
+    return true;
+  }
+
+  /**
+   * Detach a port from every stream, e.g. when the popup closes.
+   * The streams themselves keep running.
+   * @param {chrome.runtime.Port} port - Client port
+   */
+  detach(port) {
+    for (const stream of this.streams.values()) {
+      stream.ports.delete(port);
+    }
+  }
+
+  /**
+   * Buffer a chunk and forward it to attached ports
+   * @param {string} streamId - Stream ID
+   * @param {Object} chunk - { content, accumulated, finished }
+   */
+  pushChunk(streamId, chunk) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.status !== 'streaming') return;
+
+    // After a page tool round the reply starts over, with a fresh accumulated text
+    if (chunk.content && chunk.accumulated === chunk.content) {
+      stream.chunks = [];
+    }
+    stream.chunks.push(chunk.content);
+    this.broadcast(stream, { type: 'chunk', streamId, chunk });
+  }
+
+  /**
+   * Mark a stream complete
+   * @param {string} streamId - Stream ID
+   * @param {Object} result - Final response result
+   */
+  complete(streamId, result) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.status !== 'streaming') return;
+
+    stream.status = 'complete';
+    stream.result = result;
+    this.finish(stream);
+    this.broadcast(stream, { type: 'complete', streamId, result });
+  }
+
+  /**
+   * Mark a stream failed. Only the first failure is reported.
+   * @param {string} streamId - Stream ID
+   * @param {Object} details - { error, ...extra } e.g. rate limit details
+   */
+  fail(streamId, details) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.status !== 'streaming') return;
+
+    stream.status = 'error';
+    stream.error = details;
+    this.finish(stream);
+    this.broadcast(stream, { type: 'error', streamId, ...details });
+  }
+
+  /**
+   * Abort a running stream
+   * @param {string} streamId - Stream ID
+   * @returns {boolean} Whether a running stream was aborted
+   */
+  abort(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.status !== 'streaming') return false;
+
+    stream.status = 'aborted';
+    stream.abortController.abort();
+    this.finish(stream);
+    return true;
+  }
+
+  /**
+   * Abort all running streams for a tab
+   * @param {number} tabId - Tab ID
+   */
+  abortTab(tabId) {
+    for (const stream of this.streams.values()) {
+      if (stream.tabId === tabId) {
+        this.abort(stream.id);
+      }
+    }
+  }
+
+  /**
+   * Describe the known streams
+   * @returns {Array<{streamId: string, tabId: number, url: string, status: string, startTime: number, duration: number}>}
+   */
+  list() {
+    return Array.from(this.streams.values()).map(stream => ({
+      streamId: stream.id,
+      tabId: stream.tabId,
+      url: stream.url,
+      status: stream.status,
+      startTime: stream.startTime,
+      duration: (stream.finishedAt || Date.now()) - stream.startTime
+    }));
+  }
+
+  /**
+   * Keep a finished stream around briefly so late reattaches still get the answer
+   * @private
+   */
+  finish(stream) {
+    stream.finishedAt = Date.now();
+    setTimeout(() => {
+      if (this.streams.get(stream.id) === stream) {
+        this.streams.delete(stream.id);
+      }
+    }, this.retentionMs);
+  }
+
+  /**
+   * @private
+   */
+  broadcast(stream, message) {
+    for (const port of stream.ports) {
+      this.post(stream, port, message);
+    }
+  }
+
+  /**
+   * Post to a port, dropping it if it has disconnected
+   * @private
+   */
+  post(stream, port, message) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      stream.ports.delete(port);
+    }
+  }
+}
+
+// Export the StreamRegistry class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StreamRegistry;
+}
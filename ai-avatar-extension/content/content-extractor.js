@@ -8,6 +8,9 @@ class ContentExtractor {
     this.extractedContent = null;
     this.pageMetadata = null;
     this.isAnalyzing = false;
+    // DOM elements of the extracted blocks, keyed by block ID, for citations
+    this.blockElements = new Map();
+    this.highlightTimer = null;
   }
 
   /**
@@ -28,12 +31,16 @@ class ContentExtractor {
       // Convert to markdown
       const markdownContent = this.convertToMarkdown(mainContent);
       
+      // Keep the individual blocks so the background can index sections
+      const blocks = this.createBlocks(mainContent);
+      
       // Create structured content object
       this.extractedContent = {
         url: window.location.href,
         title: document.title,
         metadata: this.pageMetadata,
         content: markdownContent,
+        blocks,
         wordCount: this.countWords(markdownContent),
         extractedAt: new Date().toISOString(),
         contentType: this.detectContentType()
@@ -154,7 +161,8 @@ class ContentExtractor {
         content.push({
           type: 'heading',
           level: headingLevel,
-          text: element.textContent.trim()
+          text: element.textContent.trim(),
+          element
         });
         break;
         
@@ -163,7 +171,8 @@ class ContentExtractor {
         if (pText.length > 10) {
           content.push({
             type: 'paragraph',
-            text: pText
+            text: pText,
+            element
           });
         }
         break;
@@ -177,7 +186,8 @@ class ContentExtractor {
         if (listItems.length > 0) {
           content.push({
             type: tagName === 'ul' ? 'unordered_list' : 'ordered_list',
-            items: listItems
+            items: listItems,
+            element
           });
         }
         break;
@@ -185,7 +195,8 @@ class ContentExtractor {
       case 'blockquote':
         content.push({
           type: 'quote',
-          text: element.textContent.trim()
+          text: element.textContent.trim(),
+          element
         });
         break;
         
@@ -193,7 +204,8 @@ class ContentExtractor {
       case 'pre':
         content.push({
           type: 'code',
-          text: element.textContent.trim()
+          text: element.textContent.trim(),
+          element
         });
         break;
         
@@ -214,7 +226,8 @@ class ContentExtractor {
           // Add significant text content
           content.push({
             type: 'text',
-            text: element.textContent.trim()
+            text: element.textContent.trim(),
+            element
           });
         }
     }
@@ -263,7 +276,8 @@ class ContentExtractor {
     return {
       type: 'table',
       headers,
-      data
+      data,
+      element: table
     };
   }
 
@@ -272,11 +286,197 @@ class ContentExtractor {
    */
   cleanContent(content) {
     return content
-      .filter(item => item.text && item.text.length > 5)
-      .map(item => ({
+      .filter(item => {
+        // Lists and tables carry their text in items/rows rather than .text
+        if (item.items) return item.items.length > 0;
+        if (item.headers) return item.headers.length > 0;
+        return item.text && item.text.length > 5;
+      })
+      .map(item => item.text ? {
         ...item,
         text: this.cleanText(item.text)
-      }));
+      } : item);
+  }
+
+  /**
+   * Create indexable blocks with stable IDs from structured content.
+   * Elements stay in this content script; blocks carry a selector instead
+   * so they can be sent to the popup and background.
+   */
+  createBlocks(content) {
+    this.blockElements = new Map();
+    
+    return content.map((item, index) => {
+      const id = `b${index}`;
+      this.blockElements.set(id, item.element);
+      
+      return {
+        id,
+        type: item.type,
+        level: item.level || 0,
+        text: item.type === 'heading' ? item.text : this.convertToMarkdown([item]),
+        selector: this.getSelector(item.element)
+      };
+    });
+  }
+
+  /**
+   * Build a CSS selector that finds an element again after re-extraction
+   */
+  getSelector(element) {
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.body) {
+      if (current.id) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      
+      const tagName = current.tagName.toLowerCase();
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tagName}:nth-of-type(${siblings.indexOf(current) + 1})` : tagName);
+      
+      current = current.parentElement;
+    }
+    
+    return parts.join(' > ');
+  }
+
+  /**
+   * Find the element of a block, falling back to its selector when the page
+   * has re-rendered since extraction
+   */
+  findBlockElement(blockId, selector) {
+    const element = this.blockElements.get(blockId);
+    if (element && element.isConnected) {
+      return element;
+    }
+    
+    try {
+      return selector ? document.querySelector(selector) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the blocks of the section a block starts: a heading covers every
+   * block up to the next heading of the same or higher level, any other block
+   * covers the blocks up to the next heading
+   */
+  getSectionBlocks(blockId) {
+    const blocks = this.extractedContent?.blocks || [];
+    const start = blocks.findIndex(block => block.id === blockId);
+    if (start === -1) return [];
+    
+    const first = blocks[start];
+    const section = [first];
+    
+    for (const block of blocks.slice(start + 1)) {
+      if (block.type === 'heading' && (first.type !== 'heading' || block.level <= first.level)) {
+        break;
+      }
+      section.push(block);
+    }
+    
+    return section;
+  }
+
+  /**
+   * Get the elements of the section a block starts
+   */
+  getSectionElements(blockId) {
+    return this.getSectionBlocks(blockId)
+      .map(block => this.findBlockElement(block.id, block.selector))
+      .filter(Boolean);
+  }
+
+  /**
+   * Describe the current selection for a question about it: the selected
+   * text, the block it starts in and the headings of that block's section
+   * @returns {Promise<Object|null>} { text, blockId, headingPath }, or null when nothing is selected
+   */
+  async getSelectionContext() {
+    const selection = window.getSelection();
+    const text = String(selection || '').trim();
+    if (!text) return null;
+    
+    if (!this.extractedContent) {
+      await this.extractPageContent();
+    }
+    
+    const blocks = this.extractedContent?.blocks || [];
+    const anchor = selection.anchorNode;
+    const index = anchor
+      ? blocks.findIndex(block => {
+          const element = this.findBlockElement(block.id, block.selector);
+          return element && element.contains(anchor);
+        })
+      : -1;
+    
+    // Nearest heading of each level above the block, outermost first
+    const headingPath = [];
+    let level = Infinity;
+    for (const block of blocks.slice(0, index + 1).reverse()) {
+      if (block.type === 'heading' && block.level < level) {
+        headingPath.unshift(block.text);
+        level = block.level;
+      }
+    }
+    
+    return { text, blockId: index === -1 ? null : blocks[index].id, headingPath };
+  }
+
+  /**
+   * Scroll to a cited block and briefly highlight its section
+   */
+  highlightBlock(blockId, selector) {
+    let elements = this.getSectionElements(blockId);
+    if (elements.length === 0) {
+      const element = this.findBlockElement(blockId, selector);
+      elements = element ? [element] : [];
+    }
+    
+    if (elements.length === 0) {
+      return false;
+    }
+    
+    this.injectHighlightStyle();
+    
+    document.querySelectorAll('.ai-avatar-citation-highlight')
+      .forEach(element => element.classList.remove('ai-avatar-citation-highlight'));
+    clearTimeout(this.highlightTimer);
+    
+    elements.forEach(element => element.classList.add('ai-avatar-citation-highlight'));
+    elements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    
+    this.highlightTimer = setTimeout(() => {
+      elements.forEach(element => element.classList.remove('ai-avatar-citation-highlight'));
+    }, 3000);
+    
+    return true;
+  }
+
+  /**
+   * Add the citation highlight style to the page once
+   */
+  injectHighlightStyle() {
+    if (document.getElementById('ai-avatar-citation-style')) return;
+    
+    const style = document.createElement('style');
+    style.id = 'ai-avatar-citation-style';
+    style.textContent = `
+      .ai-avatar-citation-highlight {
+        background-color: rgba(102, 126, 234, 0.18) !important;
+        outline: 2px solid rgba(102, 126, 234, 0.6) !important;
+        outline-offset: 2px;
+        transition: background-color 0.3s ease;
+      }
+    `;
+    (document.head || document.documentElement).appendChild(style);
   }
 
   /**
@@ -381,6 +581,8 @@ class ContentExtractor {
 
 // Initialize content extractor
 const contentExtractor = new ContentExtractor();
+// Tools the model calls through the background (page-tools.js loads first)
+const pageTools = new PageTools(contentExtractor);
 
 // Listen for messages from popup/background
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -391,6 +593,37 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     return true; // Keep message channel open for async response
   }
+  
+  if (request.action === 'highlightBlock') {
+    const found = contentExtractor.highlightBlock(request.blockId, request.selector);
+    sendResponse(found
+      ? { success: true }
+      : { success: false, error: 'The cited section is no longer on the page' });
+  }
+  
+  if (request.action === 'getPageUrl') {
+    sendResponse({ success: true, url: window.location.href });
+  }
+  
+  if (request.action === 'getSelection') {
+    sendResponse({ success: true, text: String(window.getSelection() || '') });
+  }
+  
+  if (request.action === 'getSelectionContext') {
+    contentExtractor.getSelectionContext()
+      .then(selection => sendResponse({ success: true, selection }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'runPageTool') {
+    pageTools.run(request.name, request.arguments)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
+  }
 });
 
 // Auto-extract content when page loads
@@ -0,0 +1,282 @@
+/**
+ * AI Avatar Page Tools
+ * Tools the model can call to look at the live page beyond the extracted
+ * content: the selection, elements by CSS selector, tables, links and
+ * sections by heading, and scrolling the page to a section.
+ *
+ * The service worker imports this file for the tool definitions and runs the
+ * tool loop; the tools themselves run here, in the content script, through
+ * the `runPageTool` message.
+ */
+
+class PageTools {
+  /**
+   * @param {ContentExtractor} extractor - The page's content extractor
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+    // Results are sent back to the model, so keep them to a few thousand tokens
+    this.maxResultLength = 6000;
+    this.maxElements = 20;
+    this.maxLinks = 100;
+  }
+
+  /**
+   * Tool definitions: name, description and JSON Schema parameters.
+   * Providers convert them to their own tool format.
+   * @returns {Array<{name: string, description: string, parameters: Object}>}
+   */
+  static getDefinitions() {
+    return [
+      {
+        name: 'getSelection',
+        description: 'Get the text the user has selected on the page.',
+        parameters: { type: 'object', properties: {} }
+      },
+      {
+        name: 'querySelectorText',
+        description: 'Get the text of the page elements matching a CSS selector (up to 20 elements).',
+        parameters: {
+          type: 'object',
+          properties: {
+            selector: { type: 'string', description: 'CSS selector, e.g. "main h2" or ".price"' }
+          },
+          required: ['selector']
+        }
+      },
+      {
+        name: 'getTable',
+        description: 'Get a table on the page as Markdown, with the number of tables on the page.',
+        parameters: {
+          type: 'object',
+          properties: {
+            n: { type: 'integer', description: 'Table number, counting from 1 in page order' }
+          },
+          required: ['n']
+        }
+      },
+      {
+        name: 'listLinks',
+        description: 'List the links on the page (up to 100), optionally only those whose text or URL contains a string.',
+        parameters: {
+          type: 'object',
+          properties: {
+            contains: { type: 'string', description: 'Only links whose text or URL contains this, case-insensitive' }
+          }
+        }
+      },
+      {
+        name: 'getSectionByHeading',
+        description: 'Get the full text of a page section by its heading, up to the next heading of the same or a higher level.',
+        parameters: {
+          type: 'object',
+          properties: {
+            heading: { type: 'string', description: 'Heading text, or part of it' }
+          },
+          required: ['heading']
+        }
+      },
+      {
+        name: 'scrollTo',
+        description: 'Scroll the page to a section heading or an element and highlight it, to show the user where something is.',
+        parameters: {
+          type: 'object',
+          properties: {
+            heading: { type: 'string', description: 'Heading text, or part of it' },
+            selector: { type: 'string', description: 'CSS selector, used when no heading is given' }
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Short description of a tool call for the user, e.g. 'Looking at section "Pricing"'
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {string}
+   */
+  static describe(name, args = {}) {
+    switch (name) {
+      case 'getSelection':
+        return 'Reading your selection';
+      case 'querySelectorText':
+        return `Looking at "${args.selector}"`;
+      case 'getTable':
+        return `Looking at table ${args.n}`;
+      case 'listLinks':
+        return args.contains ? `Looking at links about "${args.contains}"` : 'Looking at the links on the page';
+      case 'getSectionByHeading':
+        return `Looking at section "${args.heading}"`;
+      case 'scrollTo':
+        return `Scrolling to "${args.heading || args.selector}"`;
+      default:
+        return `Using ${name}`;
+    }
+  }
+
+  /**
+   * Run a tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<string>} Result text for the model
+   * @throws {Error} If the tool does not exist or cannot answer
+   */
+  async run(name, args = {}) {
+    // Sections come from the extracted blocks
+    if (!this.extractor.extractedContent) {
+      await this.extractor.extractPageContent();
+    }
+
+    let result;
+    switch (name) {
+      case 'getSelection':
+        result = String(window.getSelection() || '').trim() || 'Nothing is selected on the page.';
+        break;
+      case 'querySelectorText':
+        result = this.querySelectorText(args.selector);
+        break;
+      case 'getTable':
+        result = this.getTable(Number(args.n));
+        break;
+      case 'listLinks':
+        result = this.listLinks(args.contains);
+        break;
+      case 'getSectionByHeading':
+        result = this.getSectionByHeading(args.heading);
+        break;
+      case 'scrollTo':
+        result = this.scrollTo(args);
+        break;
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+
+    return result.length > this.maxResultLength
+      ? `${result.slice(0, this.maxResultLength)}\n[truncated]`
+      : result;
+  }
+
+  /**
+   * @private
+   */
+  querySelectorText(selector) {
+    const elements = this.querySelectorAll(selector).slice(0, this.maxElements);
+    if (elements.length === 0) {
+      return `No elements match "${selector}".`;
+    }
+
+    return elements
+      .map((element, index) => `${index + 1}. ${this.extractor.cleanText(element.innerText || element.textContent || '')}`)
+      .join('\n');
+  }
+
+  /**
+   * @private
+   */
+  getTable(n) {
+    const tables = Array.from(document.querySelectorAll('table'));
+    if (!Number.isInteger(n) || n < 1 || n > tables.length) {
+      throw new Error(tables.length === 0
+        ? 'There are no tables on the page'
+        : `Table ${n} does not exist; the page has ${tables.length} table${tables.length === 1 ? '' : 's'}`);
+    }
+
+    const table = tables[n - 1];
+    const data = this.extractor.extractTableData(table);
+    const caption = table.caption ? this.extractor.cleanText(table.caption.textContent) : '';
+
+    return [
+      `Table ${n} of ${tables.length}${caption ? `: ${caption}` : ''}`,
+      data ? this.extractor.convertToMarkdown([data]) : '(empty table)'
+    ].join('\n\n');
+  }
+
+  /**
+   * @private
+   */
+  listLinks(contains = '') {
+    const filter = String(contains).toLowerCase();
+    const links = new Map();
+
+    for (const anchor of document.querySelectorAll('a[href]')) {
+      const text = this.extractor.cleanText(anchor.textContent || '') || anchor.title || '';
+      if (links.has(anchor.href) || !/^https?:/.test(anchor.href)) continue;
+      if (filter && !`${text} ${anchor.href}`.toLowerCase().includes(filter)) continue;
+
+      links.set(anchor.href, text);
+      if (links.size >= this.maxLinks) break;
+    }
+
+    if (links.size === 0) {
+      return filter ? `No links match "${contains}".` : 'There are no links on the page.';
+    }
+
+    return Array.from(links, ([href, text]) => `- [${text || href}](${href})`).join('\n');
+  }
+
+  /**
+   * @private
+   */
+  getSectionByHeading(heading) {
+    const block = this.findHeading(heading);
+    return this.extractor.getSectionBlocks(block.id)
+      .map(section => section.type === 'heading' ? `${'#'.repeat(section.level)} ${section.text}` : section.text)
+      .join('\n\n');
+  }
+
+  /**
+   * @private
+   */
+  scrollTo({ heading, selector }) {
+    if (heading) {
+      const block = this.findHeading(heading);
+      if (!this.extractor.highlightBlock(block.id, block.selector)) {
+        throw new Error(`Section "${block.text}" is no longer on the page`);
+      }
+      return `Scrolled to section "${block.text}".`;
+    }
+
+    const element = this.querySelectorAll(selector)[0];
+    if (!element) {
+      throw new Error(`No element matches "${selector}"`);
+    }
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return `Scrolled to "${selector}".`;
+  }
+
+  /**
+   * Find a heading block by its text: an exact match first, then a partial one
+   * @private
+   */
+  findHeading(heading) {
+    const wanted = String(heading || '').trim().toLowerCase();
+    const headings = (this.extractor.extractedContent?.blocks || []).filter(block => block.type === 'heading');
+
+    const block = wanted && (
+      headings.find(item => item.text.toLowerCase() === wanted) ||
+      headings.find(item => item.text.toLowerCase().includes(wanted))
+    );
+    if (!block) {
+      const available = headings.slice(0, 30).map(item => `"${item.text}"`).join(', ');
+      throw new Error(`No section heading matches "${heading}"${available ? `. Headings: ${available}` : ''}`);
+    }
+
+    return block;
+  }
+
+  /**
+   * @private
+   */
+  querySelectorAll(selector) {
+    if (!selector) {
+      throw new Error('A selector is required');
+    }
+
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch (error) {
+      throw new Error(`Invalid selector "${selector}"`);
+    }
+  }
+}
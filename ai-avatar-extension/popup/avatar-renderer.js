@@ -51,6 +51,16 @@ class AvatarRenderer {
       expressiveness: 0.7
     };
     
+    // Resting traits for each avatar personality setting; the avatar returns
+    // to these when it goes idle
+    this.personalityProfiles = {
+      helpful: { mood: 'neutral', energy: 0.5, engagement: 0.5, confidence: 0.8, expressiveness: 0.7 },
+      casual: { mood: 'friendly', energy: 0.6, engagement: 0.6, confidence: 0.7, expressiveness: 0.8 },
+      academic: { mood: 'contemplative', energy: 0.4, engagement: 0.7, confidence: 0.9, expressiveness: 0.4 },
+      creative: { mood: 'happy', energy: 0.8, engagement: 0.7, confidence: 0.7, expressiveness: 1.0 }
+    };
+    this.basePersonality = { ...this.personalityProfiles.helpful };
+    
     // Performance monitoring
     this.performanceMetrics = {
       renderTime: 0,
@@ -320,6 +330,7 @@ class AvatarRenderer {
    */
   startIdleAnimation() {
     this.currentAnimation = 'idle';
+    this.updatePersonality({ ...this.basePersonality });
     
     const breathingAnimation = () => {
       if (this.currentAnimation !== 'idle' || !this.avatar) return;
@@ -838,7 +849,10 @@ class AvatarRenderer {
    */
   handleCardLeave(event) {
     this.isHovered = false;
-    this.updatePersonality({ energy: 0.5, engagement: 0.6 });
+    this.updatePersonality({
+      energy: this.basePersonality.energy,
+      engagement: this.basePersonality.engagement
+    });
     
     if (this.currentAnimation === 'hover') {
       this.startIdleAnimation();
@@ -859,7 +873,10 @@ class AvatarRenderer {
    */
   handleCardBlur(event) {
     this.isFocused = false;
-    this.updatePersonality({ engagement: 0.6, confidence: 0.8 });
+    this.updatePersonality({
+      engagement: this.basePersonality.engagement,
+      confidence: this.basePersonality.confidence
+    });
   }
 
   /**
@@ -884,7 +901,10 @@ class AvatarRenderer {
         this.createFloatingAvatar();
       }
       
-      this.updatePersonality({ mood: 'neutral', energy: 0.5 });
+      this.updatePersonality({
+        mood: this.basePersonality.mood,
+        energy: this.basePersonality.energy
+      });
     }
   }
 
@@ -1030,6 +1050,15 @@ class AvatarRenderer {
     }));
   }
 
+  /**
+   * Match the avatar's resting traits to the avatar personality setting
+   * @param {string} profileId - 'helpful', 'casual', 'academic' or 'creative'
+   */
+  setPersonalityProfile(profileId) {
+    this.basePersonality = { ...(this.personalityProfiles[profileId] || this.personalityProfiles.helpful) };
+    this.updatePersonality({ ...this.basePersonality });
+  }
+
   /**
    * Get mood-based eyebrow offset
    */
@@ -1267,6 +1296,7 @@ class AvatarRenderer {
       performanceMode: 'low',
       targetFPS: 30
     });
+    this.floatingAvatar.basePersonality = { ...this.basePersonality };
     
     // Click to restore card
     floatingContainer.addEventListener('click', () => {
@@ -0,0 +1,624 @@
+/**
+ * AI Avatar Markdown Renderer
+ * Renders model output as DOM nodes without ever parsing it as HTML.
+ * Supports headings, paragraphs, lists, blockquotes, tables, links, fenced
+ * code with syntax highlighting and copy buttons, [§id] page citations and
+ * [S1] source tags of multi-source answers.
+ */
+
+class MarkdownRenderer {
+  constructor(options = {}) {
+    // Called with a block ID for [§id] citations; returns an element or null
+    this.renderCitation = options.renderCitation || null;
+    // Called with a tag ("S1") for source tags; returns an element or null
+    this.renderSource = options.renderSource || null;
+
+    this.languageAliases = {
+      js: 'javascript',
+      jsx: 'javascript',
+      mjs: 'javascript',
+      ts: 'typescript',
+      tsx: 'typescript',
+      py: 'python',
+      sh: 'bash',
+      shell: 'bash',
+      zsh: 'bash',
+      console: 'bash',
+      yml: 'yaml',
+      html: 'markup',
+      xml: 'markup',
+      svg: 'markup',
+      'c++': 'cpp',
+      cs: 'csharp',
+      rs: 'rust',
+      golang: 'go'
+    };
+
+    const cKeywords = 'break case const continue default do else enum for if return sizeof static struct switch typedef union void while';
+    const javascriptKeywords = 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield';
+
+    this.languages = {
+      javascript: { lineComment: '//', blockComment: true, keywords: javascriptKeywords },
+      typescript: { lineComment: '//', blockComment: true, keywords: `${javascriptKeywords} abstract as declare enum implements interface keyof namespace private protected public readonly type` },
+      python: { lineComment: '#', keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield' },
+      bash: { lineComment: '#', keywords: 'case cd do done echo elif else esac exit export fi for function if in local return set then unset until while' },
+      json: { keywords: 'true false null' },
+      yaml: { lineComment: '#', keywords: 'true false null yes no' },
+      css: { blockComment: true, keywords: 'important inherit initial none auto' },
+      sql: { lineComment: '--', blockComment: true, caseInsensitive: true, keywords: 'add alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary right select set table then union update values when where with' },
+      c: { lineComment: '//', blockComment: true, keywords: `${cKeywords} char double float int long short signed unsigned` },
+      cpp: { lineComment: '//', blockComment: true, keywords: `${cKeywords} auto bool catch char class delete double false float int long namespace new nullptr private protected public template this throw true try using virtual` },
+      csharp: { lineComment: '//', blockComment: true, keywords: 'abstract async await bool break case catch class const continue default do double else enum false finally float for foreach if int interface internal is namespace new null out override private protected public readonly return static string struct switch this throw true try using var virtual void while' },
+      java: { lineComment: '//', blockComment: true, keywords: 'abstract boolean break case catch char class const continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try void while' },
+      go: { lineComment: '//', blockComment: true, keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var' },
+      rust: { lineComment: '//', blockComment: true, keywords: 'as async await break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while' },
+      markup: { markup: true }
+    };
+
+    // Inline syntax, in priority order: code spans, citations, source tags,
+    // links, autolinks, bare URLs, bold, strikethrough, italic
+    this.inlinePattern = /(`+)([\s\S]*?[^`])\1(?!`)|\[§(b\d+)\]|\[(S\d{1,2})\](?!\()|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|<(https?:\/\/[^>\s]+)>|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*(?![\s*])(.+?)\*|(?<![\w])_(?![\s_])(.+?)_(?![\w])/g;
+  }
+
+  /**
+   * Render markdown into a document fragment
+   */
+  render(markdown) {
+    const fragment = document.createDocumentFragment();
+    for (const block of this.parseBlocks(markdown)) {
+      fragment.appendChild(this.renderBlock(block));
+    }
+    return fragment;
+  }
+
+  /**
+   * Replace a container's children with rendered markdown
+   */
+  renderInto(container, markdown) {
+    container.replaceChildren(this.render(markdown));
+  }
+
+  /**
+   * Split markdown into block descriptors. Each block keeps its source in `raw`.
+   */
+  parseBlocks(markdown) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      if (!lines[i].trim()) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      const parsed = this.parseBlock(lines, i);
+      parsed.block.raw = lines.slice(start, parsed.next).join('\n');
+      blocks.push(parsed.block);
+      i = parsed.next;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Parse the block starting at line i
+   * @returns {{block: Object, next: number}}
+   */
+  parseBlock(lines, i) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/);
+    if (fence) {
+      return this.parseCodeBlock(lines, i, fence[1], fence[2]);
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      return { block: { type: 'heading', level: heading[1].length, text: heading[2] }, next: i + 1 };
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      return { block: { type: 'rule' }, next: i + 1 };
+    }
+
+    if (this.isTableStart(lines, i)) {
+      return this.parseTable(lines, i);
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i++;
+      }
+      return { block: { type: 'quote', children: this.parseBlocks(quoted.join('\n')) }, next: i };
+    }
+
+    if (this.matchListItem(line)) {
+      return this.parseList(lines, i);
+    }
+
+    // Paragraph: consecutive lines up to a blank line or another block
+    const text = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !this.isBlockStart(lines, i)) {
+      text.push(lines[i].trim());
+      i++;
+    }
+    return { block: { type: 'paragraph', text: text.join('\n') }, next: i };
+  }
+
+  /**
+   * Parse a fenced code block. An unterminated fence runs to the end of the
+   * text and is marked open.
+   */
+  parseCodeBlock(lines, i, marker, language) {
+    const code = [];
+    let closed = false;
+    i++;
+
+    while (i < lines.length) {
+      const trimmed = lines[i].trim();
+      if (trimmed.startsWith(marker[0].repeat(marker.length)) && /^[`~]+$/.test(trimmed)) {
+        closed = true;
+        i++;
+        break;
+      }
+      code.push(lines[i]);
+      i++;
+    }
+
+    return {
+      block: { type: 'code', language: language.toLowerCase(), code: code.join('\n'), closed },
+      next: i
+    };
+  }
+
+  /**
+   * Match a list item line
+   * @returns {{indent: number, ordered: boolean, number: number, text: string}|null}
+   */
+  matchListItem(line) {
+    const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+    if (!match) return null;
+
+    const ordered = /\d/.test(match[2]);
+    return {
+      indent: match[1].length,
+      ordered,
+      number: ordered ? parseInt(match[2], 10) : null,
+      text: match[3]
+    };
+  }
+
+  /**
+   * Parse a list. Lines indented past the marker belong to the current item
+   * and are parsed as nested blocks.
+   */
+  parseList(lines, i) {
+    const first = this.matchListItem(lines[i]);
+    const items = [];
+    let current = null;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const item = this.matchListItem(line);
+      const indent = line.match(/^\s*/)[0].length;
+
+      if (item && item.indent <= first.indent) {
+        if (item.ordered !== first.ordered) break;
+        current = [item.text];
+        items.push(current);
+        i++;
+        continue;
+      }
+
+      if (!line.trim()) {
+        // A blank line continues the list only if an item or indented line follows
+        const next = lines[i + 1];
+        const nextIndent = next ? next.match(/^\s*/)[0].length : 0;
+        const nextItem = next && this.matchListItem(next);
+        if (next && next.trim() && (nextIndent > first.indent || (nextItem && nextItem.ordered === first.ordered))) {
+          current.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+
+      if (indent > first.indent) {
+        current.push(line.slice(Math.min(indent, first.indent + 2)));
+        i++;
+        continue;
+      }
+
+      // Lazy continuation of the item's paragraph
+      if (!this.isBlockStart(lines, i)) {
+        current.push(line.trim());
+        i++;
+        continue;
+      }
+
+      break;
+    }
+
+    return {
+      block: { type: 'list', ordered: first.ordered, start: first.number, items },
+      next: i
+    };
+  }
+
+  /**
+   * Check whether line i starts a table (a row followed by a delimiter row)
+   */
+  isTableStart(lines, i) {
+    return lines[i].includes('|') &&
+      i + 1 < lines.length &&
+      /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) &&
+      lines[i + 1].includes('-');
+  }
+
+  /**
+   * Parse a GitHub-style table
+   */
+  parseTable(lines, i) {
+    const header = this.splitTableRow(lines[i]);
+    const align = this.splitTableRow(lines[i + 1]).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+    });
+    const rows = [];
+    i += 2;
+
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+      rows.push(this.splitTableRow(lines[i]));
+      i++;
+    }
+
+    return { block: { type: 'table', header, align, rows }, next: i };
+  }
+
+  /**
+   * Split a table row into trimmed cells, honoring escaped pipes
+   */
+  splitTableRow(line) {
+    const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  /**
+   * Check whether line i starts a block other than a paragraph
+   */
+  isBlockStart(lines, i) {
+    const line = lines[i];
+    return /^\s*(`{3,}|~{3,})/.test(line) ||
+      /^\s{0,3}#{1,6}\s/.test(line) ||
+      /^\s{0,3}>/.test(line) ||
+      /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+      !!this.matchListItem(line) ||
+      this.isTableStart(lines, i);
+  }
+
+  /**
+   * Render one block descriptor to an element
+   */
+  renderBlock(block) {
+    switch (block.type) {
+      case 'heading': {
+        // Keep headings inside a chat bubble small: # renders as h3
+        const element = document.createElement(`h${Math.min(block.level + 2, 6)}`);
+        this.renderInline(block.text, element);
+        return element;
+      }
+
+      case 'rule':
+        return document.createElement('hr');
+
+      case 'quote': {
+        const element = document.createElement('blockquote');
+        block.children.forEach(child => element.appendChild(this.renderBlock(child)));
+        return element;
+      }
+
+      case 'list':
+        return this.renderList(block);
+
+      case 'table':
+        return this.renderTable(block);
+
+      case 'code':
+        return this.renderCodeBlock(block);
+
+      default: {
+        const element = document.createElement('p');
+        this.renderInline(block.text, element);
+        return element;
+      }
+    }
+  }
+
+  /**
+   * Render a list; multi-line items are rendered as nested blocks
+   */
+  renderList(block) {
+    const list = document.createElement(block.ordered ? 'ol' : 'ul');
+    if (block.ordered && block.start !== 1) {
+      list.start = block.start;
+    }
+
+    for (const itemLines of block.items) {
+      const item = document.createElement('li');
+      const children = this.parseBlocks(itemLines.join('\n'));
+
+      children.forEach((child, index) => {
+        // Render a leading paragraph inline to keep tight lists compact
+        if (index === 0 && child.type === 'paragraph') {
+          this.renderInline(child.text, item);
+        } else {
+          item.appendChild(this.renderBlock(child));
+        }
+      });
+
+      list.appendChild(item);
+    }
+
+    return list;
+  }
+
+  /**
+   * Render a table inside a horizontally scrollable wrapper
+   */
+  renderTable(block) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-wrapper';
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+
+    block.header.forEach((cell, index) => {
+      const th = document.createElement('th');
+      if (block.align[index]) th.style.textAlign = block.align[index];
+      this.renderInline(cell, th);
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    block.rows.forEach(row => {
+      const tr = document.createElement('tr');
+      block.header.forEach((_, index) => {
+        const td = document.createElement('td');
+        if (block.align[index]) td.style.textAlign = block.align[index];
+        this.renderInline(row[index] || '', td);
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  /**
+   * Render a fenced code block with a language label and copy button
+   */
+  renderCodeBlock(block) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'code-block';
+
+    const header = document.createElement('div');
+    header.className = 'code-header';
+
+    const label = document.createElement('span');
+    label.className = 'code-language';
+    label.textContent = block.language || 'text';
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'code-copy';
+    copyButton.textContent = 'Copy';
+    copyButton.setAttribute('aria-label', 'Copy code to clipboard');
+    copyButton.addEventListener('click', () => this.copyCode(block.code, copyButton));
+
+    header.append(label, copyButton);
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    const language = this.resolveLanguage(block.language);
+    if (language) code.className = `language-${language}`;
+    code.appendChild(this.highlight(block.code, language));
+    pre.appendChild(code);
+
+    wrapper.append(header, pre);
+    return wrapper;
+  }
+
+  /**
+   * Copy code to the clipboard and confirm on the button
+   */
+  async copyCode(code, button) {
+    try {
+      await navigator.clipboard.writeText(code);
+      button.textContent = 'Copied';
+    } catch (error) {
+      console.error('Copy failed:', error);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, 1500);
+  }
+
+  /**
+   * Render inline markdown into a parent element
+   */
+  renderInline(text, parent) {
+    const pattern = new RegExp(this.inlinePattern.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      this.appendText(parent, text.slice(lastIndex, match.index));
+      lastIndex = pattern.lastIndex;
+
+      const [whole, , code, citation, source, linkText, href, autolink, bareUrl, bold, boldAlt, strike, italic, italicAlt] = match;
+
+      if (code !== undefined) {
+        const element = document.createElement('code');
+        element.textContent = code.trim();
+        parent.appendChild(element);
+      } else if (citation) {
+        const chip = this.renderCitation ? this.renderCitation(citation) : null;
+        parent.appendChild(chip || document.createTextNode(whole));
+      } else if (source) {
+        const chip = this.renderSource ? this.renderSource(source) : null;
+        parent.appendChild(chip || document.createTextNode(whole));
+      } else if (linkText !== undefined) {
+        this.appendLink(parent, href, linkText, true);
+      } else if (autolink || bareUrl) {
+        this.appendLink(parent, autolink || bareUrl, autolink || bareUrl, false);
+      } else {
+        const tag = bold || boldAlt ? 'strong' : strike ? 'del' : 'em';
+        const element = document.createElement(tag);
+        this.renderInline(bold || boldAlt || strike || italic || italicAlt, element);
+        parent.appendChild(element);
+      }
+    }
+
+    this.appendText(parent, text.slice(lastIndex));
+  }
+
+  /**
+   * Append text, turning newlines into line breaks
+   */
+  appendText(parent, text) {
+    text.split('\n').forEach((part, index) => {
+      if (index > 0) parent.appendChild(document.createElement('br'));
+      if (part) parent.appendChild(document.createTextNode(part));
+    });
+  }
+
+  /**
+   * Append a link if its URL is safe, otherwise its text
+   */
+  appendLink(parent, href, label, parseLabel) {
+    if (!this.isSafeUrl(href)) {
+      this.appendText(parent, label);
+      return;
+    }
+
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    if (parseLabel) {
+      this.renderInline(label, link);
+    } else {
+      link.textContent = label;
+    }
+    parent.appendChild(link);
+  }
+
+  /**
+   * Only absolute http(s) and mailto links are rendered
+   */
+  isSafeUrl(href) {
+    try {
+      return ['http:', 'https:', 'mailto:'].includes(new URL(href).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Map a fence language name to a known language
+   */
+  resolveLanguage(language) {
+    const name = this.languageAliases[language] || language;
+    return this.languages[name] ? name : null;
+  }
+
+  /**
+   * Highlight code into a fragment of text nodes and token spans
+   */
+  highlight(code, language) {
+    const fragment = document.createDocumentFragment();
+    const config = language && this.languages[language];
+
+    if (!config) {
+      fragment.appendChild(document.createTextNode(code));
+      return fragment;
+    }
+
+    const pattern = this.getTokenPattern(config);
+    const keywords = new Set((config.keywords || '').split(' ').filter(Boolean)
+      .map(word => config.caseInsensitive ? word.toLowerCase() : word));
+    let lastIndex = 0;
+    let match;
+
+    const appendToken = (text, className) => {
+      if (!className) {
+        fragment.appendChild(document.createTextNode(text));
+        return;
+      }
+      const span = document.createElement('span');
+      span.className = `tok-${className}`;
+      span.textContent = text;
+      fragment.appendChild(span);
+    };
+
+    while ((match = pattern.exec(code)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      appendToken(code.slice(lastIndex, match.index));
+      lastIndex = pattern.lastIndex;
+
+      const [token, comment, string, tag, number, word] = match;
+      if (comment) {
+        appendToken(token, 'comment');
+      } else if (string) {
+        appendToken(token, 'string');
+      } else if (tag) {
+        appendToken(token, 'tag');
+      } else if (number) {
+        appendToken(token, 'number');
+      } else if (word && keywords.has(config.caseInsensitive ? word.toLowerCase() : word)) {
+        appendToken(token, 'keyword');
+      } else {
+        appendToken(token);
+      }
+    }
+
+    appendToken(code.slice(lastIndex));
+    return fragment;
+  }
+
+  /**
+   * Build the tokenizer for a language: comments, strings, tags, numbers, words
+   */
+  getTokenPattern(config) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const comments = [];
+    if (config.lineComment) comments.push(`${escape(config.lineComment)}.*`);
+    if (config.blockComment) comments.push('\\/\\*[\\s\\S]*?(?:\\*\\/|$)');
+    if (config.markup) comments.push('<!--[\\s\\S]*?(?:-->|$)');
+
+    const parts = [
+      comments.length > 0 ? `(${comments.join('|')})` : '(\\b\\B)',
+      '("(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\.)*`?)',
+      config.markup ? '(<\\/?[A-Za-z][\\w:-]*|\\/?>)' : '(\\b\\B)',
+      '(\\b\\d+(?:\\.\\d+)?\\b)',
+      '([A-Za-z_$][\\w$]*)'
+    ];
+
+    return new RegExp(parts.join('|'), 'g');
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * AI Avatar Masonry Quick Actions
+ * Shows the user's quick actions as tiles in the masonry view and runs them
+ * by click or Alt+number, with the same templates as the popup.
+ */
+
+class MasonryQuickActions {
+  constructor() {
+    this.promptTemplates = new PromptTemplates();
+    this.grid = document.getElementById('quickActionTiles');
+  }
+
+  /**
+   * Load the templates, show them and follow changes made in other views
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.grid.addEventListener('click', (e) => {
+      const tile = e.target.closest('.action-tile');
+      if (tile) {
+        this.run(tile.dataset.templateId);
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!e.altKey || ['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName)) return;
+
+      const template = this.promptTemplates.findByShortcut(e.key);
+      if (template) {
+        e.preventDefault();
+        this.run(template.id);
+      }
+    });
+
+    await this.promptTemplates.load();
+    this.render();
+    this.promptTemplates.onChange(() => this.render());
+  }
+
+  /**
+   * Replace the tiles with the current templates
+   */
+  render() {
+    this.grid.innerHTML = '';
+
+    this.promptTemplates.getAll().forEach(template => {
+      const tile = document.createElement('button');
+      tile.type = 'button';
+      tile.className = 'action-tile';
+      tile.dataset.templateId = template.id;
+      tile.title = template.shortcut ? `${template.prompt} (Alt+${template.shortcut})` : template.prompt;
+
+      const icon = document.createElement('span');
+      icon.className = 'action-icon';
+      icon.textContent = template.icon || '⚡';
+
+      tile.append(icon, template.name);
+      this.grid.appendChild(tile);
+    });
+  }
+
+  /**
+   * Fill a template for the page and add it to the conversation
+   * @param {string} templateId - Template ID
+   */
+  async run(templateId) {
+    const template = this.promptTemplates.get(templateId);
+    if (!template) return;
+
+    try {
+      const message = await this.promptTemplates.fill(template, await this.getPageTab());
+      this.addMessage('user', message);
+
+      // Simulate AI response
+      setTimeout(() => {
+        this.addMessage('ai', `I'll help you with that. Working on "${template.name}" for you...`);
+      }, 1000);
+    } catch (error) {
+      console.error('Quick action failed:', error);
+    }
+  }
+
+  /**
+   * The active tab of the last focused browser window; this view opens in
+   * a window of its own
+   * @private
+   */
+  async getPageTab() {
+    const browserWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    const [tab] = await chrome.tabs.query({ active: true, windowId: browserWindow.id });
+    return tab;
+  }
+
+  /**
+   * Add a message to the conversation. Prompts can hold page text, so they
+   * are only ever set as text.
+   * @private
+   */
+  addMessage(type, content) {
+    const history = document.getElementById('conversationHistory');
+
+    const message = document.createElement('div');
+    message.className = `message ${type}`;
+
+    const avatar = document.createElement('div');
+    avatar.className = 'message-avatar';
+    avatar.textContent = type === 'ai' ? '🤖' : '👤';
+
+    const text = document.createElement('div');
+    text.className = 'message-content';
+    text.textContent = content;
+
+    message.append(avatar, text);
+    history.appendChild(message);
+    history.scrollTop = history.scrollHeight;
+  }
+}
+
+// Initialize quick actions when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new MasonryQuickActions().init()
+    .catch(error => console.error('Failed to load quick actions:', error));
+});
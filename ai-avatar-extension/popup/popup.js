@@ -7,6 +7,14 @@ class PopupController {
   constructor() {
     this.avatar = null;
     this.currentPageContent = null;
+    this.currentTabId = null;
+    this.currentTabUrl = null;
+    // Tab named in the URL by a window opened for it, e.g. from the selection menu
+    this.pageTabId = Number(new URLSearchParams(location.search).get('tabId')) || null;
+    // Side panel: the tab being switched to, and the switch in progress
+    this.followedTabId = null;
+    this.tabSwitch = Promise.resolve();
+    this.historySearchTimer = null;
     this.isAnalyzing = false;
     this.isConversing = false;
     this.settings = {};
@@ -14,7 +22,27 @@ class PopupController {
     // Streaming state
     this.currentStreamId = null;
     this.currentStreamMessage = null;
+    this.currentStreamText = '';
+    this.streamRenderer = null;
+    this.streamPort = null;
+    this.resolveStream = null;
     this.abortController = null;
+    this.editingMessageId = null;
+    this.pageVersion = null; // Page version of the last message shown
+    this.promptTemplates = new PromptTemplates();
+    this.editingTemplateId = null;
+    this.slashCommands = new SlashCommands();
+    this.commandSuggestions = [];
+    this.commandSuggestionIndex = -1;
+    // Tabs asked across in multi-source mode ({ tabId, title, url, tag }), or null
+    this.sources = null;
+    // Matches MAX_SOURCES in the service worker
+    this.maxSources = 6;
+    
+    this.markdownRenderer = new MarkdownRenderer({
+      renderCitation: (blockId) => this.createCitationChip(blockId),
+      renderSource: (tag) => this.createSourceChip(tag)
+    });
     
     this.init();
   }
@@ -43,24 +71,50 @@ class PopupController {
   }
 
   /**
-   * Validate API key format
+   * Validate API key format for a provider
    */
-  validateApiKey(apiKey) {
-    const trimmed = this.validateString(apiKey, 100, 10);
+  validateApiKey(apiKey, provider = 'openai') {
+    const trimmed = this.validateString(apiKey, 200, provider === 'local' ? 1 : 10);
+    
+    // Local servers accept whatever token they were configured with
+    if (provider === 'local') {
+      return trimmed;
+    }
     
-    // Check if it starts with sk- (OpenAI format)
-    if (!trimmed.startsWith('sk-')) {
-      throw new Error('API key must start with "sk-"');
+    // Anthropic keys start with sk-ant-, OpenAI keys with sk-
+    const prefix = provider === 'anthropic' ? 'sk-ant-' : 'sk-';
+    if (!trimmed.startsWith(prefix)) {
+      throw new Error(`API key must start with "${prefix}"`);
     }
     
-    // Check for valid characters (alphanumeric and hyphens)
-    if (!/^sk-[a-zA-Z0-9-]+$/.test(trimmed)) {
+    // Check for valid characters (alphanumeric, hyphens and underscores)
+    if (!/^sk-[a-zA-Z0-9_-]+$/.test(trimmed)) {
       throw new Error('API key contains invalid characters');
     }
     
     return trimmed;
   }
 
+  /**
+   * Validate a local server base URL
+   */
+  validateBaseUrl(baseUrl) {
+    const trimmed = this.validateString(baseUrl, 200, 8);
+    
+    let url;
+    try {
+      url = new URL(trimmed);
+    } catch (error) {
+      throw new Error('Server URL is not a valid URL');
+    }
+    
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Server URL must start with http:// or https://');
+    }
+    
+    return trimmed;
+  }
+
   /**
    * Initialize the popup
    */
@@ -116,6 +170,19 @@ class PopupController {
     // Load settings
     await this.loadSettings();
     
+    // Identify the tab this popup's conversation is about
+    await this.loadActiveTab();
+    
+    // Populate the per-conversation model picker
+    await this.loadModels();
+    
+    // Slash commands typed in the message input
+    this.registerSlashCommands();
+    
+    // Show the user's quick actions, and follow changes made in other views
+    await this.loadQuickActions();
+    this.promptTemplates.onChange(() => this.refreshQuickActions());
+    
     // Setup event listeners
     this.setupEventListeners();
     
@@ -129,6 +196,128 @@ class PopupController {
     
     // Show welcome state
     this.updateStatus('Ready');
+    
+    // Ask the question chosen in the selection context menu, now and
+    // whenever one is chosen while this view stays open
+    await this.askPendingSelection();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.pendingSelectionQuestion?.newValue) {
+        this.askPendingSelection();
+      }
+    });
+    
+    // The side panel stays open across tabs, so it follows the active one
+    if (this.windowManager?.isSidePanel()) {
+      await this.followActiveTab();
+    }
+  }
+
+  /**
+   * Show the active tab's page and conversation whenever the user switches
+   * tabs in this window or the tab loads another page
+   */
+  async followActiveTab() {
+    const { id: windowId } = await chrome.windows.getCurrent();
+    
+    chrome.tabs.onActivated.addListener((activeInfo) => {
+      if (activeInfo.windowId === windowId && activeInfo.tabId !== this.currentTabId) {
+        this.switchToTab(activeInfo.tabId);
+      }
+    });
+    
+    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      if (tabId !== this.currentTabId || changeInfo.status !== 'complete') return;
+      
+      // The content script may only load just after the tab completes
+      let url = await this.getTabUrl(tab);
+      if (!url) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        url = await this.getTabUrl(tab);
+      }
+      
+      // A page whose URL cannot be seen is not taken for another page
+      if (url && tabId === this.currentTabId &&
+          !this.isSamePage(url, this.currentPageContent?.url || this.currentTabUrl)) {
+        this.switchToTab(tabId);
+      }
+    });
+  }
+
+  /**
+   * Switch to another tab's page and conversation. Quick successive
+   * switches only show the last tab.
+   * @param {number} tabId - Tab to show
+   * @returns {Promise<void>}
+   */
+  switchToTab(tabId) {
+    this.followedTabId = tabId;
+    this.tabSwitch = this.tabSwitch
+      .then(() => {
+        if (tabId === this.followedTabId) {
+          return this.showTab(tabId);
+        }
+      })
+      .catch(error => console.error('Failed to switch tabs:', error));
+    return this.tabSwitch;
+  }
+
+  /**
+   * Replace the page and conversation shown with the tab's. A reply still
+   * streaming for the previous tab keeps going, and is shown again when
+   * that tab is back.
+   * @private
+   */
+  async showTab(tabId) {
+    this.detachStream();
+    this.hideSources();
+    this.setSources(null);
+    this.currentTabId = tabId;
+    this.currentTabUrl = null;
+    this.currentPageContent = null;
+    this.pageVersion = null;
+    this.renderWelcomeMessage();
+    this.updateWordCount(0);
+    
+    if (this.settings.autoAnalyze) {
+      await this.analyzeCurrentPage();
+      return;
+    }
+    
+    await this.loadActiveTab();
+    const summaryContent = document.getElementById('summaryContent');
+    summaryContent.innerHTML = '<div class="loading-state"><span>Refresh to analyze this page</span></div>';
+    await this.showPageConversation(this.currentTabUrl);
+  }
+
+  /**
+   * Send the question left by the selection context menu, if it is about
+   * this view's tab and was asked just now
+   */
+  async askPendingSelection() {
+    const { pendingSelectionQuestion: pending } = await chrome.storage.local.get('pendingSelectionQuestion');
+    if (!pending || pending.tabId !== this.currentTabId) return;
+    
+    await chrome.storage.local.remove('pendingSelectionQuestion');
+    // A question no view picked up in time is dropped rather than sent later by surprise
+    if (Date.now() - pending.createdAt > 60 * 1000) return;
+    
+    if (!this.currentPageContent) {
+      await this.analyzeCurrentPage();
+    }
+    
+    if (!this.settings.providerReady) {
+      this.showError('Please configure your AI provider in settings');
+      this.showSettings();
+      return;
+    }
+    
+    if (this.isConversing) {
+      this.showError('A reply is still being written; ask about the selection again when it is done');
+      return;
+    }
+    
+    this.addMessageToConversation(pending.message, 'user');
+    await this.requestReply(pending.message);
   }
 
   /**
@@ -144,14 +333,31 @@ class PopupController {
       const length = e.target.value.length;
       charCount.textContent = `${length}/500`;
       sendButton.disabled = length === 0 || this.isConversing;
+      this.updateCommandSuggestions();
     });
 
     messageInput.addEventListener('keydown', (e) => {
+      if (this.handleCommandSuggestionKey(e)) {
+        return;
+      }
+      
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         this.sendMessage();
       }
     });
+    
+    messageInput.addEventListener('blur', () => this.hideCommandSuggestions());
+    
+    // Clicking a suggestion must not blur the input first
+    const commandSuggestions = document.getElementById('commandSuggestions');
+    commandSuggestions.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      const option = e.target.closest('[data-suggestion-index]');
+      if (option) {
+        this.acceptCommandSuggestion(Number(option.dataset.suggestionIndex));
+      }
+    });
 
     sendButton.addEventListener('click', (e) => {
       e.preventDefault();
@@ -167,13 +373,88 @@ class PopupController {
     // Abort button
     const abortButton = document.getElementById('abortButton');
     abortButton.addEventListener('click', () => this.abortStream());
+    
+    // Citation chips and message actions in the conversation
+    document.getElementById('conversationHistory').addEventListener('click', (e) => {
+      const chip = e.target.closest('.citation-chip');
+      if (chip) {
+        e.preventDefault();
+        this.showCitation(chip.dataset.blockId);
+        return;
+      }
+      
+      const sourceChip = e.target.closest('.source-chip');
+      if (sourceChip) {
+        e.preventDefault();
+        this.showSource(Number(sourceChip.dataset.tabId));
+        return;
+      }
+      
+      const action = e.target.closest('.message-action');
+      if (!action) return;
+      
+      e.preventDefault();
+      if (action.classList.contains('branch-button')) {
+        this.switchBranch(action.dataset.messageId);
+      } else if (action.classList.contains('regenerate-button')) {
+        this.regenerateMessage(action.dataset.messageId);
+      } else if (action.classList.contains('edit-button')) {
+        this.startEdit(action.closest('.user-message'));
+      }
+    });
 
     // Quick action buttons
-    document.querySelectorAll('.quick-action').forEach(button => {
-      button.addEventListener('click', (e) => {
-        const action = e.target.dataset.action;
-        this.handleQuickAction(action);
-      });
+    document.querySelector('.quick-actions').addEventListener('click', (e) => {
+      const button = e.target.closest('.quick-action');
+      if (button) {
+        this.handleQuickAction(button.dataset.templateId);
+      }
+    });
+    
+    // Quick action editor in settings
+    document.getElementById('templateList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-template-action]');
+      if (!button) return;
+      
+      const templateId = button.dataset.templateId;
+      switch (button.dataset.templateAction) {
+        case 'up':
+          this.moveTemplate(templateId, -1);
+          break;
+        case 'down':
+          this.moveTemplate(templateId, 1);
+          break;
+        case 'edit':
+          this.showTemplateEditor(this.promptTemplates.get(templateId));
+          break;
+        case 'delete':
+          this.deleteTemplate(templateId);
+          break;
+      }
+    });
+    
+    document.getElementById('addTemplate').addEventListener('click', () => {
+      this.showTemplateEditor(null);
+    });
+    
+    document.getElementById('saveTemplate').addEventListener('click', () => {
+      this.saveTemplate();
+    });
+    
+    document.getElementById('cancelTemplate').addEventListener('click', () => {
+      this.hideTemplateEditor();
+    });
+    
+    document.getElementById('resetTemplates').addEventListener('click', () => {
+      this.resetTemplates();
+    });
+    
+    // Enter in the editor saves the quick action, not the whole settings form
+    document.getElementById('templateEditor').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+        e.preventDefault();
+        this.saveTemplate();
+      }
     });
 
     // Refresh content button
@@ -186,6 +467,20 @@ class PopupController {
       this.showSettings();
     });
 
+    const modelSelect = document.getElementById('modelSelect');
+    if (modelSelect) {
+      modelSelect.addEventListener('change', () => {
+        this.setConversationModel(modelSelect.value);
+      });
+    }
+
+    const providerSelect = document.getElementById('providerSelect');
+    if (providerSelect) {
+      providerSelect.addEventListener('change', () => {
+        this.updateProviderSettingsUI(providerSelect.value);
+      });
+    }
+
     document.getElementById('closeSettings').addEventListener('click', () => {
       this.hideSettings();
     });
@@ -206,6 +501,92 @@ class PopupController {
       this.clearConversation();
     });
     
+    // Export menu
+    const exportButton = document.getElementById('exportBtn');
+    const exportMenu = document.getElementById('exportMenu');
+    exportButton.addEventListener('click', () => {
+      this.toggleExportMenu(exportMenu.hidden);
+    });
+    
+    exportMenu.addEventListener('click', (e) => {
+      const formatButton = e.target.closest('[data-export-format]');
+      if (formatButton) {
+        this.toggleExportMenu(false);
+        this.exportConversation(formatButton.dataset.exportFormat);
+      }
+    });
+    
+    document.addEventListener('click', (e) => {
+      if (!exportMenu.hidden && !e.target.closest('.export-menu-container')) {
+        this.toggleExportMenu(false);
+      }
+    });
+    
+    // Conversation history panel
+    document.getElementById('historyBtn').addEventListener('click', () => {
+      this.showHistory();
+    });
+    
+    document.getElementById('closeHistory').addEventListener('click', () => {
+      this.hideHistory();
+    });
+    
+    const historySearch = document.getElementById('historySearch');
+    historySearch.addEventListener('input', () => {
+      clearTimeout(this.historySearchTimer);
+      this.historySearchTimer = setTimeout(() => this.loadHistory(historySearch.value), 200);
+    });
+    
+    document.getElementById('historyList').addEventListener('click', (e) => {
+      const resumeButton = e.target.closest('[data-resume-id]');
+      const deleteButton = e.target.closest('[data-delete-id]');
+      if (resumeButton) {
+        this.resumeConversation(resumeButton.dataset.resumeId);
+      } else if (deleteButton) {
+        this.deleteHistoryConversation(deleteButton.dataset.deleteId);
+      }
+    });
+    
+    // Multi-source mode: pick tabs to ask across
+    document.getElementById('sourcesBtn').addEventListener('click', () => {
+      this.showSources();
+    });
+    
+    document.getElementById('closeSources').addEventListener('click', () => {
+      this.hideSources();
+    });
+    
+    document.getElementById('sourceGroups').addEventListener('click', (e) => {
+      const groupButton = e.target.closest('[data-group-id]');
+      if (groupButton) {
+        this.selectSourceGroup(Number(groupButton.dataset.groupId));
+      }
+    });
+    
+    document.getElementById('sourceList').addEventListener('change', (e) => {
+      const checked = document.querySelectorAll('#sourceList input:checked');
+      if (e.target.checked && checked.length > this.maxSources) {
+        e.target.checked = false;
+        this.showError(`You can ask across up to ${this.maxSources} tabs`);
+      }
+    });
+    
+    document.getElementById('applySources').addEventListener('click', () => {
+      this.applySources();
+    });
+    
+    document.getElementById('exitSources').addEventListener('click', () => {
+      this.exitSources();
+    });
+    
+    document.getElementById('sourcesBar').addEventListener('click', (e) => {
+      if (e.target.closest('.sources-bar-exit')) {
+        this.exitSources();
+      } else if (e.target.closest('.sources-bar-edit')) {
+        this.showSources();
+      }
+    });
+    
     // Refresh rate limit stats
     document.getElementById('refreshRateLimit').addEventListener('click', () => {
       this.updateRateLimitDisplay();
@@ -251,12 +632,25 @@ class PopupController {
         if (this.isHelpMenuOpen) {
           e.preventDefault();
           this.hideKeyboardHelp();
+        } else if (!document.getElementById('exportMenu').hidden) {
+          e.preventDefault();
+          this.toggleExportMenu(false);
+          document.getElementById('exportBtn').focus();
         } else if (document.getElementById('settingsPanel').classList.contains('active')) {
           e.preventDefault();
           this.hideSettings();
+        } else if (document.getElementById('historyPanel').classList.contains('active')) {
+          e.preventDefault();
+          this.hideHistory();
+        } else if (document.getElementById('sourcesPanel').classList.contains('active')) {
+          e.preventDefault();
+          this.hideSources();
         } else if (this.currentStreamId) {
           e.preventDefault();
           this.abortStream();
+        } else if (this.editingMessageId) {
+          e.preventDefault();
+          this.cancelEdit();
         }
       }
       
@@ -268,19 +662,10 @@ class PopupController {
       
       // Quick actions shortcuts (Alt + number)
       if (e.altKey && !isInputFocused) {
-        switch(e.key) {
-          case '1':
-            e.preventDefault();
-            this.handleQuickAction('summarize');
-            break;
-          case '2':
-            e.preventDefault();
-            this.handleQuickAction('explain');
-            break;
-          case '3':
-            e.preventDefault();
-            this.handleQuickAction('questions');
-            break;
+        const template = this.promptTemplates.findByShortcut(e.key);
+        if (template) {
+          e.preventDefault();
+          this.handleQuickAction(template.id);
         }
       }
       
@@ -537,11 +922,12 @@ class PopupController {
 
     // Focus management for new messages
     const originalAddMessage = this.addMessageToConversation.bind(this);
-    this.addMessageToConversation = (message, sender) => {
-      originalAddMessage(message, sender);
+    this.addMessageToConversation = (...args) => {
+      const element = originalAddMessage(...args);
       
       // Announce new message to screen readers
-      this.announceMessage(message, sender);
+      this.announceMessage(args[0], args[1]);
+      return element;
     };
   }
 
@@ -575,25 +961,16 @@ class PopupController {
                 <dt><kbd>Alt</kbd> + <kbd>Tab</kbd></dt>
                 <dd>Navigate between sections</dd>
               </div>
+              <div class="shortcut-item">
+                <dt><kbd>/</kbd> in the message box</dt>
+                <dd>Commands such as /summarize or /model (/help lists them)</dd>
+              </div>
             </dl>
           </div>
           
           <div class="shortcuts-section">
             <h3>Quick Actions</h3>
-            <dl class="shortcuts-list">
-              <div class="shortcut-item">
-                <dt><kbd>Alt</kbd> + <kbd>1</kbd></dt>
-                <dd>Summarize page</dd>
-              </div>
-              <div class="shortcut-item">
-                <dt><kbd>Alt</kbd> + <kbd>2</kbd></dt>
-                <dd>Explain concepts</dd>
-              </div>
-              <div class="shortcut-item">
-                <dt><kbd>Alt</kbd> + <kbd>3</kbd></dt>
-                <dd>Key takeaways</dd>
-              </div>
-            </dl>
+            <dl class="shortcuts-list" id="quickActionShortcuts"></dl>
           </div>
           
           <div class="shortcuts-section">
@@ -630,6 +1007,7 @@ class PopupController {
     // Create and append help overlay
     const helpDiv = document.createElement('div');
     helpDiv.innerHTML = helpContent;
+    this.renderQuickActionShortcuts(helpDiv.querySelector('#quickActionShortcuts'));
     document.body.appendChild(helpDiv);
     
     // Focus first element
@@ -749,9 +1127,12 @@ class PopupController {
     } catch (error) {
       console.error('Failed to load settings:', error);
       this.settings = {
+        llmProvider: 'openai',
         hasApiKey: false,
+        providerReady: false,
         avatarPersonality: 'helpful',
         responseLength: 'medium',
+        responseLanguage: 'auto',
         autoAnalyze: true
       };
     }
@@ -762,14 +1143,29 @@ class PopupController {
    */
   updateSettingsUI() {
     const personalitySelect = document.getElementById('personalitySelect');
+    const responseLengthSelect = document.getElementById('responseLength');
+    const responseLanguageSelect = document.getElementById('responseLanguage');
     const autoAnalyzeCheckbox = document.getElementById('autoAnalyze');
     const streamingCheckbox = document.getElementById('enableStreaming');
+    const compactionSelect = document.getElementById('compactionThreshold');
     const apiKeyInput = document.getElementById('apiKeyInput');
 
     if (personalitySelect) {
       personalitySelect.value = this.settings.avatarPersonality || 'helpful';
     }
 
+    if (responseLengthSelect) {
+      responseLengthSelect.value = this.settings.responseLength || 'medium';
+    }
+
+    if (responseLanguageSelect) {
+      responseLanguageSelect.value = this.settings.responseLanguage || 'auto';
+    }
+
+    if (this.avatar) {
+      this.avatar.setPersonalityProfile(this.settings.avatarPersonality || 'helpful');
+    }
+
     if (autoAnalyzeCheckbox) {
       autoAnalyzeCheckbox.checked = this.settings.autoAnalyze !== false;
     }
@@ -778,12 +1174,71 @@ class PopupController {
       streamingCheckbox.checked = this.settings.enableStreaming !== false;
     }
     
+    if (compactionSelect) {
+      compactionSelect.value = String(this.settings.compactionThreshold || 0.75);
+    }
+    
+    const providerSelect = document.getElementById('providerSelect');
+    if (providerSelect) {
+      providerSelect.value = this.settings.llmProvider || 'openai';
+    }
+    
+    const localBaseUrlInput = document.getElementById('localBaseUrlInput');
+    const localModelInput = document.getElementById('localModelInput');
+    if (localBaseUrlInput) {
+      localBaseUrlInput.value = this.settings.localBaseUrl || '';
+    }
+    if (localModelInput) {
+      localModelInput.value = this.settings.localModel || '';
+    }
+    
+    this.updateProviderSettingsUI(this.settings.llmProvider || 'openai');
+    
     if (apiKeyInput && this.settings.hasApiKey) {
       // Show a placeholder indicating key is saved
-      apiKeyInput.placeholder = 'sk-...******** (key is saved)';
+      apiKeyInput.placeholder = `${apiKeyInput.placeholder} (key is saved)`;
       apiKeyInput.value = '';
     }
   }
+
+  /**
+   * Show the API key and local server fields that apply to a provider
+   */
+  updateProviderSettingsUI(provider) {
+    const apiKeyLabel = document.getElementById('apiKeyLabel');
+    const apiKeyInput = document.getElementById('apiKeyInput');
+    const localSettings = document.getElementById('localProviderSettings');
+    
+    const labels = {
+      'openai': { label: 'OpenAI API Key', placeholder: 'sk-...' },
+      'anthropic': { label: 'Anthropic API Key', placeholder: 'sk-ant-...' },
+      'local': { label: 'API Key (optional)', placeholder: 'Leave empty if the server has no auth' }
+    };
+    const config = labels[provider] || labels.openai;
+    
+    if (apiKeyLabel) {
+      apiKeyLabel.textContent = config.label;
+    }
+    
+    if (apiKeyInput) {
+      apiKeyInput.placeholder = config.placeholder;
+    }
+    
+    if (localSettings) {
+      localSettings.style.display = provider === 'local' ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Request access to a local server origin not covered by the manifest.
+   * The request comes first, with nothing awaited before it, so it still
+   * counts as a user gesture; an origin already granted resolves without
+   * a prompt.
+   */
+  async requestServerPermission(baseUrl) {
+    const origin = `${new URL(baseUrl).origin}/*`;
+    return chrome.permissions.request({ origins: [origin] });
+  }
   
   /**
    * Update rate limit settings UI
@@ -803,6 +1258,94 @@ class PopupController {
     }
   }
 
+  /**
+   * Load the model catalog into the model picker
+   */
+  async loadModels() {
+    const modelSelect = document.getElementById('modelSelect');
+    if (!modelSelect) return;
+    
+    try {
+      const response = await this.sendMessageToBackground('getModels');
+      if (!response.success) return;
+      
+      modelSelect.innerHTML = '';
+      
+      const defaultOption = document.createElement('option');
+      defaultOption.value = '';
+      defaultOption.textContent = `Default (${response.defaultModel})`;
+      modelSelect.appendChild(defaultOption);
+      
+      response.models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.textContent = `${model.id} (${this.formatNumber(model.contextWindow)})`;
+        option.disabled = !model.available;
+        if (!model.available) {
+          option.title = 'Configure this provider in settings to use it';
+        }
+        modelSelect.appendChild(option);
+      });
+      
+      modelSelect.value = response.selectedModel || '';
+    } catch (error) {
+      console.error('Failed to load models:', error);
+    }
+  }
+
+  /**
+   * Set the model used for this conversation
+   */
+  async setConversationModel(model) {
+    const response = await this.sendMessageToBackground('setConversationModel', {
+      model: model || null
+    });
+    
+    if (response.success) {
+      this.updateStatus(model ? `Model: ${model}` : 'Using default model');
+    } else {
+      this.showError(response.error || 'Failed to change model');
+    }
+  }
+
+  /**
+   * Tell the user when a long prompt was routed to a larger-context model
+   */
+  reportModelRouting(result) {
+    if (result && result.rerouted) {
+      this.updateStatus(`Used ${result.model} (too long for ${result.requestedModel})`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Show which page sections were condensed to fit the model's context window
+   */
+  showCondensedSections(sections) {
+    const summaryContent = document.getElementById('summaryContent');
+    if (!summaryContent) return;
+    
+    let info = summaryContent.querySelector('.condensed-info');
+    
+    if (!sections || sections.length === 0) {
+      if (info) info.remove();
+      return;
+    }
+    
+    if (!info) {
+      info = document.createElement('div');
+      info.className = 'condensed-info';
+      info.setAttribute('role', 'note');
+      summaryContent.appendChild(info);
+    }
+    
+    // Section headings come from the page, so never render them as HTML
+    const headings = sections.map(section => section.replace(/\s*\[§b\d+\]/g, ''));
+    info.textContent = `Long page: ${headings.length} section${headings.length === 1 ? '' : 's'} condensed to fit the model (${headings.join(', ')})`;
+    info.title = headings.join('\n');
+  }
+
   /**
    * Analyze current page content
    */
@@ -815,14 +1358,16 @@ class PopupController {
 
     try {
       // Get current tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const tab = await this.getPageTab();
       
       if (!tab || !tab.id) {
         throw new Error('No active tab found');
       }
       
       // Check if we can inject content scripts into this tab
-      if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
+      // The side panel may not see the URL; the content script then answers or not
+      const tabUrl = tab.url || '';
+      if (tabUrl.startsWith('chrome://') || tabUrl.startsWith('chrome-extension://')) {
         throw new Error('Cannot analyze browser internal pages');
       }
       
@@ -836,10 +1381,16 @@ class PopupController {
 
       if (response && response.success && response.content) {
         this.currentPageContent = response.content;
+        this.currentTabId = tab.id;
+        this.currentTabUrl = tab.url || response.content.url;
         this.displayContentSummary(response.content);
         this.updateWordCount(response.content.wordCount || 0);
         this.updateStatus('Content analyzed');
         
+        // Show the earlier conversation about this page, if there is one
+        await this.showPageConversation(response.content.url);
+        this.reattachStream(response.content.url);
+        
         // Greet user if this is first analysis
         if (this.avatar) {
           this.avatar.greet();
@@ -930,19 +1481,33 @@ class PopupController {
   }
 
   /**
-   * Send message to AI
+   * Send message to AI, or run it if it is a slash command
+   * @param {Object} options - Send options
+   * @param {boolean} options.literal - Send the input as written, even if it starts with a slash
+   * @param {boolean} options.bypassCache - Ask the model even if a cached reply exists
    */
-  async sendMessage() {
+  async sendMessage(options = {}) {
+    const { literal = false, ...replyOptions } = options;
     const messageInput = document.getElementById('messageInput');
+    let text = messageInput.value;
+    
+    if (!literal) {
+      if (SlashCommands.isCommand(text)) {
+        await this.runSlashCommand(text);
+        return;
+      }
+      // "//" sends a message that starts with a slash
+      text = text.replace(/^(\s*)\/\//, '$1/');
+    }
     
     try {
-      const message = this.validateString(messageInput.value);
+      const message = this.validateString(text);
       
       if (this.isConversing) return;
 
-      // Check if API key is configured
-      if (!this.settings.hasApiKey) {
-        this.showError('Please configure your OpenAI API key in settings');
+      // Check if the AI provider is configured
+      if (!this.settings.providerReady) {
+        this.showError('Please configure your AI provider in settings');
         this.showSettings();
         return;
       }
@@ -950,70 +1515,302 @@ class PopupController {
       // Clear input and disable send button
       messageInput.value = '';
       document.getElementById('charCount').textContent = '0/500';
-      document.getElementById('sendButton').disabled = true;
+      
+      // An edited message replaces the original and everything after it
+      const editMessageId = this.editingMessageId;
+      if (editMessageId) {
+        this.cancelEdit();
+        this.removeMessagesFrom(editMessageId);
+      }
       
       // Add user message to conversation
       this.addMessageToConversation(message, 'user');
       
-      // Show thinking state
-      this.isConversing = true;
-      this.showThinkingState();
-      
-      try {
-        // Check if streaming is enabled
-        if (this.settings.enableStreaming !== false) {
-          await this.sendStreamingMessage(message);
-        } else {
-          // Non-streaming mode (backward compatible)
-          const response = await this.sendMessageToBackground('generateResponse', {
-            message: message,
+      await this.requestReply(message, { ...replyOptions, editMessageId });
+    } catch (validationError) {
+      // Handle validation errors
+      this.showError(validationError.message);
+      return;
+    }
+  }
+
+  /**
+   * Ask the AI for a reply to the message at the end of the conversation
+   * @param {string|null} message - User message; null when regenerating
+   * @param {Object} options - Send options
+   * @param {boolean} options.bypassCache - Ask the model even if a cached reply exists
+   * @param {string} options.editMessageId - Earlier user message that `message` replaces
+   * @param {string} options.regenerateMessageId - Assistant reply to ask for again
+   */
+  async requestReply(message, options = {}) {
+    const branching = !!(options.editMessageId || options.regenerateMessageId);
+    
+    // Show thinking state
+    this.isConversing = true;
+    document.getElementById('sendButton').disabled = true;
+    this.showThinkingState();
+    
+    try {
+      // Check if streaming is enabled
+      if (this.settings.enableStreaming !== false) {
+        await this.sendStreamingMessage(message, options);
+      } else {
+        // Non-streaming mode (backward compatible)
+        let response;
+        if (options.regenerateMessageId) {
+          response = await this.sendMessageToBackground('regenerateMessage', {
+            messageId: options.regenerateMessageId,
+            pageContent: this.currentPageContent
+          });
+        } else if (options.editMessageId) {
+          response = await this.sendMessageToBackground('editMessage', {
+            messageId: options.editMessageId,
+            message: message,
             pageContent: this.currentPageContent
           });
+        } else {
+          response = await this.sendMessageToBackground('generateResponse', {
+            message: message,
+            pageContent: this.currentPageContent,
+            bypassCache: !!options.bypassCache,
+            sources: this.getSourceTabIds()
+          });
+        }
 
-          if (response.success) {
-            this.addMessageToConversation(response.response, 'assistant');
+        if (response.success) {
+          // Source tags in the reply link to the tabs that were read
+          this.updateSourceTags(response.sources, response.failedSources);
+          const messageElement = this.addMessageToConversation(response.response, 'assistant');
+          this.applyMessageIds(messageElement, response);
+          this.showCondensedSections(response.condensedSections);
+          if (!branching) {
+            await this.refreshTranscriptMarkers(response);
+          }
+          if (response.cached) {
+            this.updateStatus('Answered from cache');
+          } else if (!this.reportModelRouting(response)) {
             this.updateStatus('Response received');
-            
-            // Update rate limit display after successful response
-            await this.updateRateLimitDisplay();
+          }
+          
+          // Update rate limit display after successful response
+          await this.updateRateLimitDisplay();
+        } else {
+          // Handle rate limit errors specially
+          if (response.rateLimitError) {
+            this.handleRateLimitError(response);
           } else {
-            // Handle rate limit errors specially
-            if (response.rateLimitError) {
-              this.handleRateLimitError(response);
-            } else {
-              throw new Error(response.error || 'Failed to generate response');
-            }
+            throw new Error(response.error || 'Failed to generate response');
           }
         }
+      }
 
-      } catch (error) {
-        console.error('AI conversation failed:', error);
-        this.addMessageToConversation(
-          'Sorry, I encountered an error while processing your message. Please try again.',
-          'assistant'
-        );
-        this.showError('Failed to get AI response');
-      } finally {
+    } catch (error) {
+      console.error('AI conversation failed:', error);
+      this.addMessageToConversation(
+        'Sorry, I encountered an error while processing your message. Please try again.',
+        'assistant'
+      );
+      this.showError('Failed to get AI response');
+    } finally {
+      this.isConversing = false;
+      this.hideThinkingState();
+      this.hideStreamingState();
+      document.getElementById('sendButton').disabled = false;
+      document.getElementById('abortButton').style.display = 'none';
+      document.getElementById('messageInput').focus();
+    }
+    
+    // Show the new branch next to its siblings
+    if (branching) {
+      await this.refreshConversation();
+    }
+  }
+
+  /**
+   * Ask again for an earlier reply. The earlier reply stays available as a
+   * sibling branch.
+   */
+  async regenerateMessage(messageId) {
+    if (!messageId || this.isConversing) return;
+    
+    if (!this.settings.providerReady) {
+      this.showError('Please configure your AI provider in settings');
+      this.showSettings();
+      return;
+    }
+    
+    this.cancelEdit();
+    this.removeMessagesFrom(messageId);
+    await this.requestReply(null, { regenerateMessageId: messageId });
+  }
+
+  /**
+   * Start editing an earlier user message in the message input. Sending it
+   * branches the conversation from that message.
+   */
+  startEdit(messageElement) {
+    if (!messageElement || this.isConversing) return;
+    
+    this.cancelEdit();
+    this.editingMessageId = messageElement.dataset.messageId;
+    messageElement.classList.add('editing');
+    
+    const messageInput = document.getElementById('messageInput');
+    messageInput.value = messageElement.querySelector('.plain-text').textContent;
+    messageInput.dispatchEvent(new Event('input'));
+    messageInput.focus();
+    
+    this.updateStatus('Editing message – send to branch, Esc to cancel');
+  }
+
+  /**
+   * Stop editing an earlier message
+   */
+  cancelEdit() {
+    if (!this.editingMessageId) return;
+    
+    this.findMessageElement(this.editingMessageId)?.classList.remove('editing');
+    this.editingMessageId = null;
+    this.updateStatus('Ready');
+  }
+
+  /**
+   * Show a sibling branch of a message
+   */
+  async switchBranch(messageId) {
+    if (!messageId || this.isConversing) return;
+    
+    const response = await this.sendMessageToBackground('switchBranch', { messageId });
+    if (response.success) {
+      this.renderConversation(response.messages);
+    } else {
+      this.showError(response.error || 'Failed to switch branch');
+    }
+  }
+
+  /**
+   * Re-render the conversation as the service worker has it
+   */
+  async refreshConversation() {
+    // Multi-source conversations are only shown as they happen
+    if (this.sources) return;
+    
+    try {
+      const response = await this.sendMessageToBackground('getPageConversation');
+      if (response.success && response.conversation) {
+        this.renderConversation(response.conversation.messages);
+      }
+    } catch (error) {
+      console.error('Failed to refresh conversation:', error);
+    }
+  }
+
+  /**
+   * Re-render the conversation when a reply belongs in a transcript marker's
+   * place: older messages were summarized, or the page changed since the
+   * previous message
+   * @param {Object} result - Response result with `compaction` and `pageVersion`
+   */
+  async refreshTranscriptMarkers(result) {
+    const pageChanged = this.pageVersion !== null && result.pageVersion > this.pageVersion;
+    this.pageVersion = result.pageVersion ?? this.pageVersion;
+    
+    if (result.compaction || pageChanged) {
+      await this.refreshConversation();
+    }
+  }
+
+  /**
+   * Remove a message and everything after it from the display
+   */
+  removeMessagesFrom(messageId) {
+    let element = this.findMessageElement(messageId);
+    while (element) {
+      const next = element.nextElementSibling;
+      element.remove();
+      element = next;
+    }
+  }
+
+  /**
+   * @returns {HTMLElement|null} The displayed message with this ID
+   */
+  findMessageElement(messageId) {
+    return document.getElementById('conversationHistory')
+      .querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+  }
+
+  /**
+   * Send streaming message
+   * @param {string} message - User message
+   * @param {Object} options - Send options, see sendMessage
+   * @returns {Promise<void>} Resolves when the stream has finished
+   */
+  async sendStreamingMessage(message, options = {}) {
+    // Generate a unique stream ID
+    const streamId = `${this.currentTabId}-${Date.now()}`;
+    const messageElement = this.beginStream(streamId);
+    
+    const port = chrome.runtime.connect({ name: 'stream' });
+    const finished = this.receiveStream(port, streamId, messageElement);
+    port.postMessage({
+      type: 'start',
+      streamId,
+      conversation: this.getConversationIdentity(),
+      message: message,
+      pageContent: this.currentPageContent,
+      bypassCache: !!options.bypassCache,
+      editMessageId: options.editMessageId,
+      regenerateMessageId: options.regenerateMessageId,
+      sources: this.getSourceTabIds()
+    });
+    
+    await finished;
+  }
+
+  /**
+   * Reattach to an answer still streaming for this page, e.g. after the popup
+   * was closed mid-answer, replaying the partial text before continuing live
+   */
+  async reattachStream(url) {
+    if (this.currentStreamId) return;
+    
+    // Reset the conversing state only after a stream attached here, so a
+    // reply started while looking for one is left alone
+    let attached = false;
+    try {
+      const response = await this.sendMessageToBackground('getActiveStreams');
+      const stream = response.success && response.streams.find(item =>
+        item.status === 'streaming' && (item.tabId === this.currentTabId || item.url === url)
+      );
+      if (!stream) return;
+      
+      attached = true;
+      const messageElement = this.beginStream(stream.streamId);
+      this.isConversing = true;
+      this.showThinkingState();
+      
+      const port = chrome.runtime.connect({ name: 'stream' });
+      const finished = this.receiveStream(port, stream.streamId, messageElement);
+      port.postMessage({ type: 'attach', streamId: stream.streamId });
+      
+      await finished;
+    } catch (error) {
+      console.error('Failed to reattach to stream:', error);
+    } finally {
+      if (attached) {
         this.isConversing = false;
         this.hideThinkingState();
         this.hideStreamingState();
-        document.getElementById('sendButton').disabled = false;
-        document.getElementById('abortButton').style.display = 'none';
-        messageInput.focus();
       }
-    } catch (validationError) {
-      // Handle validation errors
-      this.showError(validationError.message);
-      return;
     }
   }
 
   /**
-   * Send streaming message
+   * Set up the UI for a stream and return its message element
    */
-  async sendStreamingMessage(message) {
-    // Generate a unique stream ID
-    this.currentStreamId = Date.now().toString();
+  beginStream(streamId) {
+    this.currentStreamId = streamId;
     
     // Create abort controller
     this.abortController = new AbortController();
@@ -1025,49 +1822,95 @@ class PopupController {
     // Create a placeholder message element
     const messageElement = this.addStreamingMessage();
     this.currentStreamMessage = messageElement;
-    
-    // Setup message listener for streaming chunks
-    const messageListener = (request) => {
-      if (request.streamId !== this.currentStreamId) return;
-      
-      switch (request.action) {
-        case 'streamChunk':
-          this.handleStreamChunk(request.chunk, messageElement);
-          break;
-          
-        case 'streamComplete':
-          this.handleStreamComplete(request.result, messageElement);
-          chrome.runtime.onMessage.removeListener(messageListener);
-          break;
-          
-        case 'streamError':
-          this.handleStreamError(request.error, messageElement);
-          chrome.runtime.onMessage.removeListener(messageListener);
-          break;
+    this.currentStreamText = '';
+    this.streamRenderer = new StreamingMarkdownRenderer(
+      messageElement.querySelector('.message-content'),
+      this.markdownRenderer,
+      {
+        chunkDelay: this.settings.streamingChunkDelay,
+        onRender: () => this.scrollConversationToBottom()
       }
-    };
-    
-    chrome.runtime.onMessage.addListener(messageListener);
+    );
     
-    // Start streaming
-    const response = await this.sendMessageToBackground('generateResponseStream', {
-      message: message,
-      pageContent: this.currentPageContent,
-      streamId: this.currentStreamId
+    return messageElement;
+  }
+
+  /**
+   * Handle stream events arriving on a port
+   * @returns {Promise<void>} Resolves when the stream completes, fails or is aborted
+   */
+  receiveStream(port, streamId, messageElement) {
+    return new Promise((resolve) => {
+      const finish = () => {
+        port.disconnect();
+        if (this.streamPort === port) {
+          this.streamPort = null;
+          this.resolveStream = null;
+        }
+        resolve();
+      };
+      
+      this.streamPort = port;
+      this.resolveStream = finish;
+      
+      port.onMessage.addListener((event) => {
+        if (event.streamId !== this.currentStreamId) return;
+        
+        switch (event.type) {
+          case 'chunk':
+            this.handleStreamChunk(event.chunk, messageElement);
+            break;
+            
+          case 'complete':
+            this.handleStreamComplete(event.result, messageElement);
+            finish();
+            break;
+            
+          case 'error':
+            if (event.rateLimitError) {
+              this.handleRateLimitError(event);
+              messageElement.remove();
+              this.resetStreamState();
+            } else {
+              this.handleStreamError(new Error(event.error || 'Failed to start streaming'), messageElement);
+            }
+            finish();
+            break;
+        }
+      });
+      
+      // The service worker went away before the stream finished
+      port.onDisconnect.addListener(() => {
+        if (this.currentStreamId === streamId) {
+          this.handleStreamError(new Error('Lost connection to the extension.'), messageElement);
+        }
+        finish();
+      });
     });
+  }
+
+  /**
+   * Stop showing the current reply without aborting it. It keeps streaming
+   * in the service worker and can be reattached to.
+   */
+  detachStream() {
+    if (!this.currentStreamId) return;
     
-    if (!response.success && !response.streaming) {
-      chrome.runtime.onMessage.removeListener(messageListener);
-      
-      // Handle immediate errors
-      if (response.rateLimitError) {
-        this.handleRateLimitError(response);
-        messageElement.remove();
-      } else {
-        this.handleStreamError(new Error(response.error || 'Failed to start streaming'), messageElement);
-      }
+    this.resetStreamState();
+    if (this.resolveStream) {
+      this.resolveStream();
     }
   }
+
+  /**
+   * Forget the current stream
+   */
+  resetStreamState() {
+    this.currentStreamId = null;
+    this.currentStreamMessage = null;
+    this.streamRenderer = null;
+    this.abortController = null;
+  }
   
   /**
    * Add a streaming message placeholder
@@ -1079,9 +1922,7 @@ class PopupController {
     messageElement.className = 'avatar-message streaming-message';
     messageElement.innerHTML = `
       <div class="message-avatar">🤖</div>
-      <div class="message-content streaming">
-        <p></p>
-      </div>
+      <div class="message-content markdown-body streaming"></div>
     `;
     
     conversationHistory.appendChild(messageElement);
@@ -1094,6 +1935,13 @@ class PopupController {
    * Handle streaming chunk
    */
   handleStreamChunk(chunk, messageElement) {
+    // Status chunks carry no text: the request is queued, waiting to retry,
+    // or the model is looking at the page
+    if (chunk.status) {
+      this.showStreamStatus(chunk.status);
+      return;
+    }
+
     this.hideThinkingState();
     this.showStreamingState();
     
@@ -1101,10 +1949,45 @@ class PopupController {
       this.avatar.setSpeaking(true);
     }
     
-    const contentElement = messageElement.querySelector('.message-content p');
-    contentElement.textContent = chunk.accumulated || chunk.content;
-    
-    // Scroll to bottom
+    this.currentStreamText = chunk.accumulated || chunk.content;
+    this.streamRenderer.update(this.currentStreamText);
+  }
+
+  /**
+   * Show why a stream has not produced text yet
+   */
+  showStreamStatus(status) {
+    switch (status.type) {
+      case 'queued':
+        this.updateStatus(`Rate limit reached – queued, position ${status.position}`);
+        break;
+
+      case 'dispatched':
+        this.updateStatus('Sending request...');
+        break;
+
+      case 'retrying':
+        this.updateStatus(`${status.reason} – retrying in ${status.retryIn}s (${status.attempt}/${status.maxRetries})`);
+        break;
+
+      case 'compacting':
+        this.updateStatus('Summarizing earlier messages to fit the context window...');
+        break;
+
+      case 'sources':
+        this.updateSourceTags(status.sources, status.failedSources);
+        break;
+
+      case 'tool':
+        this.updateStatus(`${status.description}...`);
+        break;
+    }
+  }
+
+  /**
+   * Keep the latest message in view
+   */
+  scrollConversationToBottom() {
     const conversationHistory = document.getElementById('conversationHistory');
     conversationHistory.scrollTop = conversationHistory.scrollHeight;
   }
@@ -1118,149 +2001,1204 @@ class PopupController {
     messageElement.classList.remove('streaming-message');
     
     // Update final content with formatting
-    const contentElement = messageElement.querySelector('.message-content p');
-    contentElement.innerHTML = this.formatMessage(result.response);
-    
-    this.updateStatus('Response received');
+    this.updateSourceTags(result.sources, result.failedSources);
+    this.streamRenderer.finish(result.response);
+    
+    this.applyMessageIds(messageElement, result);
+    this.showCondensedSections(result.condensedSections);
+    this.refreshTranscriptMarkers(result);
+    if (result.cached) {
+      this.updateStatus('Answered from cache');
+    } else if (!this.reportModelRouting(result)) {
+      this.updateStatus('Response received');
+    }
     
     // Update rate limit display
     this.updateRateLimitDisplay();
     
     // Reset streaming state
-    this.currentStreamId = null;
-    this.currentStreamMessage = null;
-    this.abortController = null;
+    this.resetStreamState();
+  }
+  
+  /**
+   * Handle stream error
+   */
+  handleStreamError(error, messageElement) {
+    console.error('Stream error:', error);
+    
+    // Update message with error
+    const contentElement = messageElement.querySelector('.message-content');
+    contentElement.classList.remove('streaming');
+    this.streamRenderer?.stop();
+    const errorText = document.createElement('p');
+    errorText.style.color = '#e53e3e';
+    errorText.textContent = `Sorry, I encountered an error while processing your message. ${error.message}`;
+    contentElement.replaceChildren(errorText);
+    
+    this.showError('Stream error occurred');
+    
+    // Reset streaming state
+    this.resetStreamState();
+  }
+  
+  /**
+   * Abort current stream
+   */
+  async abortStream() {
+    if (!this.currentStreamId) return;
+    
+    // Send abort message to background
+    await this.sendMessageToBackground('abortStream', {
+      streamId: this.currentStreamId
+    });
+    
+    // Update UI
+    if (this.currentStreamMessage) {
+      const contentElement = this.currentStreamMessage.querySelector('.message-content');
+      contentElement.classList.remove('streaming');
+      this.streamRenderer.finish(this.currentStreamText);
+      
+      const notice = document.createElement('em');
+      notice.style.color = '#718096';
+      notice.textContent = '(Response aborted)';
+      contentElement.appendChild(notice);
+    }
+    
+    // Reset state
+    this.resetStreamState();
+    this.resolveStream?.();
+    
+    // Update UI state
+    this.hideStreamingState();
+    this.updateStatus('Response aborted');
+  }
+  
+  /**
+   * Show streaming state
+   */
+  showStreamingState() {
+    document.getElementById('streamingIndicator').classList.add('active');
+    if (this.avatar) {
+      this.avatar.setSpeaking(true);
+    }
+  }
+  
+  /**
+   * Hide streaming state
+   */
+  hideStreamingState() {
+    document.getElementById('streamingIndicator').classList.remove('active');
+    document.getElementById('sendButton').style.display = 'flex';
+    document.getElementById('abortButton').style.display = 'none';
+    if (this.avatar) {
+      this.avatar.setSpeaking(false);
+    }
+  }
+
+  /**
+   * Send a quick action's prompt, with its variables filled in for the
+   * current tab
+   * @param {string} templateId - Prompt template ID
+   */
+  async handleQuickAction(templateId) {
+    const template = this.promptTemplates.get(templateId);
+    if (!template || this.isConversing) return;
+
+    try {
+      const message = await this.promptTemplates.fill(template, await this.getTemplateTab());
+      await this.sendPrompt(message);
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * The tab quick action variables are filled from
+   * @returns {Promise<Object>} { id, title, url }
+   */
+  async getTemplateTab() {
+    const tab = {
+      id: this.currentTabId,
+      title: this.currentPageContent?.title || '',
+      url: this.getConversationIdentity().url || ''
+    };
+
+    if (!tab.title && this.currentTabId) {
+      try {
+        tab.title = (await chrome.tabs.get(this.currentTabId)).title || '';
+      } catch (error) {
+        // Tab closed; leave the title empty
+      }
+    }
+
+    return tab;
+  }
+
+  /**
+   * Load the prompt templates and show them as quick actions
+   */
+  async loadQuickActions() {
+    try {
+      await this.promptTemplates.load();
+    } catch (error) {
+      console.error('Failed to load quick actions:', error);
+    }
+    this.refreshQuickActions();
+  }
+
+  /**
+   * Show the current templates as quick actions and slash commands
+   */
+  refreshQuickActions() {
+    this.renderQuickActions();
+    this.registerTemplateCommands();
+  }
+
+  /**
+   * Render the quick action buttons and the template list in settings
+   */
+  renderQuickActions() {
+    const templates = this.promptTemplates.getAll();
+    
+    const container = document.querySelector('.quick-actions');
+    container.innerHTML = '';
+    templates.forEach(template => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'quick-action';
+      button.dataset.templateId = template.id;
+      button.textContent = template.name;
+      button.title = template.shortcut ? `${template.prompt} (Alt+${template.shortcut})` : template.prompt;
+      button.setAttribute('aria-label', `${template.name} quick action`);
+      if (template.shortcut) {
+        button.setAttribute('aria-keyshortcuts', `Alt+${template.shortcut}`);
+      }
+      container.appendChild(button);
+    });
+    
+    const list = document.getElementById('templateList');
+    list.innerHTML = '';
+    templates.forEach((template, index) => {
+      const item = document.createElement('li');
+      item.className = 'template-item';
+      
+      const name = document.createElement('span');
+      name.className = 'template-name';
+      name.textContent = `${template.icon || ''} ${template.name}`.trim();
+      name.title = template.prompt;
+      item.appendChild(name);
+      
+      if (template.shortcut) {
+        const shortcut = document.createElement('kbd');
+        shortcut.className = 'keyboard-shortcut';
+        shortcut.textContent = `Alt+${template.shortcut}`;
+        item.appendChild(shortcut);
+      }
+      
+      const buttons = [
+        { action: 'up', label: '↑', title: `Move ${template.name} up`, disabled: index === 0 },
+        { action: 'down', label: '↓', title: `Move ${template.name} down`, disabled: index === templates.length - 1 },
+        { action: 'edit', label: '✎', title: `Edit ${template.name}` },
+        { action: 'delete', label: '×', title: `Delete ${template.name}` }
+      ];
+      buttons.forEach(({ action, label, title, disabled }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'template-action';
+        button.dataset.templateAction = action;
+        button.dataset.templateId = template.id;
+        button.textContent = label;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.disabled = !!disabled;
+        item.appendChild(button);
+      });
+      
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * List the quick action shortcuts in the keyboard help
+   * @param {HTMLElement} list - Definition list to fill
+   */
+  renderQuickActionShortcuts(list) {
+    const templates = this.promptTemplates.getAll()
+      .filter(template => template.shortcut)
+      .sort((a, b) => a.shortcut.localeCompare(b.shortcut));
+    
+    if (templates.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No quick action has a shortcut. Assign one in settings.';
+      list.replaceWith(empty);
+      return;
+    }
+    
+    templates.forEach(template => {
+      const item = document.createElement('div');
+      item.className = 'shortcut-item';
+      
+      const keys = document.createElement('dt');
+      keys.innerHTML = `<kbd>Alt</kbd> + <kbd>${template.shortcut}</kbd>`;
+      
+      const name = document.createElement('dd');
+      name.textContent = template.name;
+      
+      item.append(keys, name);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Open the quick action editor
+   * @param {Object|null} template - Template to edit, or null to add one
+   */
+  showTemplateEditor(template) {
+    this.editingTemplateId = template ? template.id : null;
+    
+    document.getElementById('templateName').value = template ? template.name : '';
+    document.getElementById('templateIcon').value = template ? template.icon || '' : '';
+    document.getElementById('templatePrompt').value = template ? template.prompt : '';
+    document.getElementById('templateShortcut').value = template?.shortcut || '';
+    
+    document.getElementById('templateEditor').hidden = false;
+    document.getElementById('templateName').focus();
+  }
+
+  /**
+   * Close the quick action editor without saving
+   */
+  hideTemplateEditor() {
+    this.editingTemplateId = null;
+    document.getElementById('templateEditor').hidden = true;
+  }
+
+  /**
+   * Save the quick action in the editor
+   */
+  async saveTemplate() {
+    try {
+      const saved = await this.promptTemplates.save({
+        id: this.editingTemplateId,
+        name: document.getElementById('templateName').value,
+        icon: document.getElementById('templateIcon').value,
+        prompt: document.getElementById('templatePrompt').value,
+        shortcut: document.getElementById('templateShortcut').value
+      });
+      
+      this.hideTemplateEditor();
+      this.refreshQuickActions();
+      this.updateStatus(`Saved quick action "${saved.name}"`);
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * @param {string} templateId - Template ID
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  async moveTemplate(templateId, offset) {
+    try {
+      await this.promptTemplates.move(templateId, offset);
+      this.refreshQuickActions();
+      
+      // Keep focus on the moved item's button for repeated moves
+      const action = offset < 0 ? 'up' : 'down';
+      const button = document.querySelector(
+        `#templateList [data-template-id="${CSS.escape(templateId)}"][data-template-action="${action}"]`
+      );
+      if (button && !button.disabled) {
+        button.focus();
+      }
+    } catch (error) {
+      this.showError(`Failed to reorder quick actions: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string} templateId - Template ID
+   */
+  async deleteTemplate(templateId) {
+    const template = this.promptTemplates.get(templateId);
+    if (!template || !confirm(`Delete the quick action "${template.name}"?`)) return;
+    
+    try {
+      await this.promptTemplates.remove(templateId);
+      if (this.editingTemplateId === templateId) {
+        this.hideTemplateEditor();
+      }
+      this.refreshQuickActions();
+    } catch (error) {
+      this.showError(`Failed to delete quick action: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a prompt as if typed, without treating it as a slash command
+   * @param {string} prompt - Message to send
+   */
+  async sendPrompt(prompt) {
+    document.getElementById('messageInput').value = prompt;
+    await this.sendMessage({ literal: true });
+  }
+
+  /**
+   * Send a template's prompt, with any extra instructions after it
+   * @param {Object} template - Prompt template
+   * @param {string} extra - Text typed after the command
+   */
+  async runTemplate(template, extra = '') {
+    const prompt = await this.promptTemplates.fill(template, await this.getTemplateTab());
+    await this.sendPrompt(extra ? `${prompt}\n\n${extra}` : prompt);
+  }
+
+  /**
+   * Register the built-in slash commands
+   */
+  registerSlashCommands() {
+    const commands = this.slashCommands;
+    
+    commands.register({
+      name: 'summarize',
+      usage: '[focus]',
+      description: 'Summarize the page',
+      run: (args) => this.runTemplate(
+        this.promptTemplates.get('summarize') || PromptTemplates.getDefaults()[0],
+        args && `Focus on: ${args}`
+      )
+    });
+    
+    commands.register({
+      name: 'translate',
+      usage: '<language>',
+      description: 'Translate the key points of the page',
+      run: (args) => {
+        if (!args) {
+          return this.runTemplate(this.promptTemplates.get('translate')
+            || PromptTemplates.getDefaults().find(item => item.id === 'translate'));
+        }
+        return this.sendPrompt(`Translate the key points of this page into ${args}, and explain any complex terms.`);
+      },
+      complete: () => Array.from(document.querySelectorAll('#responseLanguage option'))
+        .filter(option => !['auto', 'page'].includes(option.value))
+        .map(option => ({ value: option.textContent }))
+    });
+    
+    commands.register({
+      name: 'model',
+      usage: '[name|default]',
+      description: 'Show or change the model for this conversation',
+      run: (args) => this.runModelCommand(args),
+      complete: () => [
+        { value: 'default', description: 'Use the default model' },
+        ...Array.from(document.querySelectorAll('#modelSelect option'))
+          .filter(option => option.value && !option.disabled)
+          .map(option => ({ value: option.value, description: option.textContent }))
+      ]
+    });
+    
+    commands.register({
+      name: 'clear',
+      description: 'Clear the conversation',
+      run: () => this.clearConversation()
+    });
+    
+    commands.register({
+      name: 'export',
+      usage: '[md|json|html]',
+      description: 'Download the conversation',
+      run: (args) => {
+        const formats = { '': 'markdown', md: 'markdown', markdown: 'markdown', json: 'json', html: 'html' };
+        const format = formats[args.toLowerCase()];
+        if (!format) {
+          throw new Error(`Unknown export format "${args}". Use md, json or html.`);
+        }
+        return this.exportConversation(format);
+      },
+      complete: () => [
+        { value: 'md', description: 'Markdown' },
+        { value: 'json', description: 'JSON' },
+        { value: 'html', description: 'HTML' }
+      ]
+    });
+    
+    commands.register({
+      name: 'cite',
+      usage: '[question]',
+      description: 'Ask with citations, or cite the sources of the last answer',
+      run: (args) => this.sendPrompt(args
+        ? `${args}\n\nCite the page section that supports each point.`
+        : 'Which sections of the page support your last answer? Cite each one and quote the key sentence.')
+    });
+    
+    commands.register({
+      name: 'tabs',
+      description: 'Ask across several open tabs',
+      run: () => this.showSources()
+    });
+    
+    commands.register({
+      name: 'budget',
+      description: 'Show usage against your limits',
+      run: () => this.runBudgetCommand()
+    });
+    
+    commands.register({
+      name: 'help',
+      description: 'List the available commands',
+      run: () => this.showCommandOutput('Commands', commands.list().map(command =>
+        `/${command.name}${command.usage ? ` ${command.usage}` : ''} — ${command.description}`
+      ))
+    });
+  }
+
+  /**
+   * Register one slash command per quick action, named after it
+   * (e.g. "Key Points" -> /key-points). Built-in commands keep their name.
+   */
+  registerTemplateCommands() {
+    this.slashCommands.removeSource('template');
+    
+    this.promptTemplates.getAll().forEach(template => {
+      const name = SlashCommands.slugify(template.name);
+      if (!name || this.slashCommands.has(name)) return;
+      
+      this.slashCommands.register({
+        name,
+        usage: '[details]',
+        description: `${template.name} quick action`,
+        source: 'template',
+        run: (args) => this.runTemplate(template, args)
+      });
+    });
+  }
+
+  /**
+   * Run a slash command typed in the message input
+   * @param {string} text - Command text
+   */
+  async runSlashCommand(text) {
+    const messageInput = document.getElementById('messageInput');
+    
+    this.hideCommandSuggestions();
+    messageInput.value = '';
+    document.getElementById('charCount').textContent = '0/500';
+    document.getElementById('sendButton').disabled = true;
+    
+    try {
+      await this.slashCommands.execute(text);
+    } catch (error) {
+      // Give the command back so it can be corrected
+      if (!messageInput.value) {
+        messageInput.value = text.trim();
+        messageInput.dispatchEvent(new Event('input'));
+      }
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * /model: show the conversation's model, or change it
+   * @param {string} name - Model ID, a unique prefix of one, or "default"
+   */
+  async runModelCommand(name) {
+    const modelSelect = document.getElementById('modelSelect');
+    const options = Array.from(modelSelect.options).filter(option => option.value);
+    
+    if (!name) {
+      const current = modelSelect.options[modelSelect.selectedIndex];
+      this.showCommandOutput('Model', [
+        `This conversation uses ${current ? current.textContent : 'the default model'}.`,
+        `Available: ${options.filter(option => !option.disabled).map(option => option.value).join(', ')}`
+      ]);
+      return;
+    }
+    
+    let model = '';
+    if (name.toLowerCase() !== 'default') {
+      const lowerName = name.toLowerCase();
+      const exact = options.find(option => option.value.toLowerCase() === lowerName);
+      const matches = exact ? [exact] : options.filter(option => option.value.toLowerCase().startsWith(lowerName));
+      
+      if (matches.length !== 1) {
+        throw new Error(matches.length === 0
+          ? `Unknown model "${name}". Type /model to list the available models.`
+          : `"${name}" matches ${matches.map(option => option.value).join(', ')}`);
+      }
+      if (matches[0].disabled) {
+        throw new Error(`${matches[0].value} is not available. ${matches[0].title}`);
+      }
+      model = matches[0].value;
+    }
+    
+    modelSelect.value = model;
+    await this.setConversationModel(model);
+  }
+
+  /**
+   * /budget: show today's and this month's usage against the limits, and
+   * what the response cache saved
+   */
+  async runBudgetCommand() {
+    const response = await this.sendMessageToBackground('getRateLimitStats');
+    if (!response.success || !response.stats) {
+      throw new Error(response.error || 'Failed to load usage');
+    }
+    
+    const { daily, monthly, cache } = response.stats;
+    const describe = (label, stats) => {
+      const limits = stats.limits || {};
+      const of = (value, limit, format) => limit ? `${format(value)} / ${format(limit)}` : format(value);
+      const count = (value) => value.toLocaleString();
+      const dollars = (value) => `$${value.toFixed(2)}`;
+      
+      return `${label}: ${[
+        `${of(stats.usage.tokens.total, limits.tokens, count)} tokens`,
+        `${of(stats.usage.requests, limits.requests, count)} requests`,
+        of(stats.usage.cost, limits.cost, dollars)
+      ].join(' • ')}`;
+    };
+    
+    const lines = [describe('Today', daily), describe('This month', monthly)];
+    if (cache && cache.daily.hits > 0) {
+      lines.push(`Cache today: ${cache.daily.hits} answers, ${cache.daily.tokensSaved.toLocaleString()} tokens and $${cache.daily.costSaved.toFixed(2)} saved`);
+    }
+    
+    this.showCommandOutput('Budget', lines);
+    await this.updateRateLimitDisplay();
+  }
+
+  /**
+   * Show a command's result in the conversation. It is not sent to the
+   * model or saved.
+   * @param {string} title - Heading
+   * @param {Array<string>} lines - Result lines
+   */
+  showCommandOutput(title, lines) {
+    const conversationHistory = document.getElementById('conversationHistory');
+    
+    const output = document.createElement('div');
+    output.className = 'command-output';
+    output.setAttribute('role', 'status');
+    
+    const heading = document.createElement('div');
+    heading.className = 'command-output-title';
+    heading.textContent = title;
+    
+    const list = document.createElement('ul');
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    
+    output.append(heading, list);
+    conversationHistory.appendChild(output);
+    conversationHistory.scrollTop = conversationHistory.scrollHeight;
+  }
+
+  /**
+   * Show command suggestions for the text in the message input
+   */
+  updateCommandSuggestions() {
+    const messageInput = document.getElementById('messageInput');
+    const container = document.getElementById('commandSuggestions');
+    
+    this.commandSuggestions = this.slashCommands.getSuggestions(messageInput.value).slice(0, 8);
+    this.commandSuggestionIndex = -1;
+    
+    if (this.commandSuggestions.length === 0) {
+      this.hideCommandSuggestions();
+      return;
+    }
+    
+    container.innerHTML = '';
+    this.commandSuggestions.forEach((suggestion, index) => {
+      const option = document.createElement('li');
+      option.id = `command-suggestion-${index}`;
+      option.className = 'command-suggestion';
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.suggestionIndex = index;
+      
+      const label = document.createElement('span');
+      label.className = 'command-suggestion-label';
+      label.textContent = suggestion.label;
+      option.appendChild(label);
+      
+      if (suggestion.description) {
+        const description = document.createElement('span');
+        description.className = 'command-suggestion-description';
+        description.textContent = suggestion.description;
+        option.appendChild(description);
+      }
+      
+      container.appendChild(option);
+    });
+    
+    container.hidden = false;
+    messageInput.setAttribute('aria-expanded', 'true');
+    messageInput.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Hide the command suggestions
+   */
+  hideCommandSuggestions() {
+    const container = document.getElementById('commandSuggestions');
+    const messageInput = document.getElementById('messageInput');
+    
+    this.commandSuggestions = [];
+    this.commandSuggestionIndex = -1;
+    container.hidden = true;
+    container.innerHTML = '';
+    messageInput.setAttribute('aria-expanded', 'false');
+    messageInput.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Keyboard handling while suggestions are shown: arrows move, Tab (or
+   * Enter on a highlighted suggestion) accepts, Escape closes
+   * @param {KeyboardEvent} e - Keydown event from the message input
+   * @returns {boolean} Whether the key was handled
+   */
+  handleCommandSuggestionKey(e) {
+    const count = this.commandSuggestions.length;
+    if (count === 0) return false;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.highlightCommandSuggestion((this.commandSuggestionIndex + step + count) % count);
+      return true;
+    }
+    
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      this.acceptCommandSuggestion(Math.max(this.commandSuggestionIndex, 0));
+      return true;
+    }
+    
+    if (e.key === 'Enter' && !e.shiftKey && this.commandSuggestionIndex >= 0) {
+      e.preventDefault();
+      this.acceptCommandSuggestion(this.commandSuggestionIndex);
+      return true;
+    }
+    
+    if (e.key === 'Escape') {
+      // Close the list without also cancelling an edit or a stream
+      e.preventDefault();
+      e.stopPropagation();
+      this.hideCommandSuggestions();
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * @param {number} index - Suggestion to highlight
+   */
+  highlightCommandSuggestion(index) {
+    const options = document.querySelectorAll('#commandSuggestions .command-suggestion');
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    
+    this.commandSuggestionIndex = index;
+    document.getElementById('messageInput').setAttribute('aria-activedescendant', `command-suggestion-${index}`);
+    options[index]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Put a suggestion in the message input
+   * @param {number} index - Suggestion index
+   */
+  acceptCommandSuggestion(index) {
+    const suggestion = this.commandSuggestions[index];
+    if (!suggestion) return;
+    
+    const messageInput = document.getElementById('messageInput');
+    messageInput.value = suggestion.value;
+    messageInput.focus();
+    messageInput.setSelectionRange(suggestion.value.length, suggestion.value.length);
+    // Updates the character count and shows the argument suggestions
+    messageInput.dispatchEvent(new Event('input'));
+  }
+
+  /**
+   * Replace the quick actions with the defaults
+   */
+  async resetTemplates() {
+    if (!confirm('Replace your quick actions with the defaults?')) return;
+    
+    try {
+      await this.promptTemplates.reset();
+      this.hideTemplateEditor();
+      this.refreshQuickActions();
+    } catch (error) {
+      this.showError(`Failed to restore quick actions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add message to conversation display
+   * @param {string} message - Message text
+   * @param {string} sender - 'user' or 'assistant'
+   * @param {Object} details - Stored message with `id`, `branch` and `cached`, if known
+   * @returns {HTMLElement} The message element
+   */
+  addMessageToConversation(message, sender, details = null) {
+    const conversationHistory = document.getElementById('conversationHistory');
+    
+    const messageElement = document.createElement('div');
+    messageElement.className = sender === 'user' ? 'user-message' : 'avatar-message';
+    
+    const avatar = sender === 'user' ? '👤' : '🤖';
+    
+    messageElement.innerHTML = `
+      <div class="message-avatar">${avatar}</div>
+      <div class="message-content"></div>
+    `;
+    this.renderMessageContent(messageElement.querySelector('.message-content'), message, sender);
+    if (details?.id) {
+      this.renderMessageActions(messageElement, details);
+    }
+    
+    conversationHistory.appendChild(messageElement);
+    if (details?.memory) {
+      conversationHistory.appendChild(this.createCompactionMarker(details.memory));
+    }
+    conversationHistory.scrollTop = conversationHistory.scrollHeight;
+    
+    return messageElement;
+  }
+
+  /**
+   * Add the actions for a stored message: the branch switcher ("‹ 2/3 ›")
+   * when it has siblings, edit for user messages, regenerate for replies,
+   * and the badge for replies answered from the response cache
+   * @param {HTMLElement} messageElement - The message element
+   * @param {Object} details - Stored message with `id`, `role`, `branch` and `cached`
+   */
+  renderMessageActions(messageElement, details) {
+    messageElement.dataset.messageId = details.id;
+    messageElement.querySelector('.message-actions')?.remove();
+    
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    
+    const createButton = (className, label, title, messageId) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `message-action ${className}`;
+      button.textContent = label;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.dataset.messageId = messageId;
+      return button;
+    };
+    
+    const branch = details.branch;
+    if (branch && branch.count > 1) {
+      const previous = createButton('branch-button', '‹', 'Previous version', branch.siblingIds[branch.index - 1] || '');
+      previous.disabled = branch.index === 0;
+      
+      const position = document.createElement('span');
+      position.className = 'branch-position';
+      position.textContent = `${branch.index + 1}/${branch.count}`;
+      
+      const next = createButton('branch-button', '›', 'Next version', branch.siblingIds[branch.index + 1] || '');
+      next.disabled = branch.index === branch.count - 1;
+      
+      actions.append(previous, position, next);
+    }
+    
+    if (details.role === 'user') {
+      actions.appendChild(createButton('edit-button', '✎', 'Edit this message', details.id));
+    } else {
+      actions.appendChild(createButton('regenerate-button', '↻', 'Regenerate this reply', details.id));
+    }
+    
+    if (details.cached) {
+      const badge = document.createElement('span');
+      badge.className = 'cache-badge';
+      badge.textContent = 'cached';
+      badge.title = 'Answered from an earlier reply to the same question about this page. No API call was made; regenerate to ask again.';
+      actions.appendChild(badge);
+    }
+    
+    messageElement.querySelector('.message-content').appendChild(actions);
+  }
+
+  /**
+   * Create the transcript marker showing where older messages were
+   * summarized into a memory, which can be expanded to read the summary
+   * @param {Object} memory - { summary, summarizedCount }
+   * @returns {HTMLElement}
+   */
+  createCompactionMarker(memory) {
+    const marker = document.createElement('details');
+    marker.className = 'compaction-marker';
+    
+    const label = document.createElement('summary');
+    label.textContent = `${memory.summarizedCount} earlier message${memory.summarizedCount === 1 ? '' : 's'} summarized to fit the context window`;
+    
+    const summary = document.createElement('div');
+    summary.className = 'compaction-summary markdown-body';
+    this.markdownRenderer.renderInto(summary, memory.summary);
+    
+    marker.append(label, summary);
+    return marker;
+  }
+
+  /**
+   * Give a new reply, and the question before it, the IDs from its result so
+   * they can be edited and regenerated
+   * @param {HTMLElement} messageElement - The reply's message element
+   * @param {Object} result - Response result with `messageId` and `parentId`
+   */
+  applyMessageIds(messageElement, result) {
+    // Multi-source replies are not kept for editing and regenerating
+    if (!result?.messageId || result.sources?.length) return;
+    
+    this.renderMessageActions(messageElement, { id: result.messageId, role: 'assistant', cached: result.cached });
+    
+    const question = messageElement.previousElementSibling;
+    if (result.parentId && question?.classList.contains('user-message') && !question.dataset.messageId) {
+      this.renderMessageActions(question, { id: result.parentId, role: 'user' });
+    }
+    this.scrollConversationToBottom();
+  }
+
+  /**
+   * Render message text into a message bubble. Assistant replies are Markdown;
+   * user messages are shown verbatim.
+   */
+  renderMessageContent(contentElement, message, sender) {
+    if (sender === 'user') {
+      const text = document.createElement('p');
+      text.className = 'plain-text';
+      text.textContent = message;
+      contentElement.replaceChildren(text);
+      return;
+    }
+    
+    contentElement.classList.add('markdown-body');
+    this.markdownRenderer.renderInto(contentElement, message);
+  }
+
+  /**
+   * Create a chip for a [§id] section citation, labelled with the section heading
+   * @returns {HTMLElement|null} null for unknown IDs, which stay plain text
+   */
+  createCitationChip(blockId) {
+    const blocks = this.currentPageContent?.blocks || [];
+    const index = blocks.findIndex(block => block.id === blockId);
+    if (index === -1) return null;
+    
+    const heading = blocks.slice(0, index + 1).reverse().find(block => block.type === 'heading');
+    const label = heading ? heading.text : this.currentPageContent.title;
+    const shortLabel = label.length > 24 ? label.slice(0, 23) + '…' : label;
+    
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'citation-chip';
+    chip.dataset.blockId = blockId;
+    chip.title = `Show on page: ${label}`;
+    chip.textContent = `§ ${shortLabel}`;
+    return chip;
+  }
+
+  /**
+   * Scroll the page to a cited section and highlight it
+   */
+  async showCitation(blockId) {
+    const block = this.currentPageContent?.blocks?.find(item => item.id === blockId);
+    if (!block || !this.currentTabId) return;
+    
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTabId, {
+        action: 'highlightBlock',
+        blockId: block.id,
+        selector: block.selector
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Section not found');
+      }
+    } catch (error) {
+      console.error('Failed to show citation:', error);
+      this.showError('The cited section is no longer on the page');
+    }
+  }
+
+  /**
+   * Create a chip for an [S1] source tag, labelled with the source's page title
+   * @returns {HTMLElement|null} null outside multi-source mode and for unknown tags
+   */
+  createSourceChip(tag) {
+    const source = this.sources?.find(item => item.tag === tag);
+    if (!source) return null;
+    
+    const shortTitle = source.title.length > 24 ? source.title.slice(0, 23) + '…' : source.title;
+    
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'source-chip';
+    chip.dataset.tabId = source.tabId;
+    chip.title = `Switch to tab: ${source.title}`;
+    chip.textContent = `${tag} ${shortTitle}`;
+    return chip;
+  }
+
+  /**
+   * Switch to a source's tab
+   */
+  async showSource(tabId) {
+    try {
+      await chrome.tabs.update(tabId, { active: true });
+    } catch (error) {
+      console.error('Failed to show source:', error);
+      this.showError('That tab has been closed');
+    }
   }
-  
+
   /**
-   * Handle stream error
+   * Show the tab picker for multi-source mode. Listing other tabs needs the
+   * optional tabs permission, requested here while the click still counts
+   * as a user gesture.
    */
-  handleStreamError(error, messageElement) {
-    console.error('Stream error:', error);
-    
-    // Update message with error
-    const contentElement = messageElement.querySelector('.message-content');
-    contentElement.classList.remove('streaming');
-    contentElement.innerHTML = `<p style="color: #e53e3e;">Sorry, I encountered an error while processing your message. ${error.message}</p>`;
-    
-    this.showError('Stream error occurred');
+  async showSources() {
+    const granted = await chrome.permissions.request({ permissions: ['tabs', 'tabGroups'] })
+      .catch(() => false);
+    if (!granted) {
+      this.showError('Asking across tabs needs permission to read your tab titles');
+      return;
+    }
     
-    // Reset streaming state
-    this.currentStreamId = null;
-    this.currentStreamMessage = null;
-    this.abortController = null;
+    try {
+      // The detached view is a window of its own, so list the tabs of the
+      // browser window last used
+      const browserWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+      const tabs = (await chrome.tabs.query({ windowId: browserWindow.id }))
+        .filter(tab => /^https?:/.test(tab.url || ''));
+      const groups = chrome.tabGroups
+        ? await chrome.tabGroups.query({ windowId: browserWindow.id })
+        : [];
+      
+      this.renderSourcePicker(tabs, groups);
+      document.getElementById('sourcesPanel').classList.add('active');
+      document.querySelector('#sourceList input')?.focus();
+    } catch (error) {
+      console.error('Failed to list tabs:', error);
+      this.showError('Failed to list your open tabs');
+    }
   }
-  
+
   /**
-   * Abort current stream
+   * Hide the tab picker
    */
-  async abortStream() {
-    if (!this.currentStreamId) return;
+  hideSources() {
+    document.getElementById('sourcesPanel').classList.remove('active');
+  }
+
+  /**
+   * Render the tab picker. Tab titles and URLs come from pages, so they are
+   * only ever set as text.
+   */
+  renderSourcePicker(tabs, groups) {
+    const selected = new Set(this.sources
+      ? this.sources.map(source => source.tabId)
+      : [this.currentTabId]);
+    
+    const sourceGroups = document.getElementById('sourceGroups');
+    sourceGroups.innerHTML = '';
+    groups
+      .filter(group => tabs.some(tab => tab.groupId === group.id))
+      .forEach(group => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'source-group';
+        button.dataset.groupId = group.id;
+        button.dataset.color = group.color;
+        button.textContent = group.title || 'Unnamed group';
+        button.setAttribute('aria-label', `Select the tabs in group ${group.title || 'Unnamed group'}`);
+        sourceGroups.appendChild(button);
+      });
+    sourceGroups.hidden = sourceGroups.children.length === 0;
     
-    // Send abort message to background
-    await this.sendMessageToBackground('abortStream', {
-      streamId: this.currentStreamId
-    });
+    const sourceList = document.getElementById('sourceList');
+    sourceList.innerHTML = '';
     
-    // Update UI
-    if (this.currentStreamMessage) {
-      const contentElement = this.currentStreamMessage.querySelector('.message-content');
-      contentElement.classList.remove('streaming');
-      const currentText = contentElement.querySelector('p').textContent;
-      contentElement.innerHTML = `<p>${this.formatMessage(currentText)} <em style="color: #718096;">(Response aborted)</em></p>`;
+    if (tabs.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'No web pages are open in this window';
+      sourceList.appendChild(empty);
+      return;
     }
     
-    // Reset state
-    this.currentStreamId = null;
-    this.currentStreamMessage = null;
-    this.abortController = null;
+    tabs.forEach(tab => {
+      const item = document.createElement('li');
+      item.className = 'source-item';
+      
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = tab.id;
+      checkbox.dataset.groupId = tab.groupId;
+      checkbox.checked = selected.has(tab.id);
+      
+      const title = document.createElement('span');
+      title.className = 'source-title';
+      title.textContent = tab.title || tab.url;
+      
+      const url = document.createElement('span');
+      url.className = 'source-url';
+      url.textContent = tab.url;
+      url.title = tab.url;
+      
+      label.append(checkbox, title, url);
+      item.appendChild(label);
+      sourceList.appendChild(item);
+    });
     
-    // Update UI state
-    this.hideStreamingState();
-    this.updateStatus('Response aborted');
+    document.getElementById('exitSources').hidden = !this.sources;
   }
-  
+
   /**
-   * Show streaming state
+   * Select the tabs of a tab group, up to the source limit
    */
-  showStreamingState() {
-    document.getElementById('streamingIndicator').classList.add('active');
-    if (this.avatar) {
-      this.avatar.setSpeaking(true);
-    }
+  selectSourceGroup(groupId) {
+    const checkboxes = Array.from(document.querySelectorAll('#sourceList input'));
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    checkboxes
+      .filter(checkbox => Number(checkbox.dataset.groupId) === groupId)
+      .slice(0, this.maxSources)
+      .forEach(checkbox => {
+        checkbox.checked = true;
+      });
   }
-  
+
   /**
-   * Hide streaming state
+   * Start a multi-source conversation about the selected tabs
    */
-  hideStreamingState() {
-    document.getElementById('streamingIndicator').classList.remove('active');
-    document.getElementById('sendButton').style.display = 'flex';
-    document.getElementById('abortButton').style.display = 'none';
-    if (this.avatar) {
-      this.avatar.setSpeaking(false);
+  async applySources() {
+    const checked = Array.from(document.querySelectorAll('#sourceList input:checked'));
+    if (checked.length < 2) {
+      this.showError('Select at least two tabs to ask across');
+      return;
     }
+    
+    const sources = checked.map((checkbox, index) => {
+      const item = checkbox.closest('.source-item');
+      return {
+        tabId: Number(checkbox.value),
+        title: item.querySelector('.source-title').textContent,
+        url: item.querySelector('.source-url').textContent,
+        tag: `S${index + 1}`
+      };
+    });
+    
+    await this.sendMessageToBackground('clearConversation', { sources: true });
+    this.setSources(sources);
+    this.renderWelcomeMessage(`Ask me anything across these ${sources.length} tabs. I'll tag each point with the tab it comes from, so you can jump straight to it.`);
+    this.hideSources();
+    this.updateStatus(`Asking across ${sources.length} tabs`);
+    document.getElementById('messageInput').focus();
   }
 
   /**
-   * Handle quick action buttons
+   * Leave multi-source mode and go back to the page conversation
    */
-  async handleQuickAction(action) {
-    const actions = {
-      'summarize': 'Please provide a concise summary of this page.',
-      'explain': 'Can you explain the main concepts covered on this page?',
-      'questions': 'What are the key points and main takeaways from this content?'
-    };
-
-    const message = actions[action];
-    if (message) {
-      document.getElementById('messageInput').value = message;
-      await this.sendMessage();
-    }
+  async exitSources() {
+    if (!this.sources) return;
+    
+    this.setSources(null);
+    this.hideSources();
+    await this.sendMessageToBackground('clearConversation', { sources: true });
+    this.renderWelcomeMessage();
+    this.updateStatus('Back to this page');
+    await this.showPageConversation(this.currentPageContent?.url || this.currentTabUrl);
   }
 
   /**
-   * Add message to conversation display
+   * Enter or leave multi-source mode and show the selected tabs above the input
+   * @param {Array<Object>|null} sources - { tabId, title, url, tag } per tab, or null
    */
-  addMessageToConversation(message, sender) {
-    const conversationHistory = document.getElementById('conversationHistory');
-    
-    const messageElement = document.createElement('div');
-    messageElement.className = sender === 'user' ? 'user-message' : 'avatar-message';
+  setSources(sources) {
+    this.sources = sources && sources.length > 0 ? sources : null;
+    this.cancelEdit();
+    
+    const sourcesBar = document.getElementById('sourcesBar');
+    sourcesBar.innerHTML = '';
+    sourcesBar.hidden = !this.sources;
+    if (!this.sources) return;
+    
+    const label = document.createElement('span');
+    label.className = 'sources-bar-label';
+    label.textContent = `Asking across ${this.sources.length} tabs:`;
+    sourcesBar.appendChild(label);
+    
+    this.sources.forEach(source => {
+      if (!source.failed) {
+        sourcesBar.appendChild(this.createSourceChip(source.tag));
+        return;
+      }
+      
+      const failed = document.createElement('span');
+      failed.className = 'source-chip source-failed';
+      failed.title = `Could not read this tab: ${source.failed}`;
+      failed.textContent = source.title.length > 24 ? source.title.slice(0, 23) + '…' : source.title;
+      sourcesBar.appendChild(failed);
+    });
     
-    const avatar = sender === 'user' ? '👤' : '🤖';
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'sources-bar-edit';
+    editButton.textContent = 'Change';
     
-    messageElement.innerHTML = `
-      <div class="message-avatar">${avatar}</div>
-      <div class="message-content">
-        <p>${this.formatMessage(message)}</p>
-      </div>
-    `;
+    const exitButton = document.createElement('button');
+    exitButton.type = 'button';
+    exitButton.className = 'sources-bar-exit';
+    exitButton.textContent = 'Exit';
+    exitButton.setAttribute('aria-label', 'Stop asking across tabs');
     
-    conversationHistory.appendChild(messageElement);
-    conversationHistory.scrollTop = conversationHistory.scrollHeight;
+    sourcesBar.append(editButton, exitButton);
   }
 
   /**
-   * Format message content safely
+   * Apply the tags the service worker gave the sources. Tabs that could not
+   * be read are skipped when tagging, so later tags shift.
+   * @param {Array<Object>} sources - Sources as reported by the service worker
+   * @param {Array<Object>} failedSources - { tabId, error } per unreadable tab
    */
-  formatMessage(message) {
-    // Escape HTML to prevent XSS
-    const escapeHtml = (text) => {
-      const div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
-    };
-    
-    // Safely escape the message first
-    const escaped = escapeHtml(message);
+  updateSourceTags(sources, failedSources = []) {
+    if (!this.sources || !sources?.length) return;
+    
+    this.setSources(this.sources.map(source => {
+      const reported = sources.find(item => item.tabId === source.tabId);
+      const failure = failedSources.find(item => item.tabId === source.tabId);
+      return {
+        ...source,
+        title: reported?.title || source.title,
+        tag: reported ? reported.tag : '',
+        failed: reported ? null : (failure?.error || 'Not read')
+      };
+    }));
     
-    // Then apply markdown-like formatting
-    return escaped
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/`(.*?)`/g, '<code>$1</code>')
-      .replace(/\n/g, '<br>');
+    if (failedSources.length > 0) {
+      this.updateStatus(`Read ${sources.length} of ${this.sources.length} tabs`);
+    }
+  }
+
+  /**
+   * Source tab IDs to send with a message, or undefined for the page conversation
+   */
+  getSourceTabIds() {
+    return this.sources ? this.sources.map(source => source.tabId) : undefined;
   }
 
   /**
@@ -1287,26 +3225,275 @@ class PopupController {
    * Clear conversation
    */
   async clearConversation() {
+    this.renderWelcomeMessage(this.sources
+      ? `Ask me anything across these ${this.sources.length} tabs.`
+      : undefined);
+
+    this.pageVersion = null;
+    
+    // Clear conversation in background
+    await this.sendMessageToBackground('clearConversation', { sources: !!this.sources });
+    
+    if (this.avatar) {
+      this.avatar.greet();
+    }
+  }
+
+  /**
+   * Replace the conversation display with the welcome message
+   * @param {string} text - Greeting, plain text
+   */
+  renderWelcomeMessage(text = "Hi! I'm your AI avatar assistant. I've analyzed this webpage and I'm ready to discuss its content with you. What would you like to know?") {
     const conversationHistory = document.getElementById('conversationHistory');
     conversationHistory.innerHTML = `
       <div class="welcome-message">
         <div class="avatar-message">
           <div class="message-avatar">🤖</div>
           <div class="message-content">
-            <p>Hi! I'm your AI avatar assistant. I've analyzed this webpage and I'm ready to discuss its content with you. What would you like to know?</p>
+            <p></p>
           </div>
         </div>
       </div>
     `;
+    conversationHistory.querySelector('.welcome-message p').textContent = text;
+    this.cancelEdit();
+  }
 
-    // Clear conversation in background
-    await this.sendMessageToBackground('clearConversation');
+  /**
+   * Replace the conversation display with saved messages
+   * @param {Array} messages - User and assistant messages
+   */
+  renderConversation(messages) {
+    const conversationHistory = document.getElementById('conversationHistory');
+    conversationHistory.innerHTML = '';
+    this.cancelEdit();
+    this.pageVersion = null;
+    
+    messages.forEach(message => {
+      // Mark where the page was re-analyzed with different content
+      const version = message.pageVersion || 1;
+      if (this.pageVersion !== null && version > this.pageVersion) {
+        const marker = document.createElement('div');
+        marker.className = 'page-change-marker';
+        marker.setAttribute('role', 'note');
+        marker.textContent = 'Page content changed – later messages use the updated page';
+        conversationHistory.appendChild(marker);
+      }
+      this.pageVersion = version;
+      
+      this.addMessageToConversation(message.content, message.role === 'user' ? 'user' : 'assistant', message);
+    });
+  }
+
+  /**
+   * Show the saved conversation the service worker will continue for a page
+   */
+  async showPageConversation(url) {
+    try {
+      const response = await this.sendMessageToBackground('getPageConversation', {
+        conversation: { tabId: this.currentTabId, url }
+      });
+      if (response.success && response.conversation && response.conversation.messages.length > 0) {
+        this.renderConversation(response.conversation.messages);
+        this.updateStatus('Continuing earlier conversation');
+      }
+    } catch (error) {
+      console.error('Failed to load page conversation:', error);
+    }
+  }
+
+  /**
+   * Show conversation history panel
+   */
+  showHistory() {
+    document.getElementById('historyPanel').classList.add('active');
+    const historySearch = document.getElementById('historySearch');
+    this.loadHistory(historySearch.value);
+    historySearch.focus();
+  }
+
+  /**
+   * Hide conversation history panel
+   */
+  hideHistory() {
+    document.getElementById('historyPanel').classList.remove('active');
+  }
+
+  /**
+   * Load saved conversations, optionally filtered by a full-text search
+   */
+  async loadHistory(query = '') {
+    try {
+      const response = await this.sendMessageToBackground('listConversations', { query: query.trim() });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      this.renderHistory(response.conversations, query.trim());
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      this.showError('Failed to load conversation history');
+    }
+  }
+
+  /**
+   * Render the history list. Titles, URLs and snippets come from pages and
+   * chats, so they are only ever set as text.
+   */
+  renderHistory(conversations, query) {
+    const historyList = document.getElementById('historyList');
+    historyList.innerHTML = '';
+    
+    if (conversations.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = query ? 'No conversations match your search' : 'No saved conversations yet';
+      historyList.appendChild(empty);
+      return;
+    }
     
-    if (this.avatar) {
-      this.avatar.greet();
+    conversations.forEach(conversation => {
+      const item = document.createElement('li');
+      item.className = 'history-item';
+      
+      const title = document.createElement('div');
+      title.className = 'history-title';
+      title.textContent = conversation.title || conversation.url;
+      
+      const url = document.createElement('div');
+      url.className = 'history-url';
+      url.textContent = conversation.url;
+      url.title = conversation.url;
+      
+      const usage = conversation.usage || { totalTokens: 0, cost: 0 };
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      meta.textContent = [
+        new Date(conversation.updatedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+        `${conversation.messageCount} messages`,
+        `${this.formatNumber(usage.totalTokens)} tokens`,
+        usage.cost > 0 && usage.cost < 0.01 ? '<$0.01' : `$${usage.cost.toFixed(2)}`
+      ].join(' • ');
+      
+      item.append(title, url, meta);
+      
+      if (conversation.snippet) {
+        const snippet = document.createElement('div');
+        snippet.className = 'history-snippet';
+        snippet.textContent = conversation.snippet;
+        item.appendChild(snippet);
+      }
+      
+      const actions = document.createElement('div');
+      actions.className = 'history-actions';
+      
+      const resumeButton = document.createElement('button');
+      resumeButton.type = 'button';
+      resumeButton.className = 'history-resume';
+      resumeButton.dataset.resumeId = conversation.id;
+      resumeButton.textContent = 'Resume';
+      resumeButton.setAttribute('aria-label', `Resume conversation about ${conversation.title || conversation.url}`);
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'history-delete';
+      deleteButton.dataset.deleteId = conversation.id;
+      deleteButton.textContent = 'Delete';
+      deleteButton.setAttribute('aria-label', `Delete conversation about ${conversation.title || conversation.url}`);
+      
+      actions.append(resumeButton, deleteButton);
+      item.appendChild(actions);
+      historyList.appendChild(item);
+    });
+  }
+
+  /**
+   * Resume a saved conversation. Conversations about another page continue
+   * on that page, so it is opened in a new tab.
+   */
+  async resumeConversation(conversationId) {
+    try {
+      const response = await this.sendMessageToBackground('loadConversation', { conversationId });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      
+      const conversation = response.conversation;
+      if (!this.isSamePage(conversation.url, this.currentPageContent?.url)) {
+        await chrome.tabs.create({ url: conversation.url });
+        return;
+      }
+      
+      this.setSources(null);
+      this.renderConversation(conversation.messages);
+      this.hideHistory();
+      this.updateStatus('Conversation resumed');
+    } catch (error) {
+      console.error('Failed to resume conversation:', error);
+      this.showError('Failed to resume conversation');
+    }
+  }
+
+  /**
+   * Delete a saved conversation and refresh the list
+   */
+  async deleteHistoryConversation(conversationId) {
+    const response = await this.sendMessageToBackground('deleteConversation', { conversationId });
+    if (!response.success) {
+      this.showError('Failed to delete conversation');
+    }
+    await this.loadHistory(document.getElementById('historySearch').value);
+  }
+
+  /**
+   * Open or close the export format menu
+   */
+  toggleExportMenu(open) {
+    const exportMenu = document.getElementById('exportMenu');
+    exportMenu.hidden = !open;
+    document.getElementById('exportBtn').setAttribute('aria-expanded', String(open));
+    
+    if (open) {
+      exportMenu.querySelector('[data-export-format]').focus();
+    }
+  }
+
+  /**
+   * Export the current conversation and download it through a blob link
+   * @param {string} format - 'markdown', 'json' or 'html'
+   */
+  async exportConversation(format) {
+    try {
+      const response = await this.sendMessageToBackground('exportConversation', { format });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      
+      const blob = new Blob([response.content], { type: `${response.mimeType};charset=utf-8` });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = response.filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      
+      // Give the download a moment to start before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.updateStatus(`Exported ${response.filename}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showError(error.message || 'Failed to export conversation');
     }
   }
 
+  /**
+   * Compare two page URLs, ignoring fragments and trailing slashes
+   */
+  isSamePage(a, b) {
+    const normalize = (url) => (url || '').split('#')[0].replace(/\/$/, '');
+    return !!a && normalize(a) === normalize(b);
+  }
+
   /**
    * Show settings panel
    */
@@ -1356,31 +3543,67 @@ class PopupController {
    */
   async saveSettings() {
     const apiKeyInput = document.getElementById('apiKeyInput');
+    const provider = document.getElementById('providerSelect')?.value || 'openai';
+    const localBaseUrlInput = document.getElementById('localBaseUrlInput');
+    const localModelInput = document.getElementById('localModelInput');
     const personality = document.getElementById('personalitySelect').value;
+    const responseLength = document.getElementById('responseLength').value;
+    const responseLanguage = document.getElementById('responseLanguage').value;
     const autoAnalyze = document.getElementById('autoAnalyze').checked;
     const enableStreaming = document.getElementById('enableStreaming').checked;
+    const compactionThreshold = parseFloat(document.getElementById('compactionThreshold').value) || 0.75;
     const dailyTokenLimit = document.getElementById('dailyTokenLimit').value;
     const dailyCostLimit = document.getElementById('dailyCostLimit').value;
 
     try {
       let validatedApiKey = null;
+      let localBaseUrl = '';
+      
+      if (provider === 'local') {
+        try {
+          localBaseUrl = this.validateBaseUrl(localBaseUrlInput.value || 'http://localhost:11434');
+        } catch (error) {
+          this.showError(`Invalid server URL: ${error.message}`);
+          return;
+        }
+        
+        // Must run while the click still counts as a user gesture
+        const permitted = await this.requestServerPermission(localBaseUrl);
+        if (!permitted) {
+          this.showError('Permission to reach the local server was denied');
+          return;
+        }
+      }
       
       if (apiKeyInput.value.trim()) {
         try {
-          validatedApiKey = this.validateApiKey(apiKeyInput.value);
+          validatedApiKey = this.validateApiKey(apiKeyInput.value, provider);
         } catch (error) {
           this.showError(`Invalid API key: ${error.message}`);
           return;
         }
-        
-        await this.sendMessageToBackground('saveApiKey', { apiKey: validatedApiKey });
+      }
+      
+      await this.sendMessageToBackground('saveProviderSettings', {
+        settings: {
+          llmProvider: provider,
+          localBaseUrl: localBaseUrl,
+          localModel: localModelInput ? localModelInput.value.trim() : ''
+        }
+      });
+      
+      if (validatedApiKey) {
+        await this.sendMessageToBackground('saveApiKey', { apiKey: validatedApiKey, provider });
       }
 
       // Save other settings to storage
       await chrome.storage.sync.set({
         avatarPersonality: personality,
+        responseLength: responseLength,
+        responseLanguage: responseLanguage,
         autoAnalyze: autoAnalyze,
-        enableStreaming: enableStreaming
+        enableStreaming: enableStreaming,
+        compactionThreshold: compactionThreshold
       });
       
       // Update rate limits if changed
@@ -1400,17 +3623,30 @@ class PopupController {
         await this.sendMessageToBackground('updateRateLimits', { limits: newLimits });
       }
 
+      // Re-read provider state so key/readiness flags match the selected provider
+      const settingsResponse = await this.sendMessageToBackground('getSettings');
+
       this.settings = {
         ...this.settings,
-        hasApiKey: !!validatedApiKey,
+        ...(settingsResponse.success ? settingsResponse.settings : {}),
         avatarPersonality: personality,
+        responseLength: responseLength,
+        responseLanguage: responseLanguage,
         autoAnalyze: autoAnalyze,
-        enableStreaming: enableStreaming
+        enableStreaming: enableStreaming,
+        compactionThreshold: compactionThreshold
       };
 
+      if (this.avatar) {
+        this.avatar.setPersonalityProfile(personality);
+      }
+
       this.hideSettings();
       this.updateStatus('Settings saved');
       
+      // Provider changes affect which models are available
+      await this.loadModels();
+      
       // Refresh rate limit display
       await this.updateRateLimitDisplay();
 
@@ -1547,9 +3783,69 @@ class PopupController {
    */
   async sendMessageToBackground(action, data = {}) {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action, ...data }, resolve);
+      chrome.runtime.sendMessage({ action, conversation: this.getConversationIdentity(), ...data }, resolve);
     });
   }
+
+  /**
+   * Remember the active tab so conversation requests can name it before the
+   * page has been analyzed
+   */
+  async loadActiveTab() {
+    try {
+      const tab = await this.getPageTab();
+      if (tab) {
+        this.currentTabId = tab.id;
+        this.currentTabUrl = await this.getTabUrl(tab);
+      }
+    } catch (error) {
+      console.error('Failed to get active tab:', error);
+    }
+  }
+
+  /**
+   * A tab's page URL. Without the tabs permission, views other than the
+   * popup cannot see tab.url, so the page's content script is asked.
+   * @param {chrome.tabs.Tab} tab - Tab to look at
+   * @returns {Promise<string|null>} null when the URL cannot be seen
+   */
+  async getTabUrl(tab) {
+    if (tab.url) {
+      return tab.url;
+    }
+    
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getPageUrl' });
+      return response?.url || null;
+    } catch (error) {
+      // No content script on this page, or not yet
+      return null;
+    }
+  }
+
+  /**
+   * The tab this view is about: the one named in its URL, otherwise the
+   * active tab of the current window
+   */
+  async getPageTab() {
+    if (this.pageTabId) {
+      return chrome.tabs.get(this.pageTabId);
+    }
+    
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab;
+  }
+
+  /**
+   * Identify this popup's conversation for the background: popup messages
+   * carry no sender tab, so the tab ID and page URL are passed explicitly
+   */
+  getConversationIdentity() {
+    return {
+      tabId: this.currentTabId,
+      url: this.currentPageContent?.url || this.currentTabUrl
+    };
+  }
 }
 
 // Initialize popup when DOM is loaded
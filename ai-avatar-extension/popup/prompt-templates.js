@@ -0,0 +1,289 @@
+/**
+ * AI Avatar Prompt Templates
+ * User-defined quick actions shared by the popup, the large popup and the
+ * masonry view. Each template is a named prompt with optional {{variables}}
+ * and an optional Alt+number shortcut; the stored order is the order the
+ * quick actions are shown in.
+ *
+ * Template: { id, name, icon, prompt, shortcut }
+ * Variables: {{selection}}, {{title}}, {{url}}, {{language}}
+ *
+ * The service worker loads this file too, to fill quick actions run from
+ * the selection context menu.
+ */
+
+class PromptTemplates {
+  constructor() {
+    this.storageKey = 'promptTemplates';
+    this.maxTemplates = 20;
+    // Matches the message input limit
+    this.maxPromptLength = 500;
+    this.templates = [];
+  }
+
+  /**
+   * Quick actions before the user changes any
+   * @returns {Array<Object>}
+   */
+  static getDefaults() {
+    return [
+      { id: 'summarize', name: 'Summarize', icon: '📝', prompt: 'Please provide a concise summary of this page.', shortcut: '1' },
+      { id: 'explain', name: 'Explain', icon: '💡', prompt: 'Can you explain the main concepts covered on this page?', shortcut: '2' },
+      { id: 'questions', name: 'Key Points', icon: '❓', prompt: 'What are the key points and main takeaways from this content?', shortcut: '3' },
+      { id: 'analyze', name: 'Deep Analysis', icon: '🔍', prompt: 'Give a deep analysis of "{{title}}": its main arguments, the evidence behind them, and anything that is missing or questionable.', shortcut: '4' },
+      { id: 'translate', name: 'Translate', icon: '🌐', prompt: 'Translate the key points of this page into {{language}}, and explain any complex terms.', shortcut: '5' }
+    ];
+  }
+
+  /**
+   * Variable names a prompt may use, with what they insert
+   * @returns {Object<string, string>}
+   */
+  static getVariables() {
+    return {
+      selection: 'Text selected on the page',
+      title: 'Page title',
+      url: 'Page URL',
+      language: 'Your response language, or the browser language'
+    };
+  }
+
+  /**
+   * Fill a prompt's {{variables}}. Unknown variables are left as written.
+   * @param {string} prompt - Template prompt
+   * @param {Object} variables - Values by variable name
+   * @returns {string}
+   */
+  static render(prompt, variables) {
+    return prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : match
+    );
+  }
+
+  /**
+   * Whether a prompt uses a variable
+   * @param {string} prompt - Template prompt
+   * @param {string} name - Variable name
+   * @returns {boolean}
+   */
+  static uses(prompt, name) {
+    return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(prompt);
+  }
+
+  /**
+   * Load the templates from storage
+   * @returns {Promise<Array<Object>>}
+   */
+  async load() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    const stored = result[this.storageKey];
+    this.templates = Array.isArray(stored) ? stored : PromptTemplates.getDefaults();
+    return this.templates;
+  }
+
+  /**
+   * Call back with the new templates whenever another view changes them
+   * @param {Function} callback - (templates) => void
+   */
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[this.storageKey]) return;
+
+      const templates = changes[this.storageKey].newValue || PromptTemplates.getDefaults();
+      // Changes made through this instance are already applied
+      if (JSON.stringify(templates) === JSON.stringify(this.templates)) return;
+
+      this.templates = templates;
+      callback(this.templates);
+    });
+  }
+
+  /**
+   * @returns {Array<Object>} Templates in display order
+   */
+  getAll() {
+    return this.templates;
+  }
+
+  /**
+   * @param {string} id - Template ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.templates.find(template => template.id === id) || null;
+  }
+
+  /**
+   * @param {string} key - Digit pressed with Alt
+   * @returns {Object|null}
+   */
+  findByShortcut(key) {
+    return this.templates.find(template => template.shortcut === key) || null;
+  }
+
+  /**
+   * Create or update a template. Assigning a shortcut takes it from the
+   * template that had it.
+   * @param {Object} template - { id?, name, icon?, prompt, shortcut? }
+   * @returns {Promise<Object>} The saved template
+   * @throws {Error} If the template is invalid or the limit is reached
+   */
+  async save(template) {
+    const name = String(template.name || '').trim();
+    const prompt = String(template.prompt || '').trim();
+    const shortcut = /^[1-9]$/.test(template.shortcut) ? template.shortcut : null;
+
+    if (!name || name.length > 40) {
+      throw new Error('Name must be 1-40 characters');
+    }
+    if (!prompt || prompt.length > this.maxPromptLength) {
+      throw new Error(`Prompt must be 1-${this.maxPromptLength} characters`);
+    }
+
+    const existing = template.id ? this.get(template.id) : null;
+    if (!existing && this.templates.length >= this.maxTemplates) {
+      throw new Error(`You can have up to ${this.maxTemplates} quick actions`);
+    }
+
+    const saved = {
+      id: existing ? existing.id : `t-${Date.now().toString(36)}`,
+      name,
+      // One emoji, which may be more than one code unit
+      icon: Array.from(String(template.icon || (existing && existing.icon) || '⚡').trim()).slice(0, 2).join(''),
+      prompt,
+      shortcut
+    };
+
+    const templates = this.templates.map(item => {
+      if (item.id === saved.id) return saved;
+      return shortcut && item.shortcut === shortcut ? { ...item, shortcut: null } : item;
+    });
+    if (!existing) {
+      templates.push(saved);
+    }
+
+    await this.store(templates);
+    return saved;
+  }
+
+  /**
+   * @param {string} id - Template ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this.store(this.templates.filter(template => template.id !== id));
+  }
+
+  /**
+   * Move a template up or down the list
+   * @param {string} id - Template ID
+   * @param {number} offset - -1 to move up, 1 to move down
+   * @returns {Promise<void>}
+   */
+  async move(id, offset) {
+    const templates = [...this.templates];
+    const index = templates.findIndex(template => template.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= templates.length) return;
+
+    [templates[index], templates[target]] = [templates[target], templates[index]];
+    await this.store(templates);
+  }
+
+  /**
+   * Restore the default quick actions
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    const previous = this.templates;
+    this.templates = PromptTemplates.getDefaults();
+    try {
+      await chrome.storage.local.remove(this.storageKey);
+    } catch (error) {
+      this.templates = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * Fill a template for the given tab
+   * @param {Object} template - Template to fill
+   * @param {Object} tab - Tab the prompt is about ({ id, title, url })
+   * @param {number} maxLength - Longest prompt allowed; a long selection is shortened to fit
+   * @param {string|null} selection - Selected text, when already known; otherwise read from the tab
+   * @returns {Promise<string>} The prompt to send
+   * @throws {Error} If the template needs a selection and nothing is selected
+   */
+  async fill(template, tab, maxLength = this.maxPromptLength, selection = null) {
+    const variables = {
+      title: tab?.title || '',
+      url: tab?.url || '',
+      language: await this.getLanguageName(),
+      selection: ''
+    };
+
+    if (PromptTemplates.uses(template.prompt, 'selection')) {
+      variables.selection = selection !== null ? selection.trim() : await this.getSelection(tab);
+      if (!variables.selection) {
+        throw new Error(`"${template.name}" uses the page selection; select some text on the page first`);
+      }
+
+      const room = maxLength - PromptTemplates.render(template.prompt, { ...variables, selection: '' }).length;
+      if (variables.selection.length > room) {
+        variables.selection = `${variables.selection.slice(0, Math.max(0, room - 1))}…`;
+      }
+    }
+
+    return PromptTemplates.render(template.prompt, variables);
+  }
+
+  /**
+   * Save the list, applying it in memory first so the storage change
+   * event is recognized as this instance's own
+   * @private
+   */
+  async store(templates) {
+    const previous = this.templates;
+    this.templates = templates;
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: templates });
+    } catch (error) {
+      this.templates = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * Text currently selected in the tab, or an empty string
+   * @private
+   */
+  async getSelection(tab) {
+    if (!tab?.id) return '';
+
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelection' });
+      return response?.success ? response.text.trim() : '';
+    } catch (error) {
+      // No content script on this page (e.g. chrome:// pages)
+      return '';
+    }
+  }
+
+  /**
+   * The response language setting when it names a language, otherwise the
+   * browser language, as an English name
+   * @private
+   */
+  async getLanguageName() {
+    const { responseLanguage } = await chrome.storage.sync.get('responseLanguage');
+    const code = responseLanguage && !['auto', 'page'].includes(responseLanguage)
+      ? responseLanguage
+      : navigator.language;
+
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+}
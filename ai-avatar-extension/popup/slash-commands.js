@@ -0,0 +1,157 @@
+/**
+ * AI Avatar Slash Commands
+ * Parses `/command args` typed in the message input, runs the registered
+ * handler, and suggests commands and arguments while typing. The popup
+ * registers the built-in commands and one command per prompt template.
+ *
+ * Command: { name, usage, description, run(args), complete(argPrefix), source }
+ * Text starting with "//" is not a command; it is sent with one slash removed.
+ */
+
+class SlashCommands {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  /**
+   * Turn a quick action name into a command name, e.g. "Key Points" -> "key-points"
+   * @param {string} name - Template name
+   * @returns {string}
+   */
+  static slugify(name) {
+    return String(name || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Whether input text is a command rather than a message
+   * @param {string} text - Message input value
+   * @returns {boolean}
+   */
+  static isCommand(text) {
+    return /^\/(?!\/)/.test(String(text || '').trimStart());
+  }
+
+  /**
+   * Add a command, replacing any with the same name
+   * @param {Object} command - Command definition
+   * @param {string} command.name - Name without the slash
+   * @param {string} command.usage - Arguments shown in suggestions, e.g. "<lang>"
+   * @param {string} command.description - One-line description
+   * @param {Function} command.run - async (args) => void
+   * @param {Function} command.complete - (argPrefix) => Array<{ value, description }>, optional
+   * @param {string} command.source - 'builtin' or 'template'
+   */
+  register(command) {
+    this.commands.set(command.name, { usage: '', source: 'builtin', ...command });
+  }
+
+  /**
+   * Remove every command from a source
+   * @param {string} source - Command source
+   */
+  removeSource(source) {
+    for (const [name, command] of this.commands) {
+      if (command.source === source) {
+        this.commands.delete(name);
+      }
+    }
+  }
+
+  /**
+   * @param {string} name - Command name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.commands.has(name);
+  }
+
+  /**
+   * @returns {Array<Object>} Commands sorted by name, built-ins first
+   */
+  list() {
+    return Array.from(this.commands.values()).sort((a, b) =>
+      (a.source === 'builtin' ? 0 : 1) - (b.source === 'builtin' ? 0 : 1) || a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Split command text into its name and arguments
+   * @param {string} text - Message input value
+   * @returns {{name: string, args: string}|null} Null if the text is not a command
+   */
+  parse(text) {
+    if (!SlashCommands.isCommand(text)) {
+      return null;
+    }
+
+    const match = text.trim().match(/^\/(\S*)\s*([\s\S]*)$/);
+    return { name: match[1].toLowerCase(), args: match[2].trim() };
+  }
+
+  /**
+   * Run a command
+   * @param {string} text - Message input value
+   * @returns {Promise<void>}
+   * @throws {Error} If the command does not exist, or the handler fails
+   */
+  async execute(text) {
+    const parsed = this.parse(text);
+    const command = parsed && this.commands.get(parsed.name);
+    if (!command) {
+      throw new Error(`Unknown command /${parsed ? parsed.name : ''}. Type /help for a list of commands.`);
+    }
+
+    await command.run(parsed.args);
+  }
+
+  /**
+   * Suggestions for the text typed so far: command names while the name is
+   * being typed, then the command's argument completions
+   * @param {string} text - Message input value
+   * @returns {Array<{value: string, label: string, description: string}>}
+   *   `value` is the input text after accepting the suggestion
+   */
+  getSuggestions(text) {
+    if (!SlashCommands.isCommand(text)) {
+      return [];
+    }
+
+    const typed = text.trimStart();
+    const spaceIndex = typed.search(/\s/);
+
+    if (spaceIndex === -1) {
+      const prefix = typed.slice(1).toLowerCase();
+      const commands = this.list();
+      const matches = [
+        ...commands.filter(command => command.name.startsWith(prefix)),
+        ...commands.filter(command => !command.name.startsWith(prefix) && command.name.includes(prefix))
+      ];
+
+      return matches.map(command => ({
+        value: `/${command.name} `,
+        label: `/${command.name}${command.usage ? ` ${command.usage}` : ''}`,
+        description: command.description
+      }));
+    }
+
+    const command = this.commands.get(typed.slice(1, spaceIndex).toLowerCase());
+    if (!command || !command.complete) {
+      return [];
+    }
+
+    const argPrefix = typed.slice(spaceIndex).trimStart();
+    const lowerPrefix = argPrefix.toLowerCase();
+    return command.complete(argPrefix)
+      .filter(option => option.value.toLowerCase().startsWith(lowerPrefix) && option.value.toLowerCase() !== lowerPrefix)
+      .map(option => ({
+        value: `/${command.name} ${option.value}`,
+        label: option.value,
+        description: option.description || ''
+      }));
+  }
+}
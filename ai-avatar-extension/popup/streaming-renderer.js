@@ -0,0 +1,135 @@
+/**
+ * AI Avatar Streaming Markdown Renderer
+ * Renders a streaming answer incrementally: the accumulated text is split into
+ * blocks, finished blocks keep their DOM nodes and only the last, still-open
+ * block is re-rendered. Updates are coalesced to one per animation frame, or
+ * one per `streamingChunkDelay` milliseconds when that setting is set.
+ */
+
+class StreamingMarkdownRenderer {
+  /**
+   * @param {HTMLElement} container - Element the answer is rendered into
+   * @param {MarkdownRenderer} renderer - Block parser and renderer
+   * @param {Object} options - Rendering options
+   * @param {number} options.chunkDelay - Minimum milliseconds between DOM updates
+   * @param {Function} options.onRender - Called after each DOM update
+   */
+  constructor(container, renderer, options = {}) {
+    this.container = container;
+    this.renderer = renderer;
+    this.chunkDelay = Math.max(0, Number(options.chunkDelay) || 0);
+    this.onRender = options.onRender || null;
+
+    this.text = '';
+    this.renderedBlocks = []; // [{raw, node}] in document order
+    this.lastRenderTime = 0;
+    this.frameId = null;
+    this.timerId = null;
+  }
+
+  /**
+   * Set the accumulated answer text and schedule a render
+   */
+  update(text) {
+    this.text = text || '';
+    this.scheduleRender();
+  }
+
+  /**
+   * Render the complete answer immediately and stop pending updates
+   */
+  finish(text = this.text) {
+    this.stop();
+    this.text = text || '';
+    this.render(this.text);
+  }
+
+  /**
+   * Cancel any pending update
+   */
+  stop() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    if (this.timerId !== null) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Coalesce updates to one per frame, or one per chunkDelay
+   * @private
+   */
+  scheduleRender() {
+    if (this.frameId !== null || this.timerId !== null) return;
+
+    const run = () => {
+      this.frameId = null;
+      this.timerId = null;
+      this.lastRenderTime = Date.now();
+      this.render(this.getStableText(this.text));
+    };
+
+    if (this.chunkDelay > 0) {
+      const wait = Math.max(0, this.lastRenderTime + this.chunkDelay - Date.now());
+      this.timerId = setTimeout(run, wait);
+    } else {
+      this.frameId = requestAnimationFrame(run);
+    }
+  }
+
+  /**
+   * Hold back text that would render as something else once more arrives:
+   * a partial line that may open a fence or table row, and a table header
+   * whose delimiter row has not arrived yet.
+   * @private
+   */
+  getStableText(text) {
+    const lines = text.split('\n');
+    const isTableRow = (line) => /^\s*\|/.test(line);
+
+    // The last line is still being written
+    if (/^\s*(\||`|~)/.test(lines[lines.length - 1])) {
+      lines[lines.length - 1] = '';
+    }
+
+    const lastComplete = lines.length - 2;
+    if (lastComplete >= 0 && isTableRow(lines[lastComplete]) &&
+        (lastComplete === 0 || !isTableRow(lines[lastComplete - 1]))) {
+      lines.splice(lastComplete, 1);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Re-render from the first block whose source changed
+   * @private
+   */
+  render(text) {
+    const blocks = this.renderer.parseBlocks(text);
+
+    let firstChanged = 0;
+    while (firstChanged < blocks.length &&
+           firstChanged < this.renderedBlocks.length &&
+           blocks[firstChanged].raw === this.renderedBlocks[firstChanged].raw) {
+      firstChanged++;
+    }
+
+    for (const stale of this.renderedBlocks.splice(firstChanged)) {
+      stale.node.remove();
+    }
+
+    for (const block of blocks.slice(firstChanged)) {
+      const node = this.renderer.renderBlock(block);
+      this.container.appendChild(node);
+      this.renderedBlocks.push({ raw: block.raw, node });
+    }
+
+    if (this.onRender) {
+      this.onRender();
+    }
+  }
+}
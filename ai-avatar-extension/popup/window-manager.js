@@ -1,12 +1,16 @@
 /**
  * Window Manager for AI Avatar Extension
- * Handles window mode switching, screen detection, and detached windows
+ * Handles window mode switching, screen detection, detached windows and the
+ * side panel. The side panel shows popup.html?mode=sidepanel docked next to
+ * the page; the popup controller makes it follow the active tab.
  */
 
 class WindowManager {
     constructor() {
         this.currentMode = 'compact';
         this.detachedWindow = null;
+        // Browser window the side panel opens in, found during init
+        this.browserWindowId = null;
         this.settings = {
             defaultMode: 'auto',
             rememberMode: true,
@@ -18,7 +22,8 @@ class WindowManager {
             'KeyC': 'compact',    // C for compact
             'KeyL': 'large',      // L for large
             'KeyM': 'masonry',    // M for masonry
-            'KeyD': 'detached'    // D for detached
+            'KeyD': 'detached',   // D for detached
+            'KeyP': 'sidepanel'   // P for side panel
         };
         
         this.init();
@@ -28,6 +33,9 @@ class WindowManager {
         // Load saved settings
         await this.loadSettings();
         
+        // The side panel must open during a click, so find its window now
+        await this.loadBrowserWindow();
+        
         // Detect screen size and set initial mode
         this.detectScreenSize();
         
@@ -74,12 +82,29 @@ class WindowManager {
         }
     }
 
+    /**
+     * Find the normal browser window behind this view: the popup's own
+     * window, or the window focused before a large or masonry window opened
+     */
+    async loadBrowserWindow() {
+        try {
+            const browserWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+            this.browserWindowId = browserWindow.id;
+        } catch (error) {
+            console.log('Failed to find the browser window:', error);
+        }
+    }
+
     detectScreenSize() {
         const screenWidth = window.screen.availWidth;
         const screenHeight = window.screen.availHeight;
         
+        // The side panel page is always in side panel mode
+        if (this.isSidePanel()) {
+            this.currentMode = 'sidepanel';
+        }
         // Auto-detect based on screen size and content
-        if (this.settings.defaultMode === 'auto') {
+        else if (this.settings.defaultMode === 'auto') {
             // If screen is very large (1600x1000+), prefer masonry for best content layout
             if (screenWidth >= 1600 && screenHeight >= 1000) {
                 this.currentMode = 'masonry';
@@ -110,6 +135,7 @@ class WindowManager {
         const largeBtn = document.getElementById('largeModeBtn');
         const masonryBtn = document.getElementById('masonryModeBtn');
         const detachedBtn = document.getElementById('detachedModeBtn');
+        const sidePanelBtn = document.getElementById('sidePanelModeBtn');
 
         if (compactBtn) {
             compactBtn.addEventListener('click', () => this.switchMode('compact'));
@@ -127,6 +153,10 @@ class WindowManager {
             detachedBtn.addEventListener('click', () => this.openDetachedWindow());
         }
         
+        if (sidePanelBtn) {
+            sidePanelBtn.addEventListener('click', () => this.switchMode('sidepanel'));
+        }
+        
         // Keyboard shortcuts for view switching
         document.addEventListener('keydown', (e) => {
             // Only trigger if Ctrl/Cmd + Shift is held and no input is focused
@@ -169,6 +199,9 @@ class WindowManager {
 
     switchMode(mode) {
         if (mode === this.currentMode) return;
+        
+        // Opened first, while the click or key press still counts as a user gesture
+        if (mode === 'sidepanel' && !this.openSidePanel()) return;
 
         const previousMode = this.currentMode;
         this.currentMode = mode;
@@ -232,7 +265,13 @@ class WindowManager {
                     focused: true
                 });
             } else {
-                // For compact mode, just close current window - browser action will open default popup
+                // For compact mode, just close current window - browser action will open default popup.
+                // The side panel is already open next to the page.
+                window.close();
+            }
+            
+            // Leaving the side panel closes it
+            if (this.isSidePanel()) {
                 window.close();
             }
         }, 300);
@@ -382,15 +421,39 @@ class WindowManager {
         }
     }
 
+    /**
+     * Open the side panel in the browser window. chrome.sidePanel.open only
+     * works while handling a user gesture, so nothing is awaited before it.
+     * @returns {boolean} Whether the side panel is opening
+     */
+    openSidePanel() {
+        if (!this.isSidePanelSupported()) {
+            this.showError('The side panel needs Chrome 116 or later.');
+            return false;
+        }
+        
+        if (!this.browserWindowId) {
+            this.showError('Failed to open the side panel. Please try again.');
+            return false;
+        }
+        
+        chrome.sidePanel.open({ windowId: this.browserWindowId }).catch(error => {
+            console.error('Failed to open side panel:', error);
+            this.showError('Failed to open the side panel. Please try again.');
+        });
+        return true;
+    }
+
     updateUI() {
         // Update mode selector buttons
         const compactBtn = document.getElementById('compactModeBtn');
         const largeBtn = document.getElementById('largeModeBtn');
         const masonryBtn = document.getElementById('masonryModeBtn');
         const detachedBtn = document.getElementById('detachedModeBtn');
+        const sidePanelBtn = document.getElementById('sidePanelModeBtn');
 
         // Remove active class from all buttons
-        [compactBtn, largeBtn, masonryBtn, detachedBtn].forEach(btn => {
+        [compactBtn, largeBtn, masonryBtn, detachedBtn, sidePanelBtn].forEach(btn => {
             if (btn) btn.classList.remove('active');
         });
 
@@ -401,6 +464,14 @@ class WindowManager {
             largeBtn.classList.add('active');
         } else if (this.currentMode === 'masonry' && masonryBtn) {
             masonryBtn.classList.add('active');
+        } else if (this.currentMode === 'sidepanel' && sidePanelBtn) {
+            sidePanelBtn.classList.add('active');
+        }
+        
+        // The side panel fits any screen, but needs chrome.sidePanel
+        if (sidePanelBtn && !this.isSidePanelSupported()) {
+            sidePanelBtn.disabled = true;
+            sidePanelBtn.title = 'Side panel needs Chrome 116 or later';
         }
 
         // Update window mode indicator in footer
@@ -476,6 +547,14 @@ class WindowManager {
     isMasonryMode() {
         return this.currentMode === 'masonry';
     }
+    
+    isSidePanelMode() {
+        return this.currentMode === 'sidepanel';
+    }
+    
+    isSidePanelSupported() {
+        return typeof chrome !== 'undefined' && !!chrome.sidePanel;
+    }
 
     getScreenInfo() {
         return this.screenInfo;
@@ -487,6 +566,26 @@ class WindowManager {
         return urlParams.get('mode') === 'detached';
     }
 
+    // Method to check if this page is shown in the side panel
+    isSidePanel() {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.get('mode') === 'sidepanel';
+    }
+
+    // Method to handle side panel specific initialization
+    initSidePanel() {
+        if (this.isSidePanel()) {
+            // Fill the panel instead of the fixed popup size
+            document.body.classList.add('sidepanel-mode');
+            document.title = 'AI Avatar - Side Panel';
+
+            const windowModeSpan = document.getElementById('windowMode');
+            if (windowModeSpan) {
+                windowModeSpan.textContent = 'Side Panel Mode';
+            }
+        }
+    }
+
     // Method to handle detached window specific initialization
     initDetachedWindow() {
         if (this.isDetachedWindow()) {
@@ -520,7 +619,8 @@ class WindowManager {
         const popupModes = {
             'compact': 'popup.html',
             'large': 'popup-large.html', 
-            'masonry': 'popup-masonry.html'
+            'masonry': 'popup-masonry.html',
+            'sidepanel': 'popup.html?mode=sidepanel'
         };
         
         return popupModes[previousMode] !== popupModes[newMode];
@@ -534,7 +634,8 @@ class WindowManager {
             'compact': 'Compact Mode',
             'large': 'Large Mode',
             'masonry': 'Masonry Mode',
-            'detached': 'Detached Mode'
+            'detached': 'Detached Mode',
+            'sidepanel': 'Side Panel Mode'
         };
         
         return displayNames[mode] || 'Unknown Mode';
@@ -568,12 +669,14 @@ class WindowManager {
      */
     getAvailableModes() {
         const allModes = ['compact', 'large', 'masonry', 'detached'];
+        // The side panel is docked inside the browser window, so it fits any screen
+        const dockedModes = this.isSidePanelSupported() ? ['sidepanel'] : [];
         
         if (!this.screenInfo.isLargeScreen) {
-            return ['compact']; // Only compact mode for small screens
+            return ['compact', ...dockedModes]; // Only compact mode and the side panel for small screens
         }
         
-        return allModes;
+        return [...allModes, ...dockedModes];
     }
     
     /**
@@ -592,7 +695,8 @@ class WindowManager {
         const scores = {
             compact: this.calculateModeScore('compact', contentComplexity, contentType, userPreference, usageHistory),
             large: this.calculateModeScore('large', contentComplexity, contentType, userPreference, usageHistory),
-            masonry: this.calculateModeScore('masonry', contentComplexity, contentType, userPreference, usageHistory)
+            masonry: this.calculateModeScore('masonry', contentComplexity, contentType, userPreference, usageHistory),
+            sidepanel: this.calculateModeScore('sidepanel', contentComplexity, contentType, userPreference, usageHistory)
         };
         
         // Return the mode with the highest score
@@ -618,16 +722,21 @@ class WindowManager {
         } else if (mode === 'masonry') {
             score += this.screenInfo.isVeryLargeScreen ? 100 : 
                      this.screenInfo.isLargeScreen ? 70 : 0;
+        } else if (mode === 'sidepanel') {
+            // Wide screens leave room for the page next to the panel
+            score += !this.isSidePanelSupported() ? 0 :
+                     this.screenInfo.aspectRatio >= 1.6 ? 90 : 60;
         }
         
         // Content complexity factor
         if (contentComplexity === 'high') {
             if (mode === 'masonry') score += 40;
+            else if (mode === 'sidepanel') score += 30; // Read long pages alongside the conversation
             else if (mode === 'large') score += 20;
             else score -= 10;
         } else if (contentComplexity === 'medium') {
             if (mode === 'large') score += 30;
-            else if (mode === 'masonry') score += 25;
+            else if (mode === 'masonry' || mode === 'sidepanel') score += 25;
             else score += 10;
         } else {
             if (mode === 'compact') score += 30;
@@ -637,7 +746,7 @@ class WindowManager {
         // Content type factor
         if (contentType === 'article' || contentType === 'documentation') {
             if (mode === 'large') score += 25;
-            else if (mode === 'masonry') score += 35;
+            else if (mode === 'masonry' || mode === 'sidepanel') score += 35;
         } else if (contentType === 'social' || contentType === 'forum') {
             if (mode === 'masonry') score += 30;
             else if (mode === 'large') score += 15;
@@ -657,7 +766,7 @@ class WindowManager {
         // Time of day factor (people prefer different modes at different times)
         const hour = new Date().getHours();
         if (hour >= 9 && hour <= 17) { // Work hours
-            if (mode === 'large' || mode === 'masonry') score += 10;
+            if (mode === 'large' || mode === 'masonry' || mode === 'sidepanel') score += 10;
         } else { // Personal time
             if (mode === 'compact') score += 15;
         }
@@ -736,10 +845,11 @@ class WindowManager {
             return {
                 compact: history.compact || 0,
                 large: history.large || 0,
-                masonry: history.masonry || 0
+                masonry: history.masonry || 0,
+                sidepanel: history.sidepanel || 0
             };
         } catch (error) {
-            return { compact: 0, large: 0, masonry: 0 };
+            return { compact: 0, large: 0, masonry: 0, sidepanel: 0 };
         }
     }
     
@@ -1005,6 +1115,11 @@ document.addEventListener('DOMContentLoaded', () => {
         window.windowManager.initDetachedWindow();
     }
     
+    // Likewise for the side panel
+    if (window.windowManager.isSidePanel()) {
+        window.windowManager.initSidePanel();
+    }
+    
     // Restore state if this is a reload
     window.windowManager.restoreState();
 });